@@ -1,49 +1,389 @@
 // API routes for the automation service
 import express from 'express';
+import config from '../config/config.js';
 import taskManager from '../services/taskManager.js';
 import browserService from '../services/browser.js';
 import openaiService from '../services/openai.js';
-import { authenticateApiKey } from '../utils/auth.js';
+import jobQueue from '../services/queue.js';
+import runHistory from '../services/runs.js';
+import artifactStore from '../services/artifacts.js';
+import webhookService, { WebhookError } from '../services/webhooks.js';
+import taskEvents from '../services/events.js';
+import credentialVault, { CredentialError } from '../services/credentials.js';
+import sessionStore from '../services/sessions.js';
+import accountService, { AccountError } from '../services/accounts.js';
+import adminService, { AdminError } from '../services/admin.js';
+import usageService from '../services/usage.js';
+import organizationService, { OrganizationError, isOrganizationManager } from '../services/organizations.js';
+import {
+  ApiKeyError,
+  authenticateApiKey,
+  generateApiKey,
+  listApiKeys,
+  requireScope,
+  revokeApiKey,
+  rotateApiKey,
+} from '../utils/auth.js';
+import { attemptLimit, rateLimit, requireQuota } from '../utils/limits.js';
+import { TaskValidationError } from '../utils/validation.js';
+import { redactTask } from '../utils/redact.js';
 
 const router = express.Router();
 
+// express.json() leaves the body undefined for requests without a JSON body
+router.use((req, res, next) => {
+  req.body ??= {};
+  next();
+});
+
+/**
+ * Path parameters
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Names of the resources an :id refers to, by collection
+const RESOURCE_NAMES = {
+  orgs: 'Organization',
+  tasks: 'Task',
+  credentials: 'Credential',
+  sessions: 'Session',
+  keys: 'API key',
+  webhooks: 'Webhook',
+  users: 'User',
+};
+
+// Every ID is a UUID, and Postgres rejects anything else with an error instead of finding no row
+const requireUuid = (getName) => (req, res, next, value) => {
+  if (!UUID_PATTERN.test(value)) {
+    return res.status(404).json({ error: `${getName(req)} with ID ${value} not found` });
+  }
+
+  next();
+};
+
+router.param('id', requireUuid((req) => {
+  const collection = req.route.path.split('/').find((segment) => RESOURCE_NAMES[segment]);
+  return RESOURCE_NAMES[collection];
+}));
+router.param('userId', requireUuid(() => 'Member'));
+router.param('runId', requireUuid(() => 'Run'));
+router.param('artifactId', requireUuid(() => 'Artifact'));
+router.param('deliveryId', requireUuid(() => 'Delivery'));
+
+/**
+ * Account endpoints that do not require authentication
+ */
+
+// Map account errors to response codes
+const sendAccountError = (res, error) => {
+  if (error instanceof AccountError) {
+    res.status(error.status).json({ error: error.message });
+  } else if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Register a user; the response includes the first access and refresh tokens
+router.post('/auth/signup', async (req, res) => {
+  try {
+    const session = await accountService.signup(req.body, { userAgent: req.header('User-Agent') });
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error signing up:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Sign in with email and password
+router.post('/auth/login', attemptLimit('login'), async (req, res) => {
+  try {
+    const session = await accountService.login(req.body.email, req.body.password, {
+      userAgent: req.header('User-Agent'),
+    });
+    
+    res.status(200).json(session);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Exchange a refresh token for a new access and refresh token
+router.post('/auth/refresh', async (req, res) => {
+  try {
+    const tokens = await accountService.refresh(req.body.refreshToken, { userAgent: req.header('User-Agent') });
+    res.status(200).json(tokens);
+  } catch (error) {
+    console.error('Error refreshing tokens:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Sign out: revoke a refresh token (its access token expires on its own)
+router.post('/auth/logout', async (req, res) => {
+  try {
+    await accountService.logout(req.body.refreshToken);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Request a password reset; the answer is the same whether the account exists or not
+router.post('/auth/password/forgot', attemptLimit('passwordReset'), async (req, res) => {
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+    res.status(202).json({ message: 'If the account exists, a password reset token will be sent' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Set a new password with a reset token; every session of the account is signed out
+router.post('/auth/password/reset', attemptLimit('passwordReset'), async (req, res) => {
+  try {
+    await accountService.resetPassword(req.body.token, req.body.password);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    sendAccountError(res, error);
+  }
+});
+
 // Middleware to authenticate API requests
 router.use(authenticateApiKey);
 
+// Rate limits per API key and user across all authenticated endpoints
+router.use(rateLimit('api'));
+
 // Health check endpoint (no authentication required)
 router.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', version: '1.0.0' });
 });
 
 /**
- * Task endpoints
+ * Account endpoints
  */
 
-// Create a new task
-router.post('/tasks', async (req, res) => {
+// Get the authenticated user
+router.get('/auth/me', async (req, res) => {
   try {
-    const taskData = req.body;
+    const user = await accountService.getUser(req.user.id);
     
-    // Add user ID from authenticated request
-    taskData.user_id = req.user.id;
+    res.status(200).json({
+      ...user,
+      organizationId: req.user.organizationId,
+      organizationRole: req.user.organizationRole,
+      scopes: req.user.scopes,
+    });
+  } catch (error) {
+    console.error('Error getting user:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Change the password; other sessions are signed out and the response has new tokens
+router.post('/auth/password', async (req, res) => {
+  try {
+    const tokens = await accountService.changePassword(
+      req.user.id,
+      req.body.currentPassword,
+      req.body.newPassword,
+      { userAgent: req.header('User-Agent') }
+    );
     
-    const task = await taskManager.createTask(taskData);
-    res.status(201).json(task);
+    res.status(200).json(tokens);
   } catch (error) {
-    console.error('Error creating task:', error);
+    console.error('Error changing password:', error);
+    sendAccountError(res, error);
+  }
+});
+
+// Sign out everywhere: revoke all refresh tokens and issued access tokens
+router.post('/auth/logout-all', async (req, res) => {
+  try {
+    await accountService.logoutAll(req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error logging out everywhere:', error);
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * Organization endpoints: organizations of the authenticated user and their members.
+ * Changes need a signed-in user; API keys act inside an organization, not on it.
+ */
+
+// Map organization errors to response codes
+const sendOrganizationError = (res, error) => {
+  if (error instanceof OrganizationError) {
+    res.status(error.status).json({ error: error.message });
+  } else if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else {
     res.status(500).json({ error: error.message });
   }
+};
+
+// Reject requests authenticated with an API key
+const requireSignedInUser = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({ error: 'Organizations can only be changed by a signed-in user' });
+  }
+
+  next();
+};
+
+// Get the organizations of the authenticated user with their role in each
+router.get('/orgs', async (req, res) => {
+  try {
+    const organizations = await organizationService.listOrganizations(req.user.id);
+    res.status(200).json(organizations);
+  } catch (error) {
+    console.error('Error getting organizations:', error);
+    sendOrganizationError(res, error);
+  }
 });
 
-// Get all tasks for the authenticated user
-router.get('/tasks', async (req, res) => {
+// Create an organization; the authenticated user becomes its owner
+router.post('/orgs', requireSignedInUser, async (req, res) => {
   try {
-    const result = await taskManager.query(
-      'SELECT * FROM tasks WHERE user_id = $1 ORDER BY created_at DESC',
-      [req.user.id]
-    );
+    const organization = await organizationService.createOrganization(req.user.id, req.body);
+    res.status(201).json(organization);
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    sendOrganizationError(res, error);
+  }
+});
+
+// Get an organization
+router.get('/orgs/:id', async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.user.id, req.params.id);
+    res.status(200).json(organization);
+  } catch (error) {
+    console.error(`Error getting organization ${req.params.id}:`, error);
+    sendOrganizationError(res, error);
+  }
+});
+
+// Rename an organization (owners and admins)
+router.put('/orgs/:id', requireSignedInUser, async (req, res) => {
+  try {
+    const organization = await organizationService.updateOrganization(req.user.id, req.params.id, req.body);
+    res.status(200).json(organization);
+  } catch (error) {
+    console.error(`Error updating organization ${req.params.id}:`, error);
+    sendOrganizationError(res, error);
+  }
+});
+
+// Get the members of an organization
+router.get('/orgs/:id/members', async (req, res) => {
+  try {
+    const members = await organizationService.listMembers(req.user.id, req.params.id);
+    res.status(200).json(members);
+  } catch (error) {
+    console.error(`Error getting members of organization ${req.params.id}:`, error);
+    sendOrganizationError(res, error);
+  }
+});
+
+// Add a registered user by email (owners and admins)
+router.post('/orgs/:id/members', requireSignedInUser, async (req, res) => {
+  try {
+    const member = await organizationService.addMember(req.user.id, req.params.id, req.body);
+    res.status(201).json(member);
+  } catch (error) {
+    console.error(`Error adding member to organization ${req.params.id}:`, error);
+    sendOrganizationError(res, error);
+  }
+});
+
+// Change the role of a member (owners and admins)
+router.put('/orgs/:id/members/:userId', requireSignedInUser, async (req, res) => {
+  try {
+    const member = await organizationService.updateMember(req.user.id, req.params.id, req.params.userId, req.body);
+    res.status(200).json(member);
+  } catch (error) {
+    console.error(`Error updating member ${req.params.userId}:`, error);
+    sendOrganizationError(res, error);
+  }
+});
+
+// Remove a member or leave the organization; the member's API keys for it are revoked
+router.delete('/orgs/:id/members/:userId', requireSignedInUser, async (req, res) => {
+  try {
+    await organizationService.removeMember(req.user.id, req.params.id, req.params.userId);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error removing member ${req.params.userId}:`, error);
+    sendOrganizationError(res, error);
+  }
+});
+
+/**
+ * Usage endpoints
+ */
+
+// Get the usage of the selected organization in the current day and month, with its quotas
+router.get('/usage', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const quotas = await usageService.getUsage(req.user.organizationId);
+    res.status(200).json({ organizationId: req.user.organizationId, quotas });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Task endpoints
+ */
+
+// Create a new task
+router.post('/tasks', requireScope('tasks:write'), async (req, res) => {
+  try {
+    // The task belongs to the selected organization; the user is recorded as its creator
+    const task = await taskManager.createTask({
+      ...req.body,
+      user_id: req.user.id,
+      organization_id: req.user.organizationId,
+    });
+    res.status(201).json(redactTask(task));
+  } catch (error) {
+    console.error('Error creating task:', error);
     
-    res.status(200).json(result.rows);
+    if (error instanceof TaskValidationError) {
+      res.status(400).json({ error: error.message, errors: error.errors });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Check a task definition without creating it; ?partial=true checks it as an update
+router.post('/tasks/validate', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const errors = await taskManager.validateTask(req.user.organizationId, req.body, { partial: req.query.partial === 'true' });
+    res.status(200).json({ valid: errors.length === 0, errors });
+  } catch (error) {
+    console.error('Error validating task:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all tasks of the selected organization
+router.get('/tasks', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const tasks = await taskManager.getTasks(req.user.organizationId);
+    res.status(200).json(tasks.map(redactTask));
   } catch (error) {
     console.error('Error getting tasks:', error);
     res.status(500).json({ error: error.message });
@@ -51,16 +391,16 @@ router.get('/tasks', async (req, res) => {
 });
 
 // Get a specific task
-router.get('/tasks/:id', async (req, res) => {
+router.get('/tasks/:id', requireScope('tasks:read'), async (req, res) => {
   try {
     const task = await taskManager.getTask(req.params.id);
     
-    // Check if the task belongs to the authenticated user
-    if (task.user_id !== req.user.id) {
+    // Check if the task belongs to the selected organization
+    if (task.organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
-    res.status(200).json(task);
+    res.status(200).json(redactTask(task));
   } catch (error) {
     console.error(`Error getting task ${req.params.id}:`, error);
     
@@ -73,21 +413,23 @@ router.get('/tasks/:id', async (req, res) => {
 });
 
 // Update a task
-router.put('/tasks/:id', async (req, res) => {
+router.put('/tasks/:id', requireScope('tasks:write'), async (req, res) => {
   try {
-    // Check if the task belongs to the authenticated user
+    // Check if the task belongs to the selected organization
     const task = await taskManager.getTask(req.params.id);
     
-    if (task.user_id !== req.user.id) {
+    if (task.organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
     const updatedTask = await taskManager.updateTask(req.params.id, req.body);
-    res.status(200).json(updatedTask);
+    res.status(200).json(redactTask(updatedTask));
   } catch (error) {
     console.error(`Error updating task ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
+    if (error instanceof TaskValidationError) {
+      res.status(400).json({ error: error.message, errors: error.errors });
+    } else if (error.message.includes('not found')) {
       res.status(404).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
@@ -96,12 +438,12 @@ router.put('/tasks/:id', async (req, res) => {
 });
 
 // Delete a task
-router.delete('/tasks/:id', async (req, res) => {
+router.delete('/tasks/:id', requireScope('tasks:write'), async (req, res) => {
   try {
-    // Check if the task belongs to the authenticated user
+    // Check if the task belongs to the selected organization
     const task = await taskManager.getTask(req.params.id);
     
-    if (task.user_id !== req.user.id) {
+    if (task.organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
@@ -119,22 +461,24 @@ router.delete('/tasks/:id', async (req, res) => {
 });
 
 // Execute a task
-router.post('/tasks/:id/execute', async (req, res) => {
+router.post('/tasks/:id/execute', requireScope('tasks:execute'), rateLimit('execute'), requireQuota('executions', 'browser_minutes'), async (req, res) => {
   try {
-    // Check if the task belongs to the authenticated user
+    // Check if the task belongs to the selected organization
     const task = await taskManager.getTask(req.params.id);
     
-    if (task.user_id !== req.user.id) {
+    if (task.organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
-    // Start task execution (non-blocking)
-    res.status(202).json({ message: 'Task execution started', taskId: req.params.id });
+    // Queue the task; a worker claims it and executes it asynchronously
+    const { priority } = req.body;
+    const queued = await jobQueue.enqueue(req.params.id, { priority });
     
-    // Execute the task asynchronously
-    taskManager.executeTask(req.params.id).catch(error => {
-      console.error(`Async task execution error for task ${req.params.id}:`, error);
-    });
+    if (!queued) {
+      return res.status(409).json({ error: 'Task is already running' });
+    }
+    
+    res.status(202).json({ message: 'Task queued for execution', taskId: req.params.id });
   } catch (error) {
     console.error(`Error executing task ${req.params.id}:`, error);
     
@@ -146,13 +490,46 @@ router.post('/tasks/:id/execute', async (req, res) => {
   }
 });
 
+// Cancel a queued or running task
+router.post('/tasks/:id/cancel', requireScope('tasks:execute'), async (req, res) => {
+  try {
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
+    
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
+    }
+    
+    const cancelled = await taskManager.cancelTask(req.params.id);
+    
+    if (!cancelled) {
+      return res.status(409).json({ error: `Task is not queued or running (status: ${task.status})` });
+    }
+    
+    // A running task is aborted asynchronously by its worker
+    if (cancelled.status === 'running') {
+      return res.status(202).json({ message: 'Task cancellation requested', taskId: req.params.id });
+    }
+    
+    res.status(200).json({ message: 'Task cancelled', taskId: req.params.id });
+  } catch (error) {
+    console.error(`Error cancelling task ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // Get task result
-router.get('/tasks/:id/result', async (req, res) => {
+router.get('/tasks/:id/result', requireScope('tasks:read'), async (req, res) => {
   try {
-    // Check if the task belongs to the authenticated user
+    // Check if the task belongs to the selected organization
     const task = await taskManager.getTask(req.params.id);
     
-    if (task.user_id !== req.user.id) {
+    if (task.organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
@@ -175,12 +552,12 @@ router.get('/tasks/:id/result', async (req, res) => {
 });
 
 // Get task logs
-router.get('/tasks/:id/logs', async (req, res) => {
+router.get('/tasks/:id/logs', requireScope('tasks:read'), async (req, res) => {
   try {
-    // Check if the task belongs to the authenticated user
+    // Check if the task belongs to the selected organization
     const task = await taskManager.getTask(req.params.id);
     
-    if (task.user_id !== req.user.id) {
+    if (task.organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
@@ -197,58 +574,770 @@ router.get('/tasks/:id/logs', async (req, res) => {
   }
 });
 
-/**
- * OpenAI integration endpoints
- */
+// Stream status changes, run updates, step progress and log lines as Server-Sent Events.
+// Log lines carry their sequence number as event ID, so a reconnecting client resumes
+// after the last line it received (Last-Event-ID header or lastEventId query parameter)
+router.get('/tasks/:id/stream', requireScope('tasks:read'), async (req, res) => {
+  let closed = false;
+  let unsubscribe = null;
+  let keepAlive = null;
+  
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepAlive);
+    
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  });
+  
+  try {
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
+    
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
+    }
+    
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+    let cursor = Number.isNaN(lastEventId) ? null : lastEventId;
+    
+    const send = (event, data, id) => {
+      if (!closed) {
+        res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+    
+    // Current status of the task and its latest run
+    const sendSnapshot = async () => {
+      const current = await taskManager.getTask(task.id);
+      const { runs } = await runHistory.getRuns(task.id, { limit: 1 });
+      
+      send('status', {
+        task_id: current.id,
+        status: current.status,
+        next_run_at: current.next_run_at,
+        run: runs[0] || null,
+      });
+      
+      return runs[0];
+    };
+    
+    // Log lines after the cursor; lines written by steps are sent as step progress
+    const sendLogs = async (options) => {
+      const logs = await taskManager.getTaskLogs(task.id, options);
+      
+      for (const log of logs) {
+        send(log.metadata && log.metadata.step ? 'step' : 'log', log, log.seq);
+        cursor = log.seq;
+      }
+    };
+    
+    // Handle events one at a time so log lines are neither reordered nor sent twice
+    let pending = Promise.resolve();
+    const enqueue = (handler) => {
+      pending = pending.then(handler).catch((error) => {
+        console.error(`Error streaming events of task ${task.id}:`, error);
+      });
+    };
+    
+    unsubscribe = await taskEvents.subscribe(task.id, (event) => enqueue(async () => {
+      if (event.type === 'log') {
+        await sendLogs({ after: cursor ?? event.seq - 1 });
+      } else if (event.type === 'resync') {
+        await sendSnapshot();
+        await sendLogs({ after: cursor ?? 0 });
+      } else {
+        const { type, ...data } = event;
+        send(type, data);
+      }
+    }));
+    
+    if (closed) {
+      return unsubscribe();
+    }
+    
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    
+    // Resume after the last received line, or replay the log of the latest run
+    enqueue(async () => {
+      const run = await sendSnapshot();
+      
+      if (cursor !== null) {
+        await sendLogs({ after: cursor });
+      } else if (run) {
+        await sendLogs({ runId: run.id });
+      }
+    });
+    
+    // Comments keep proxies from closing an idle stream
+    keepAlive = setInterval(() => res.write(': keep-alive\n\n'), config.server.streamKeepAlive);
+  } catch (error) {
+    console.error(`Error streaming task ${req.params.id}:`, error);
+    
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    
+    if (res.headersSent) {
+      res.end();
+    } else if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
 
-// Process data with OpenAI
-router.post('/ai/process', async (req, res) => {
+// Get task execution attempts and failure counts per error class
+router.get('/tasks/:id/attempts', requireScope('tasks:read'), async (req, res) => {
   try {
-    const { data, options } = req.body;
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
     
-    if (!data) {
-      return res.status(400).json({ error: 'Data is required' });
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
-    const result = await openaiService.processData(data, options);
-    res.status(200).json(result);
+    const attempts = await taskManager.getTaskAttempts(req.params.id, { limit: req.query.limit });
+    res.status(200).json(attempts);
   } catch (error) {
-    console.error('Error processing data with OpenAI:', error);
-    res.status(500).json({ error: error.message });
+    console.error(`Error getting attempts for task ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
-// Generate automation instructions
-router.post('/ai/generate-instructions', async (req, res) => {
+// Get the run history of a task
+router.get('/tasks/:id/runs', requireScope('tasks:read'), async (req, res) => {
   try {
-    const { taskDescription } = req.body;
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
     
-    if (!taskDescription) {
-      return res.status(400).json({ error: 'Task description is required' });
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
-    const instructions = await openaiService.generateAutomationInstructions(taskDescription);
-    res.status(200).json(instructions);
+    const { limit, offset, status, trigger, changed } = req.query;
+    const runs = await runHistory.getRuns(req.params.id, { limit, offset, status, trigger, changed });
+    res.status(200).json(runs);
   } catch (error) {
-    console.error('Error generating automation instructions:', error);
-    res.status(500).json({ error: error.message });
+    console.error(`Error getting runs for task ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
-// Analyze webpage
-router.post('/ai/analyze-webpage', async (req, res) => {
+// Get a single run with its config snapshot, result and logs
+router.get('/tasks/:id/runs/:runId', requireScope('tasks:read'), async (req, res) => {
   try {
-    const { html, url } = req.body;
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
     
-    if (!html || !url) {
-      return res.status(400).json({ error: 'HTML and URL are required' });
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
     }
     
-    const analysis = await openaiService.analyzeWebpage(html, url);
-    res.status(200).json(analysis);
+    const run = await runHistory.getRun(req.params.id, req.params.runId);
+    res.status(200).json(run);
   } catch (error) {
-    console.error('Error analyzing webpage:', error);
-    res.status(500).json({ error: error.message });
+    console.error(`Error getting run ${req.params.runId} of task ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Get the data changes of a run since the previous successful run
+router.get('/tasks/:id/runs/:runId/diff', requireScope('tasks:read'), async (req, res) => {
+  try {
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
+    
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
+    }
+    
+    const diff = await runHistory.getDiff(req.params.id, req.params.runId);
+    res.status(200).json(diff);
+  } catch (error) {
+    console.error(`Error getting diff of run ${req.params.runId}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// List the artifacts of a task, optionally of a single run
+router.get('/tasks/:id/artifacts', requireScope('tasks:read'), async (req, res) => {
+  try {
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
+    
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
+    }
+    
+    const artifacts = await artifactStore.list(req.params.id, { runId: req.query.runId });
+    res.status(200).json(artifacts);
+  } catch (error) {
+    console.error(`Error listing artifacts for task ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Download an artifact
+router.get('/tasks/:id/artifacts/:artifactId/download', requireScope('tasks:read'), async (req, res) => {
+  try {
+    // Check if the task belongs to the selected organization
+    const task = await taskManager.getTask(req.params.id);
+    
+    if (task.organization_id !== req.user.organizationId) {
+      return res.status(403).json({ error: 'Unauthorized access to this task' });
+    }
+    
+    const artifact = await artifactStore.get(req.params.id, req.params.artifactId);
+    const stream = await artifactStore.open(artifact);
+    
+    // Always download, so captured pages never render on the API origin
+    res.setHeader('Content-Type', artifact.content_type);
+    res.setHeader('Content-Length', artifact.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.name.replace(/["\\\r\n]/g, '_')}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    
+    stream.on('error', (error) => {
+      console.error(`Error streaming artifact ${artifact.id}:`, error);
+      res.destroy(error);
+    });
+    
+    stream.pipe(res);
+  } catch (error) {
+    console.error(`Error downloading artifact ${req.params.artifactId}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Credential endpoints
+ */
+
+// Map credential vault errors to response codes
+const sendCredentialError = (res, error) => {
+  if (error instanceof CredentialError) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Store a credential; its password is encrypted and never returned
+router.post('/credentials', requireScope('credentials:write'), async (req, res) => {
+  try {
+    const credential = await credentialVault.createCredential(req.user.organizationId, req.user.id, req.body);
+    res.status(201).json(credential);
+  } catch (error) {
+    console.error('Error creating credential:', error);
+    sendCredentialError(res, error);
+  }
+});
+
+// Get all credentials of the selected organization
+router.get('/credentials', requireScope('credentials:read'), async (req, res) => {
+  try {
+    const credentials = await credentialVault.listCredentials(req.user.organizationId);
+    res.status(200).json(credentials);
+  } catch (error) {
+    console.error('Error getting credentials:', error);
+    sendCredentialError(res, error);
+  }
+});
+
+// Get a credential by ID
+router.get('/credentials/:id', requireScope('credentials:read'), async (req, res) => {
+  try {
+    const credential = await credentialVault.getCredential(req.user.organizationId, req.params.id);
+    res.status(200).json(credential);
+  } catch (error) {
+    console.error(`Error getting credential ${req.params.id}:`, error);
+    sendCredentialError(res, error);
+  }
+});
+
+// Update a credential
+router.put('/credentials/:id', requireScope('credentials:write'), async (req, res) => {
+  try {
+    const credential = await credentialVault.updateCredential(req.user.organizationId, req.params.id, req.body);
+    res.status(200).json(credential);
+  } catch (error) {
+    console.error(`Error updating credential ${req.params.id}:`, error);
+    sendCredentialError(res, error);
+  }
+});
+
+// Delete a credential that no task uses
+router.delete('/credentials/:id', requireScope('credentials:write'), async (req, res) => {
+  try {
+    await credentialVault.deleteCredential(req.user.organizationId, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting credential ${req.params.id}:`, error);
+    sendCredentialError(res, error);
+  }
+});
+
+/**
+ * Saved login session endpoints
+ */
+
+// Get the saved login sessions of the selected organization
+router.get('/sessions', requireScope('credentials:read'), async (req, res) => {
+  try {
+    const sessions = await sessionStore.listSessions(req.user.organizationId);
+    res.status(200).json(sessions);
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a saved session: its cookies and localStorage keys, without their values
+router.get('/sessions/:id', requireScope('credentials:read'), async (req, res) => {
+  try {
+    const session = await sessionStore.getSession(req.user.organizationId, req.params.id);
+    res.status(200).json(session);
+  } catch (error) {
+    console.error(`Error getting session ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Delete a saved session, so its tasks log in again
+router.delete('/sessions/:id', requireScope('credentials:write'), async (req, res) => {
+  try {
+    await sessionStore.deleteSession(req.user.organizationId, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting session ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * API key endpoints
+ */
+
+// Map API key errors to response codes
+const sendApiKeyError = (res, error) => {
+  if (error instanceof ApiKeyError) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Owners and admins manage every key of the organization, other members their own
+const getKeyOwnerFilter = (user) => (isOrganizationManager(user.organizationRole) ? null : user.id);
+
+// Create an API key for the selected organization; the response is the only one that
+// includes the key. Scopes default to those of the requesting key or user and cannot exceed them.
+router.post('/keys', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await generateApiKey(req.user.id, req.user.organizationId, {
+      name: req.body.name,
+      scopes: req.body.scopes ?? req.user.scopes,
+      expiresAt: req.body.expiresAt,
+    }, req.user.scopes);
+    
+    res.status(201).json(apiKey);
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    sendApiKeyError(res, error);
+  }
+});
+
+// Get the API keys of the selected organization, by prefix: all of them for owners
+// and admins, the user's own keys for other members
+router.get('/keys', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.organizationId, getKeyOwnerFilter(req.user));
+    res.status(200).json(apiKeys);
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    sendApiKeyError(res, error);
+  }
+});
+
+// Replace the secret of an API key; the old key stops working and the response includes the new one
+router.post('/keys/:id/rotate', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await rotateApiKey(req.params.id, req.user.organizationId, getKeyOwnerFilter(req.user));
+    res.status(200).json(apiKey);
+  } catch (error) {
+    console.error(`Error rotating API key ${req.params.id}:`, error);
+    sendApiKeyError(res, error);
+  }
+});
+
+// Revoke an API key
+router.delete('/keys/:id', requireScope('keys:manage'), async (req, res) => {
+  try {
+    await revokeApiKey(req.params.id, req.user.organizationId, getKeyOwnerFilter(req.user));
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error revoking API key ${req.params.id}:`, error);
+    sendApiKeyError(res, error);
+  }
+});
+
+/**
+ * Webhook endpoints
+ */
+
+// Map webhook service errors to response codes
+const sendWebhookError = (res, error) => {
+  if (error instanceof WebhookError) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create a webhook; the response is the only one that includes the full signing secret
+router.post('/webhooks', requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const webhook = await webhookService.createWebhook(req.user.organizationId, req.user.id, req.body);
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+// Get all webhooks of the selected organization
+router.get('/webhooks', requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.user.organizationId);
+    res.status(200).json(webhooks);
+  } catch (error) {
+    console.error('Error getting webhooks:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+// Get a webhook by ID
+router.get('/webhooks/:id', requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.user.organizationId, req.params.id);
+    res.status(200).json(webhook);
+  } catch (error) {
+    console.error('Error getting webhook:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+// Update a webhook
+router.put('/webhooks/:id', requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const webhook = await webhookService.updateWebhook(req.user.organizationId, req.params.id, req.body);
+    res.status(200).json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+// Delete a webhook
+router.delete('/webhooks/:id', requireScope('webhooks:write'), async (req, res) => {
+  try {
+    await webhookService.deleteWebhook(req.user.organizationId, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+// Get the delivery log of a webhook
+router.get('/webhooks/:id/deliveries', requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.user.organizationId, req.params.id, {
+      limit: req.query.limit,
+      offset: req.query.offset,
+      status: req.query.status,
+    });
+    
+    res.status(200).json(deliveries);
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+// Send a delivery again with its original payload
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireScope('webhooks:write'), async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.user.organizationId, req.params.id, req.params.deliveryId);
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    sendWebhookError(res, error);
+  }
+});
+
+/**
+ * OpenAI integration endpoints
+ */
+
+// Process data with OpenAI
+router.post('/ai/process', requireScope('ai:use'), rateLimit('ai'), requireQuota('ai_tokens'), async (req, res) => {
+  try {
+    const { data, options } = req.body;
+    
+    if (!data) {
+      return res.status(400).json({ error: 'Data is required' });
+    }
+    
+    const result = await openaiService.processData(data, { ...options, organizationId: req.user.organizationId });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error processing data with OpenAI:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate automation instructions
+router.post('/ai/generate-instructions', requireScope('ai:use'), rateLimit('ai'), requireQuota('ai_tokens'), async (req, res) => {
+  try {
+    const { taskDescription } = req.body;
+    
+    if (!taskDescription) {
+      return res.status(400).json({ error: 'Task description is required' });
+    }
+    
+    const instructions = await openaiService.generateAutomationInstructions(taskDescription, {
+      organizationId: req.user.organizationId,
+    });
+    res.status(200).json(instructions);
+  } catch (error) {
+    console.error('Error generating automation instructions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Analyze webpage
+router.post('/ai/analyze-webpage', requireScope('ai:use'), rateLimit('ai'), requireQuota('ai_tokens'), async (req, res) => {
+  try {
+    const { html, url } = req.body;
+    
+    if (!html || !url) {
+      return res.status(400).json({ error: 'HTML and URL are required' });
+    }
+    
+    const analysis = await openaiService.analyzeWebpage(html, url, { organizationId: req.user.organizationId });
+    res.status(200).json(analysis);
+  } catch (error) {
+    console.error('Error analyzing webpage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+
+/**
+ * Admin endpoints: every user's accounts, organizations, tasks, API keys and executions
+ */
+
+// Map admin errors to response codes
+const sendAdminError = (res, error) => {
+  if (error instanceof AdminError) {
+    res.status(error.status).json({ error: error.message });
+  } else if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// List all users (optional role and active filters)
+router.get('/admin/users', requireScope('admin'), async (req, res) => {
+  try {
+    const { role, active, limit, offset } = req.query;
+    const users = await adminService.listUsers({ role, active, limit, offset });
+    res.status(200).json(users);
+  } catch (error) {
+    console.error('Error listing users:', error);
+    sendAdminError(res, error);
+  }
+});
+
+// Get a user
+router.get('/admin/users/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const user = await adminService.getUser(req.params.id);
+    res.status(200).json(user);
+  } catch (error) {
+    console.error(`Error getting user ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// Change the role, name or enabled state of a user
+router.put('/admin/users/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const { role, name, active } = req.body;
+    const user = await adminService.updateUser(req.params.id, { role, name, active }, req.user.id);
+    res.status(200).json(user);
+  } catch (error) {
+    console.error(`Error updating user ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// Sign a user out of every session
+router.post('/admin/users/:id/logout', requireScope('admin'), async (req, res) => {
+  try {
+    await adminService.logoutUser(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error logging out user ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// List all organizations (optional userId filter)
+router.get('/admin/orgs', requireScope('admin'), async (req, res) => {
+  try {
+    const { userId, limit, offset } = req.query;
+    const organizations = await adminService.listOrganizations({ userId, limit, offset });
+    res.status(200).json(organizations);
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    sendAdminError(res, error);
+  }
+});
+
+// List the tasks of all users (optional userId, organizationId and status filters)
+router.get('/admin/tasks', requireScope('admin'), async (req, res) => {
+  try {
+    const { userId, organizationId, status, limit, offset } = req.query;
+    const page = await adminService.listTasks({ userId, organizationId, status, limit, offset });
+    res.status(200).json({ ...page, tasks: page.tasks.map(redactTask) });
+  } catch (error) {
+    console.error('Error listing tasks:', error);
+    sendAdminError(res, error);
+  }
+});
+
+// Cancel a queued or running task right away, without waiting for its worker
+router.post('/admin/tasks/:id/cancel', requireScope('admin'), async (req, res) => {
+  try {
+    const task = await adminService.forceCancelTask(req.params.id);
+    res.status(200).json(redactTask(task));
+  } catch (error) {
+    console.error(`Error force-cancelling task ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// Queue a task to run again (optional body { "priority": 10 })
+router.post('/admin/tasks/:id/requeue', requireScope('admin'), async (req, res) => {
+  try {
+    const { priority } = req.body;
+    const task = await adminService.requeueTask(req.params.id, { priority });
+    res.status(202).json(redactTask(task));
+  } catch (error) {
+    console.error(`Error requeueing task ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// Delete any user's task
+router.delete('/admin/tasks/:id', requireScope('admin'), async (req, res) => {
+  try {
+    await taskManager.deleteTask(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting task ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// List the API keys of all users (optional userId, organizationId and active filters)
+router.get('/admin/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const { userId, organizationId, active, limit, offset } = req.query;
+    const keys = await adminService.listApiKeys({ userId, organizationId, active, limit, offset });
+    res.status(200).json(keys);
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    sendAdminError(res, error);
+  }
+});
+
+// Revoke any user's API key
+router.delete('/admin/keys/:id', requireScope('admin'), async (req, res) => {
+  try {
+    await adminService.revokeApiKey(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error revoking API key ${req.params.id}:`, error);
+    sendAdminError(res, error);
+  }
+});
+
+// List the executions running on all workers
+router.get('/admin/executions', requireScope('admin'), async (req, res) => {
+  try {
+    const executions = await adminService.listExecutions();
+    res.status(200).json(executions);
+  } catch (error) {
+    console.error('Error listing executions:', error);
+    sendAdminError(res, error);
   }
 });
 
@@ -15,6 +15,12 @@ export default {
   server: {
     port: process.env.PORT || 3000,
     environment: process.env.NODE_ENV || 'development',
+    // Express "trust proxy" setting, so client IPs are read from X-Forwarded-For behind a proxy
+    trustProxy: process.env.TRUST_PROXY || false,
+    // Public base URL of the API, used for links in webhook payloads
+    publicUrl: (process.env.PUBLIC_URL || '').replace(/\/$/, ''),
+    // Milliseconds between keep-alive comments on event streams
+    streamKeepAlive: parseInt(process.env.STREAM_KEEPALIVE_INTERVAL || '15000', 10),
   },
   
   // Database configuration
@@ -33,11 +39,138 @@ export default {
     model: process.env.OPENAI_MODEL || 'gpt-4',
   },
   
+  // User accounts and session tokens
+  auth: {
+    tokenSecret: process.env.AUTH_TOKEN_SECRET,
+    accessTokenTtl: parseInt(process.env.AUTH_ACCESS_TOKEN_TTL || '900000', 10),
+    refreshTokenTtl: parseInt(process.env.AUTH_REFRESH_TOKEN_TTL || '2592000000', 10),
+    resetTokenTtl: parseInt(process.env.AUTH_RESET_TOKEN_TTL || '3600000', 10),
+    // Endpoint (e.g. a mailer) that receives password reset tokens; without it resets are only
+    // available outside production, where tokens are written to the server log
+    resetDeliveryUrl: process.env.AUTH_RESET_DELIVERY_URL || '',
+    resetDeliveryTimeout: parseInt(process.env.AUTH_RESET_DELIVERY_TIMEOUT || '10000', 10),
+    passwordMinLength: parseInt(process.env.AUTH_PASSWORD_MIN_LENGTH || '10', 10),
+    allowSignup: process.env.AUTH_ALLOW_SIGNUP !== 'false',
+  },
+
+  // Credential vault encryption keys (32 bytes, base64 or hex)
+  vault: {
+    key: process.env.CREDENTIAL_KEY,
+    keyId: process.env.CREDENTIAL_KEY_ID || 'k1',
+    // Earlier keys, still used to decrypt until `npm run rotate-credentials` re-encrypts: "id:key,id:key"
+    previousKeys: (process.env.CREDENTIAL_PREVIOUS_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  },
+  
   // Browser automation configuration
   browser: {
     headless: process.env.BROWSER_HEADLESS !== 'false',
     slowMo: parseInt(process.env.BROWSER_SLOW_MO || '0', 10),
     defaultTimeout: parseInt(process.env.BROWSER_DEFAULT_TIMEOUT || '30000', 10),
     userDataDir: process.env.BROWSER_USER_DATA_DIR || join(rootDir, '.browser-data'),
+    maxBrowsers: Math.max(parseInt(process.env.BROWSER_MAX_BROWSERS || '1', 10), 1),
+    maxContexts: Math.max(parseInt(process.env.BROWSER_MAX_CONTEXTS || '5', 10), 1),
+    maxUsesPerBrowser: parseInt(process.env.BROWSER_MAX_USES || '50', 10),
+    acquireTimeout: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT || '0', 10),
+    recordTrace: process.env.BROWSER_RECORD_TRACE || 'off',
+    recordHar: process.env.BROWSER_RECORD_HAR || 'off',
+  },
+
+  // Task queue worker configuration
+  worker: {
+    embedded: process.env.WORKER_EMBEDDED !== 'false',
+    concurrency: Math.max(parseInt(process.env.WORKER_CONCURRENCY || process.env.BROWSER_MAX_CONTEXTS || '5', 10), 1),
+    pollInterval: parseInt(process.env.WORKER_POLL_INTERVAL || '5000', 10),
+    leaseDuration: parseInt(process.env.WORKER_LEASE_DURATION || '60000', 10),
+    heartbeatInterval: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL || '15000', 10),
+    recoveryInterval: parseInt(process.env.WORKER_RECOVERY_INTERVAL || '30000', 10),
+    shutdownTimeout: parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT || '30000', 10),
+    maxRuntime: parseInt(process.env.WORKER_MAX_RUNTIME || '900000', 10),
+  },
+
+  // Artifact storage for screenshots, HTML snapshots and other run files
+  artifacts: {
+    backend: process.env.ARTIFACT_BACKEND || 'local',
+    localDir: process.env.ARTIFACT_DIR || join(rootDir, '.artifacts'),
+    retentionDays: parseInt(process.env.ARTIFACT_RETENTION_DAYS || '30', 10),
+    maxRunsPerTask: parseInt(process.env.ARTIFACT_MAX_RUNS_PER_TASK || '0', 10),
+    cleanupInterval: parseInt(process.env.ARTIFACT_CLEANUP_INTERVAL || '3600000', 10),
+  },
+
+  // Saved login sessions
+  sessions: {
+    ttl: parseInt(process.env.SESSION_TTL || '604800000', 10),
+    checkTimeout: parseInt(process.env.SESSION_CHECK_TIMEOUT || '10000', 10),
+  },
+
+  // Webhook delivery
+  webhooks: {
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10),
+    maxAttempts: Math.max(parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10), 1),
+    initialDelay: parseInt(process.env.WEBHOOK_INITIAL_DELAY || '30000', 10),
+    multiplier: 2,
+    maxDelay: parseInt(process.env.WEBHOOK_MAX_DELAY || '21600000', 10),
+    jitter: 0.2,
+    maxPayloadBytes: parseInt(process.env.WEBHOOK_MAX_PAYLOAD_BYTES || '262144', 10),
+    batchSize: 10,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL || '5000', 10),
+  },
+
+  // Rate limits per API key and per user: requests per window for each group of
+  // endpoints (0 turns a limit off)
+  rateLimits: {
+    window: parseInt(process.env.RATE_LIMIT_WINDOW || '60000', 10),
+    api: {
+      perKey: parseInt(process.env.RATE_LIMIT_API_PER_KEY || '0', 10),
+      perUser: parseInt(process.env.RATE_LIMIT_API_PER_USER || '0', 10),
+    },
+    execute: {
+      perKey: parseInt(process.env.RATE_LIMIT_EXECUTE_PER_KEY || '10', 10),
+      perUser: parseInt(process.env.RATE_LIMIT_EXECUTE_PER_USER || '30', 10),
+    },
+    ai: {
+      perKey: parseInt(process.env.RATE_LIMIT_AI_PER_KEY || '20', 10),
+      perUser: parseInt(process.env.RATE_LIMIT_AI_PER_USER || '60', 10),
+    },
+  },
+
+  // Attempt limits of sign-in and password reset per client IP and per email address
+  // (0 turns a limit off)
+  attemptLimits: {
+    window: parseInt(process.env.ATTEMPT_LIMIT_WINDOW || '900000', 10),
+    login: {
+      perIp: parseInt(process.env.ATTEMPT_LIMIT_LOGIN_PER_IP || '50', 10),
+      perEmail: parseInt(process.env.ATTEMPT_LIMIT_LOGIN_PER_EMAIL || '10', 10),
+    },
+    passwordReset: {
+      perIp: parseInt(process.env.ATTEMPT_LIMIT_RESET_PER_IP || '20', 10),
+      perEmail: parseInt(process.env.ATTEMPT_LIMIT_RESET_PER_EMAIL || '5', 10),
+    },
+  },
+
+  // Usage quotas per organization, by UTC day and calendar month (0 means unlimited)
+  quotas: {
+    executions: {
+      day: parseInt(process.env.QUOTA_EXECUTIONS_DAILY || '0', 10),
+      month: parseInt(process.env.QUOTA_EXECUTIONS_MONTHLY || '0', 10),
+    },
+    browser_minutes: {
+      day: parseInt(process.env.QUOTA_BROWSER_MINUTES_DAILY || '0', 10),
+      month: parseInt(process.env.QUOTA_BROWSER_MINUTES_MONTHLY || '0', 10),
+    },
+    ai_tokens: {
+      day: parseInt(process.env.QUOTA_AI_TOKENS_DAILY || '0', 10),
+      month: parseInt(process.env.QUOTA_AI_TOKENS_MONTHLY || '0', 10),
+    },
+  },
+
+  // Default retry policy for failed executions (tasks override it with config.retry)
+  retry: {
+    maxAttempts: Math.max(parseInt(process.env.RETRY_MAX_ATTEMPTS || '1', 10), 1),
+    initialDelay: parseInt(process.env.RETRY_INITIAL_DELAY || '30000', 10),
+    multiplier: parseFloat(process.env.RETRY_MULTIPLIER || '2'),
+    maxDelay: parseInt(process.env.RETRY_MAX_DELAY || '3600000', 10),
+    jitter: parseFloat(process.env.RETRY_JITTER || '0.2'),
+    retryOn: (process.env.RETRY_ON || 'navigation_timeout,network_error,browser_crash,ai_rate_limit')
+      .split(',').map(value => value.trim()).filter(Boolean),
   },
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Create an API key for a user from the command line, e.g. the first key of a new installation:
+//   npm run create-api-key -- <email> [name] [scope,scope,...] [organization-id]
+// The key acts in the given organization, or the first one the user joined. Without scopes it gets
+// every scope the user's role and organization role allow. The key is printed once; only its hash is stored.
+import { pool, query } from './db/database.js';
+import organizationService from './services/organizations.js';
+import { generateApiKey, getScopes } from './utils/auth.js';
+
+const [email, name = 'Command line', scopes, organizationId] = process.argv.slice(2);
+
+try {
+  if (!email) {
+    throw new Error('Usage: npm run create-api-key -- <email> [name] [scope,scope,...] [organization-id]');
+  }
+
+  const result = await query('SELECT id, role FROM users WHERE email = $1', [email]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`User ${email} not found`);
+  }
+
+  const { id, role } = result.rows[0];
+  const membership = organizationId
+    ? await organizationService.getMembership(id, organizationId)
+    : await organizationService.getDefaultMembership(id);
+
+  if (!membership) {
+    throw new Error(organizationId ? `${email} is not a member of organization ${organizationId}` : `${email} has no organization`);
+  }
+
+  const allowedScopes = getScopes(role, membership.role);
+
+  const apiKey = await generateApiKey(id, membership.organization_id, {
+    name,
+    scopes: scopes ? scopes.split(',').map(scope => scope.trim()) : allowedScopes,
+  }, allowedScopes);
+
+  console.log(`Created API key ${apiKey.id} for ${membership.name} (${apiKey.scopes.join(', ')}):`);
+  console.log(apiKey.key);
+} catch (error) {
+  console.error('Failed to create API key:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
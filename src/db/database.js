@@ -5,7 +5,7 @@ import config from '../config/config.js';
 const { Pool } = pg;
 
 // Create a connection pool
-const pool = new Pool({
+export const pool = new Pool({
   host: config.database.host,
   port: config.database.port,
   user: config.database.user,
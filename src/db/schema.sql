@@ -16,7 +16,41 @@ CREATE TABLE IF NOT EXISTS tasks (
   completed_at TIMESTAMP WITH TIME ZONE,
   error TEXT,
   config JSONB NOT NULL DEFAULT '{}'::JSONB,
-  user_id UUID
+  user_id UUID, -- creator of the task
+  organization_id UUID, -- owner of the task
+  priority INTEGER NOT NULL DEFAULT 0,
+  locked_by VARCHAR(255), -- ID of the worker holding the lease
+  locked_at TIMESTAMP WITH TIME ZONE,
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+  schedule JSONB, -- recurring schedule: cron or interval, timezone, window, catch-up policy
+  next_run_at TIMESTAMP WITH TIME ZONE, -- when the queue runs the task next
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  attempt INTEGER NOT NULL DEFAULT 0, -- failed attempts of the current run awaiting retry
+  cancel_requested_at TIMESTAMP WITH TIME ZONE, -- set while a running task waits for its worker to abort it
+  run_trigger VARCHAR(20) -- what queued the next run: manual, schedule, retry or api
+);
+
+-- Task runs table to store the history of every execution
+CREATE TABLE IF NOT EXISTS task_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  trigger VARCHAR(20) NOT NULL, -- manual, schedule, retry or api
+  status VARCHAR(50) NOT NULL DEFAULT 'running',
+  config JSONB NOT NULL DEFAULT '{}'::JSONB, -- snapshot of the task config the run used
+  url TEXT,
+  worker_id VARCHAR(255),
+  error TEXT,
+  error_class VARCHAR(50),
+  failed_phase VARCHAR(50),
+  phases JSONB NOT NULL DEFAULT '{}'::JSONB, -- phase durations in milliseconds
+  queued_at TIMESTAMP WITH TIME ZONE, -- when the run was due
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  duration INTEGER, -- in milliseconds
+  baseline_run_id UUID REFERENCES task_runs(id) ON DELETE SET NULL, -- previous successful run the data was compared to
+  data_changed BOOLEAN, -- NULL without a baseline
+  diff JSONB -- added, removed and changed records since the baseline
 );
 
 -- Task results table to store the output of automation tasks
@@ -28,7 +62,10 @@ CREATE TABLE IF NOT EXISTS task_results (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   processing_time INTEGER, -- in milliseconds
   status VARCHAR(50) NOT NULL DEFAULT 'completed',
-  error TEXT
+  error TEXT,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  error_class VARCHAR(50),
+  run_id UUID REFERENCES task_runs(id) ON DELETE CASCADE
 );
 
 -- Task logs table to store detailed logs for debugging
@@ -38,7 +75,25 @@ CREATE TABLE IF NOT EXISTS task_logs (
   level VARCHAR(20) NOT NULL,
   message TEXT NOT NULL,
   metadata JSONB,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  run_id UUID REFERENCES task_runs(id) ON DELETE CASCADE,
+  seq BIGSERIAL -- ordering and event ID for streaming
+);
+
+-- Artifacts table to index files produced by task runs
+CREATE TABLE IF NOT EXISTS artifacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  run_id UUID REFERENCES task_runs(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL, -- screenshot, html, trace, har, file
+  name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(255) NOT NULL,
+  size INTEGER NOT NULL, -- in bytes
+  backend VARCHAR(50) NOT NULL,
+  storage_key TEXT NOT NULL,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE
 );
 
 -- Users table for authentication
@@ -47,41 +102,324 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(255) UNIQUE NOT NULL,
   password_hash VARCHAR(255) NOT NULL,
   name VARCHAR(255),
-  role VARCHAR(50) NOT NULL DEFAULT 'user',
+  role VARCHAR(50) NOT NULL DEFAULT 'operator', -- admin, operator or viewer
+  is_active BOOLEAN NOT NULL DEFAULT TRUE, -- disabled users can neither sign in nor use their API keys
+  token_version INTEGER NOT NULL DEFAULT 0, -- bumped to invalidate issued access tokens
+  password_changed_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   last_login TIMESTAMP WITH TIME ZONE
 );
 
+-- Organizations own tasks, credentials, sessions, webhooks and API keys
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organization members and their role in the organization
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'member', -- owner, admin, member or viewer
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, user_id)
+);
+
+-- Refresh tokens of signed-in users; each one is exchanged once for a new pair
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token
+  user_agent TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use password reset tokens
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- API keys for service access
 CREATE TABLE IF NOT EXISTS api_keys (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  key VARCHAR(255) UNIQUE NOT NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- member the key acts as
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- organization the key is issued for
+  key_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the key; the key itself is never stored
+  key_prefix VARCHAR(20) NOT NULL, -- first characters of the key, to recognize it in listings
   name VARCHAR(255) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   expires_at TIMESTAMP WITH TIME ZONE,
   last_used TIMESTAMP WITH TIME ZONE,
+  rotated_at TIMESTAMP WITH TIME ZONE,
   is_active BOOLEAN DEFAULT TRUE
 );
 
 -- Saved credentials for website logins
 CREATE TABLE IF NOT EXISTS credentials (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- creator of the credential
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- owner of the credential
   name VARCHAR(255) NOT NULL,
   domain VARCHAR(255) NOT NULL,
   username VARCHAR(255),
-  password_encrypted TEXT,
+  password_encrypted TEXT, -- AES-256-GCM, see services/credentials.js
+  totp_secret_encrypted TEXT, -- TOTP seed for second-factor logins
+  key_id VARCHAR(50), -- vault key the secrets are encrypted with
   additional_data JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Saved login sessions (Playwright storage state), reused by later runs
+CREATE TABLE IF NOT EXISTS browser_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- creator of the task that saved the session
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- owner; session keys are unique per organization
+  session_key VARCHAR(255) NOT NULL,
+  domain VARCHAR(255),
+  credential_id UUID REFERENCES credentials(id) ON DELETE CASCADE,
+  storage_state TEXT NOT NULL, -- AES-256-GCM with the vault key, see services/sessions.js
+  key_id VARCHAR(50),
+  summary JSONB, -- cookie names and localStorage keys, without values
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook endpoints notified of task lifecycle events
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- creator of the webhook
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- owner of the webhook
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE, -- NULL for every task of the organization
+  url TEXT NOT NULL,
+  secret VARCHAR(255) NOT NULL, -- HMAC signing secret
+  events TEXT[] NOT NULL,
+  include_data BOOLEAN NOT NULL DEFAULT TRUE,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Webhook delivery log and retry queue
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, delivered or failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration INTEGER, -- in milliseconds
+  redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Usage counters: API requests per key or user and rate limit window, and executions,
+-- browser seconds and AI tokens per organization and day or month (for quotas)
+CREATE TABLE IF NOT EXISTS usage_counters (
+  subject VARCHAR(100) NOT NULL, -- key:<id>, user:<id>, organization:<id>, ip:<address> or email:<hash>
+  metric VARCHAR(50) NOT NULL, -- rate limit (e.g. rate:execute) or quota metric
+  period VARCHAR(10) NOT NULL, -- window, day or month
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  count BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (subject, metric, period, period_start)
+);
+
+-- Upgrades for databases created with an earlier version of this schema
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS schedule JSONB;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS run_trigger VARCHAR(20);
+ALTER TABLE task_results ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES task_runs(id) ON DELETE CASCADE;
+ALTER TABLE task_logs ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES task_runs(id) ON DELETE CASCADE;
+ALTER TABLE task_results ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE task_results ADD COLUMN IF NOT EXISTS error_class VARCHAR(50);
+ALTER TABLE task_logs ADD COLUMN IF NOT EXISTS seq BIGSERIAL;
+ALTER TABLE task_runs ADD COLUMN IF NOT EXISTS baseline_run_id UUID REFERENCES task_runs(id) ON DELETE SET NULL;
+ALTER TABLE task_runs ADD COLUMN IF NOT EXISTS data_changed BOOLEAN;
+ALTER TABLE task_runs ADD COLUMN IF NOT EXISTS diff JSONB;
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS key_id VARCHAR(50);
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS totp_secret_encrypted TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'operator';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hash VARCHAR(64);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(20);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS organization_id UUID;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE credentials ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE browser_sessions ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE browser_sessions DROP CONSTRAINT IF EXISTS browser_sessions_user_id_session_key_key;
+UPDATE tasks SET next_run_at = scheduled_for WHERE status = 'pending' AND next_run_at IS NULL AND scheduled_for IS NOT NULL;
+UPDATE users SET role = 'operator' WHERE role = 'user';
+
+-- Plaintext API keys of earlier versions are replaced by their hash and keep full access
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'api_keys' AND column_name = 'key'
+  ) THEN
+    UPDATE api_keys SET
+      key_hash = encode(sha256(convert_to(key, 'UTF8')), 'hex'),
+      key_prefix = left(key, 6),
+      scopes = ARRAY['tasks:read', 'tasks:write', 'tasks:execute', 'credentials:read', 'credentials:write',
+        'webhooks:read', 'webhooks:write', 'ai:use', 'keys:manage']
+    WHERE key_hash IS NULL;
+
+    ALTER TABLE api_keys DROP COLUMN key;
+    ALTER TABLE api_keys ALTER COLUMN key_hash SET NOT NULL;
+    ALTER TABLE api_keys ALTER COLUMN key_prefix SET NOT NULL;
+  END IF;
+END $$;
+
+-- Every user without an organization gets a personal one, which takes over the data
+-- the user owned before organizations existed
+DO $$
+DECLARE
+  member RECORD;
+  personal_id UUID;
+BEGIN
+  FOR member IN
+    SELECT id, name, email FROM users
+    WHERE NOT EXISTS (SELECT 1 FROM organization_members WHERE organization_members.user_id = users.id)
+  LOOP
+    INSERT INTO organizations (name) VALUES (COALESCE(member.name, member.email)) RETURNING id INTO personal_id;
+    INSERT INTO organization_members (organization_id, user_id, role) VALUES (personal_id, member.id, 'owner');
+  END LOOP;
+END $$;
+
+UPDATE tasks SET organization_id = (
+  SELECT organization_id FROM organization_members WHERE user_id = tasks.user_id ORDER BY created_at LIMIT 1
+) WHERE organization_id IS NULL AND user_id IS NOT NULL;
+UPDATE credentials SET organization_id = (
+  SELECT organization_id FROM organization_members WHERE user_id = credentials.user_id ORDER BY created_at LIMIT 1
+) WHERE organization_id IS NULL;
+UPDATE api_keys SET organization_id = (
+  SELECT organization_id FROM organization_members WHERE user_id = api_keys.user_id ORDER BY created_at LIMIT 1
+) WHERE organization_id IS NULL;
+UPDATE webhooks SET organization_id = (
+  SELECT organization_id FROM organization_members WHERE user_id = webhooks.user_id ORDER BY created_at LIMIT 1
+) WHERE organization_id IS NULL;
+
+-- Sessions are encrypted for their organization, so earlier ones cannot be reused; tasks log in again
+DELETE FROM browser_sessions WHERE organization_id IS NULL;
+
+-- Notify streaming clients of new log lines and status changes (see services/events.js)
+CREATE OR REPLACE FUNCTION notify_task_log() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('task_events', json_build_object('type', 'log', 'task_id', NEW.task_id, 'seq', NEW.seq)::text);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION notify_task_status() RETURNS trigger AS $$
+BEGIN
+  -- Payloads stay small (NOTIFY is limited to 8000 bytes); clients fetch details
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    PERFORM pg_notify('task_events', json_build_object(
+      'type', 'status',
+      'task_id', NEW.id,
+      'status', NEW.status,
+      'previous_status', OLD.status,
+      'next_run_at', NEW.next_run_at
+    )::text);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION notify_task_run() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    PERFORM pg_notify('task_events', json_build_object(
+      'type', 'run',
+      'task_id', NEW.task_id,
+      'run_id', NEW.id,
+      'status', NEW.status,
+      'attempt', NEW.attempt,
+      'trigger', NEW.trigger,
+      'error_class', NEW.error_class,
+      'duration', NEW.duration,
+      'data_changed', NEW.data_changed
+    )::text);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS task_logs_notify ON task_logs;
+CREATE TRIGGER task_logs_notify AFTER INSERT ON task_logs
+  FOR EACH ROW EXECUTE FUNCTION notify_task_log();
+
+DROP TRIGGER IF EXISTS tasks_notify_status ON tasks;
+CREATE TRIGGER tasks_notify_status AFTER UPDATE OF status ON tasks
+  FOR EACH ROW EXECUTE FUNCTION notify_task_status();
+
+DROP TRIGGER IF EXISTS task_runs_notify ON task_runs;
+CREATE TRIGGER task_runs_notify AFTER INSERT OR UPDATE OF status ON task_runs
+  FOR EACH ROW EXECUTE FUNCTION notify_task_run();
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
 CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
 CREATE INDEX IF NOT EXISTS idx_task_results_task_id ON task_results(task_id);
 CREATE INDEX IF NOT EXISTS idx_task_logs_task_id ON task_logs(task_id);
 CREATE INDEX IF NOT EXISTS idx_credentials_user_id ON credentials(user_id);
-CREATE INDEX IF NOT EXISTS idx_credentials_domain ON credentials(domain);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_tasks_organization_id ON tasks(organization_id);
+CREATE INDEX IF NOT EXISTS idx_credentials_organization_id ON credentials(organization_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON api_keys(organization_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_organization_id ON webhooks(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_browser_sessions_organization_key ON browser_sessions(organization_id, session_key);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_credentials_domain ON credentials(domain);
+CREATE INDEX IF NOT EXISTS idx_tasks_queue ON tasks(status, priority DESC, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_task_runs_task_id ON task_runs(task_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_task_results_run_id ON task_results(run_id);
+CREATE INDEX IF NOT EXISTS idx_task_logs_run_id ON task_logs(run_id);
+CREATE INDEX IF NOT EXISTS idx_task_logs_seq ON task_logs(task_id, seq);
+CREATE INDEX IF NOT EXISTS idx_artifacts_task_id ON artifacts(task_id, run_id);
+CREATE INDEX IF NOT EXISTS idx_artifacts_expires_at ON artifacts(expires_at);
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+CREATE INDEX IF NOT EXISTS idx_browser_sessions_expires_at ON browser_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_usage_counters_period_start ON usage_counters(period_start);
\ No newline at end of file
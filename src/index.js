@@ -4,11 +4,18 @@ import cors from 'cors';
 import config from './config/config.js';
 import apiRoutes from './api/routes.js';
 import { query } from './db/database.js';
-import taskManager from './services/taskManager.js';
+import worker from './services/worker.js';
+import taskEvents from './services/events.js';
+import accountService from './services/accounts.js';
 
 // Create Express application
 const app = express();
 
+// Client IPs for attempt limits come from X-Forwarded-For when behind a proxy
+if (config.server.trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(config.server.trustProxy) ? parseInt(config.server.trustProxy, 10) : config.server.trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -40,6 +47,11 @@ const server = app.listen(config.server.port, () => {
   console.log(`Server running on port ${config.server.port} in ${config.server.environment} mode`);
 });
 
+// Password resets are rejected until their tokens can be delivered
+if (!accountService.canDeliverPasswordReset()) {
+  console.warn('Password reset is disabled: set AUTH_RESET_DELIVERY_URL to deliver reset tokens');
+}
+
 // Test database connection
 query('SELECT NOW()')
   .then(result => {
@@ -49,29 +61,10 @@ query('SELECT NOW()')
     console.error('Database connection failed:', error);
   });
 
-// Task scheduler (runs every minute)
-setInterval(async () => {
-  try {
-    // Get pending tasks
-    const pendingTasks = await taskManager.getPendingTasks();
-    
-    if (pendingTasks.length > 0) {
-      console.log(`Found ${pendingTasks.length} pending tasks to execute`);
-      
-      // Execute each task
-      for (const task of pendingTasks) {
-        console.log(`Executing task: ${task.id} - ${task.name}`);
-        
-        // Execute task asynchronously
-        taskManager.executeTask(task.id).catch(error => {
-          console.error(`Task execution error for task ${task.id}:`, error);
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Task scheduler error:', error);
-  }
-}, 60000); // 60 seconds
+// Run a queue worker inside the API process unless workers run separately
+if (config.worker.embedded) {
+  worker.start();
+}
 
 // Graceful shutdown
 process.on('SIGTERM', shutdown);
@@ -85,6 +78,12 @@ async function shutdown() {
     console.log('HTTP server closed');
   });
   
+  // Stop claiming tasks and let running ones finish
+  await worker.stop();
+  
+  // Release the event stream connection
+  await taskEvents.close();
+  
   // Close database pool
   try {
     const { pool } = await import('./db/database.js');
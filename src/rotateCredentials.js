@@ -0,0 +1,14 @@
+// Re-encrypt stored credentials with the current vault key (CREDENTIAL_KEY / CREDENTIAL_KEY_ID).
+// Keep the old key in CREDENTIAL_PREVIOUS_KEYS until this has completed.
+import { pool } from './db/database.js';
+import credentialVault from './services/credentials.js';
+
+try {
+  const rotated = await credentialVault.rotateKeys();
+  console.log(`Re-encrypted ${rotated} credential(s) with key ${credentialVault.config.keyId}`);
+} catch (error) {
+  console.error('Credential key rotation failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,540 @@
+// User accounts: registration, password login, access/refresh tokens and password resets
+import { query, transaction } from '../db/database.js';
+import config from '../config/config.js';
+import organizationService from './organizations.js';
+import { hashPassword, verifyDummyPassword, verifyPassword } from '../utils/password.js';
+import { createOpaqueToken, hashToken, signToken, verifyToken } from '../utils/tokens.js';
+import { signPayload } from './webhooks.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error raised for invalid account data or rejected sign-ins
+ */
+export class AccountError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status for the API (400 by default, 401 for rejected sign-ins)
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+class AccountService {
+  constructor() {
+    this.config = config.auth;
+  }
+
+  /**
+   * Get the token signing secret
+   * @returns {string} - Secret
+   */
+  getTokenSecret() {
+    if (!this.config.tokenSecret) {
+      throw new Error('Account tokens are not configured: set AUTH_TOKEN_SECRET');
+    }
+
+    return this.config.tokenSecret;
+  }
+
+  /**
+   * Validate a new password
+   * @param {string} password - Password
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < this.config.passwordMinLength) {
+      throw new AccountError(`password must be at least ${this.config.passwordMinLength} characters`);
+    }
+
+    // scrypt hashes any length, but very long inputs only cost CPU
+    if (password.length > 1024) {
+      throw new AccountError('password must be at most 1024 characters');
+    }
+  }
+
+  /**
+   * Remove the password hash and token version from a user row
+   * @param {Object} user - User row
+   * @returns {Object} - User safe to return from the API
+   */
+  sanitize(user) {
+    const { password_hash, token_version, ...rest } = user;
+    return rest;
+  }
+
+  /**
+   * Issue an access token and a refresh token for a user
+   * @param {Object} user - User row
+   * @param {Object} client - Database client, when called inside a transaction
+   * @param {Object} meta - { userAgent } of the signing-in client
+   * @returns {Object} - { accessToken, refreshToken, tokenType, expiresIn }
+   */
+  async issueTokens(user, client = { query }, meta = {}) {
+    const accessToken = signToken(
+      { sub: user.id, ver: user.token_version || 0, typ: 'access' },
+      this.getTokenSecret(),
+      this.config.accessTokenTtl
+    );
+    const refreshToken = createOpaqueToken();
+
+    await client.query(
+      'INSERT INTO refresh_tokens (user_id, token_hash, user_agent, expires_at) VALUES ($1, $2, $3, $4)',
+      [user.id, hashToken(refreshToken), meta.userAgent || null, new Date(Date.now() + this.config.refreshTokenTtl)]
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: Math.floor(this.config.accessTokenTtl / 1000),
+    };
+  }
+
+  /**
+   * Register a user
+   * @param {Object} data - Account data
+   * @param {string} data.email - Email address
+   * @param {string} data.password - Password
+   * @param {string} data.name - Display name
+   * @param {Object} meta - { userAgent } of the client
+   * @returns {Object} - { user, ...tokens }
+   */
+  async signup(data, meta = {}) {
+    try {
+      if (!this.config.allowSignup) {
+        throw new AccountError('Registration is disabled', 403);
+      }
+
+      const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+
+      if (!EMAIL_PATTERN.test(email)) {
+        throw new AccountError('email must be a valid email address');
+      }
+
+      this.validatePassword(data.password);
+
+      const passwordHash = await hashPassword(data.password);
+
+      return await transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO users (email, password_hash, name, password_changed_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+           ON CONFLICT (email) DO NOTHING
+           RETURNING *`,
+          [email, passwordHash, data.name || null]
+        );
+
+        if (result.rows.length === 0) {
+          throw new AccountError('An account with this email already exists', 409);
+        }
+
+        const user = result.rows[0];
+
+        // Every account starts with a personal organization it owns
+        await organizationService.createOrganization(user.id, { name: data.name || email }, client);
+
+        return { user: this.sanitize(user), ...(await this.issueTokens(user, client, meta)) };
+      });
+    } catch (error) {
+      console.error('Failed to sign up:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign in with email and password
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @param {Object} meta - { userAgent } of the client
+   * @returns {Object} - { user, ...tokens }
+   */
+  async login(email, password, meta = {}) {
+    try {
+      if (typeof email !== 'string' || typeof password !== 'string') {
+        throw new AccountError('email and password are required');
+      }
+
+      const result = await query('SELECT * FROM users WHERE email = $1', [email.trim().toLowerCase()]);
+      const user = result.rows[0];
+
+      // Unknown emails take as long as wrong passwords and get the same answer
+      if (!user) {
+        await verifyDummyPassword(password);
+        throw new AccountError('Invalid email or password', 401);
+      }
+
+      if (!(await verifyPassword(password, user.password_hash))) {
+        throw new AccountError('Invalid email or password', 401);
+      }
+
+      if (!user.is_active) {
+        throw new AccountError('Account is disabled', 403);
+      }
+
+      await query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+      return { user: this.sanitize(user), ...(await this.issueTokens(user, { query }, meta)) };
+    } catch (error) {
+      console.error('Failed to log in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. Each refresh token works once; using
+   * one again (e.g. a stolen copy) signs the user out everywhere.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} meta - { userAgent } of the client
+   * @returns {Object} - { accessToken, refreshToken, tokenType, expiresIn }
+   */
+  async refresh(refreshToken, meta = {}) {
+    try {
+      if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new AccountError('refreshToken is required');
+      }
+
+      const outcome = await transaction(async (client) => {
+        const result = await client.query(
+          `SELECT refresh_tokens.*, users.token_version, users.is_active
+           FROM refresh_tokens
+           JOIN users ON users.id = refresh_tokens.user_id
+           WHERE refresh_tokens.token_hash = $1
+           FOR UPDATE OF refresh_tokens`,
+          [hashToken(refreshToken)]
+        );
+
+        const stored = result.rows[0];
+
+        if (!stored || !stored.is_active || new Date(stored.expires_at) <= new Date()) {
+          throw new AccountError('Invalid or expired refresh token', 401);
+        }
+
+        // A token that was already exchanged is being replayed
+        if (stored.revoked_at) {
+          return { reusedBy: stored.replaced_by ? stored.user_id : null };
+        }
+
+        const tokens = await this.issueTokens({ id: stored.user_id, token_version: stored.token_version }, client, meta);
+
+        await client.query(
+          `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP,
+           replaced_by = (SELECT id FROM refresh_tokens WHERE token_hash = $1)
+           WHERE id = $2`,
+          [hashToken(tokens.refreshToken), stored.id]
+        );
+
+        return { tokens };
+      });
+
+      if (outcome.reusedBy) {
+        console.warn(`Refresh token of user ${outcome.reusedBy} was reused, signing out all sessions`);
+        await this.logoutAll(outcome.reusedBy);
+      }
+
+      if (!outcome.tokens) {
+        throw new AccountError('Invalid or expired refresh token', 401);
+      }
+
+      return outcome.tokens;
+    } catch (error) {
+      console.error('Failed to refresh tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {boolean} - Whether an active token was revoked
+   */
+  async logout(refreshToken) {
+    try {
+      if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new AccountError('refreshToken is required');
+      }
+
+      const result = await query(
+        `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [hashToken(refreshToken)]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Failed to log out:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a user out everywhere: revoke every refresh token and invalidate issued access tokens
+   * @param {string} userId - User ID
+   */
+  async logoutAll(userId) {
+    try {
+      await transaction(async (client) => {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+          [userId]
+        );
+        await client.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+      });
+    } catch (error) {
+      console.error(`Failed to log out user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the user of a bearer access token
+   * @param {string} accessToken - Access token
+   * @returns {Object|null} - User row, or null when the token is invalid, expired or revoked
+   */
+  async authenticateAccessToken(accessToken) {
+    let claims;
+
+    try {
+      claims = verifyToken(accessToken, this.getTokenSecret());
+    } catch (error) {
+      return null;
+    }
+
+    if (claims.typ !== 'access') {
+      return null;
+    }
+
+    const result = await query('SELECT * FROM users WHERE id = $1', [claims.sub]);
+    const user = result.rows[0];
+
+    // Password changes, "log out everywhere" and disabling the account bump the version
+    if (!user || !user.is_active || user.token_version !== claims.ver) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Get a user
+   * @param {string} userId - User ID
+   * @returns {Object} - User without the password hash
+   */
+  async getUser(userId) {
+    const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`User with ID ${userId} not found`);
+    }
+
+    return this.sanitize(result.rows[0]);
+  }
+
+  /**
+   * Set a new password and sign the user out everywhere
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} userId - User ID
+   * @param {string} password - New password
+   */
+  async setPassword(client, userId, password) {
+    const passwordHash = await hashPassword(password);
+
+    await client.query(
+      `UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP,
+       token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+  }
+
+  /**
+   * Change the password of a signed-in user. Other sessions are signed out;
+   * the caller gets new tokens.
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {Object} meta - { userAgent } of the client
+   * @returns {Object} - New tokens
+   */
+  async changePassword(userId, currentPassword, newPassword, meta = {}) {
+    try {
+      const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
+      const user = result.rows[0];
+
+      if (!user) {
+        throw new Error(`User with ID ${userId} not found`);
+      }
+
+      if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.password_hash))) {
+        throw new AccountError('Current password is incorrect', 401);
+      }
+
+      this.validatePassword(newPassword);
+
+      return await transaction(async (client) => {
+        await this.setPassword(client, userId, newPassword);
+        return this.issueTokens({ id: userId, token_version: user.token_version + 1 }, client, meta);
+      });
+    } catch (error) {
+      console.error(`Failed to change password of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether password reset tokens can be delivered: to AUTH_RESET_DELIVERY_URL, or
+   * to the server log outside production
+   * @returns {boolean}
+   */
+  canDeliverPasswordReset() {
+    return Boolean(this.config.resetDeliveryUrl) || config.server.environment !== 'production';
+  }
+
+  /**
+   * Request a password reset for an email address. The token is created and delivered
+   * in the background, so neither the answer nor its timing reveals whether the account
+   * exists; failures are only logged.
+   * @param {string} email - Email address
+   */
+  async requestPasswordReset(email) {
+    if (!this.canDeliverPasswordReset()) {
+      throw new AccountError('Password reset is not available: no delivery is configured', 501);
+    }
+
+    if (typeof email !== 'string' || !email) {
+      throw new AccountError('email is required');
+    }
+
+    this.createPasswordReset(email)
+      .then(reset => reset && this.deliverPasswordReset(reset.user, reset.token))
+      .catch(error => console.error('Failed to send a password reset:', error));
+  }
+
+  /**
+   * Create a password reset token for an email address
+   * @param {string} email - Email address
+   * @returns {Object|null} - { user, token } for delivery, or null when there is no such active account
+   */
+  async createPasswordReset(email) {
+    try {
+      const result = await query('SELECT * FROM users WHERE email = $1', [email.trim().toLowerCase()]);
+      const user = result.rows[0];
+
+      if (!user || !user.is_active) {
+        return null;
+      }
+
+      const token = createOpaqueToken();
+
+      await query(
+        'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+        [user.id, hashToken(token), new Date(Date.now() + this.config.resetTokenTtl)]
+      );
+
+      return { user: this.sanitize(user), token };
+    } catch (error) {
+      console.error('Failed to create password reset:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver a password reset token. It is posted to AUTH_RESET_DELIVERY_URL, signed like
+   * a webhook with AUTH_TOKEN_SECRET, for the receiver to email it; without a delivery URL
+   * it is written to the server log outside production.
+   * @param {Object} user - User
+   * @param {string} token - Reset token
+   * @throws {Error} - When the endpoint cannot be reached or rejects the token
+   */
+  async deliverPasswordReset(user, token) {
+    if (!this.config.resetDeliveryUrl) {
+      console.log(`Password reset token for ${user.email}: ${token}`);
+      return;
+    }
+
+    const body = JSON.stringify({
+      email: user.email,
+      token,
+      expiresAt: new Date(Date.now() + this.config.resetTokenTtl).toISOString(),
+    });
+
+    const response = await fetch(this.config.resetDeliveryUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Signature': signPayload(this.getTokenSecret(), Math.floor(Date.now() / 1000), body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.config.resetDeliveryTimeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Reset delivery endpoint responded with HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token; every session of the user is signed out
+   * @param {string} token - Reset token
+   * @param {string} password - New password
+   */
+  async resetPassword(token, password) {
+    try {
+      if (typeof token !== 'string' || !token) {
+        throw new AccountError('token is required');
+      }
+
+      this.validatePassword(password);
+
+      await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+           WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+           RETURNING user_id`,
+          [hashToken(token)]
+        );
+
+        if (result.rows.length === 0) {
+          throw new AccountError('Invalid or expired reset token');
+        }
+
+        await this.setPassword(client, result.rows[0].user_id, password);
+
+        // Other reset tokens of the user stop working too
+        await client.query(
+          'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+          [result.rows[0].user_id]
+        );
+      });
+    } catch (error) {
+      console.error('Failed to reset password:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired refresh and password reset tokens
+   * @returns {number} - Number of deleted tokens
+   */
+  async purgeExpired() {
+    try {
+      const refresh = await query('DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP RETURNING id');
+      const reset = await query('DELETE FROM password_reset_tokens WHERE expires_at < CURRENT_TIMESTAMP RETURNING id');
+
+      return refresh.rows.length + reset.rows.length;
+    } catch (error) {
+      console.error('Failed to purge expired tokens:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AccountService();
@@ -0,0 +1,427 @@
+// Administration across all users: accounts, organizations, tasks, API keys and running executions
+import { query, transaction } from '../db/database.js';
+import accountService from './accounts.js';
+import taskManager from './taskManager.js';
+import jobQueue from './queue.js';
+import { ROLES } from '../utils/auth.js';
+
+/**
+ * Error raised for an invalid or conflicting admin request
+ */
+export class AdminError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status for the API (400 by default, 409 for conflicts)
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse pagination options
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} - { limit, offset } within bounds
+ */
+const getPage = (options) => ({
+  limit: Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200),
+  offset: Math.max(parseInt(options.offset, 10) || 0, 0),
+});
+
+class AdminService {
+  /**
+   * List all users with their task and active API key counts
+   * @param {Object} options - Filters and pagination
+   * @param {string} options.role - Only users with this role
+   * @param {string} options.active - 'true' or 'false' to filter on enabled accounts
+   * @param {number} options.limit - Page size (default 50, at most 200)
+   * @param {number} options.offset - Users to skip
+   * @returns {Object} - { users, total, limit, offset }
+   */
+  async listUsers(options = {}) {
+    try {
+      const { limit, offset } = getPage(options);
+      const conditions = [];
+      const values = [];
+
+      if (options.role) {
+        values.push(options.role);
+        conditions.push(`role = $${values.length}`);
+      }
+
+      if (options.active === 'true' || options.active === 'false') {
+        values.push(options.active === 'true');
+        conditions.push(`is_active = $${values.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const count = await query(`SELECT COUNT(*)::int AS total FROM users ${where}`, values);
+
+      const users = await query(
+        `SELECT users.*,
+                (SELECT COUNT(*)::int FROM tasks WHERE tasks.user_id = users.id) AS task_count,
+                (SELECT COUNT(*)::int FROM api_keys WHERE api_keys.user_id = users.id AND api_keys.is_active = true) AS api_key_count
+         FROM users ${where}
+         ORDER BY created_at ASC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { users: users.rows.map(user => accountService.sanitize(user)), total: count.rows[0].total, limit, offset };
+    } catch (error) {
+      console.error('Failed to list users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user with their task and active API key counts
+   * @param {string} userId - User ID
+   * @returns {Object} - User without the password hash
+   */
+  async getUser(userId) {
+    try {
+      const result = await query(
+        `SELECT users.*,
+                (SELECT COUNT(*)::int FROM tasks WHERE tasks.user_id = users.id) AS task_count,
+                (SELECT COUNT(*)::int FROM api_keys WHERE api_keys.user_id = users.id AND api_keys.is_active = true) AS api_key_count
+         FROM users WHERE id = $1`,
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`User with ID ${userId} not found`);
+      }
+
+      return accountService.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error(`Failed to get user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role, name or enabled state of a user. Disabling a user signs them
+   * out everywhere; their API keys stop working until they are enabled again.
+   * @param {string} userId - User ID
+   * @param {Object} data - { role, name, active }
+   * @param {string} actorId - ID of the administrator making the change (omit for command-line use)
+   * @returns {Object} - Updated user
+   */
+  async updateUser(userId, data, actorId = null) {
+    try {
+      if (data.role !== undefined && !ROLES.includes(data.role)) {
+        throw new AdminError(`role must be one of ${ROLES.join(', ')}`);
+      }
+
+      if (data.active !== undefined && typeof data.active !== 'boolean') {
+        throw new AdminError('active must be a boolean');
+      }
+
+      // Keep at least the acting administrator able to administer
+      if (userId === actorId && ((data.role !== undefined && data.role !== 'admin') || data.active === false)) {
+        throw new AdminError('Administrators cannot remove their own admin role or disable themselves', 409);
+      }
+
+      await transaction(async (client) => {
+        const result = await client.query(
+          `UPDATE users
+           SET role = COALESCE($1, role), name = COALESCE($2, name), is_active = COALESCE($3, is_active),
+               token_version = token_version + CASE WHEN $3 = false AND is_active THEN 1 ELSE 0 END,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4
+           RETURNING id`,
+          [data.role ?? null, data.name ?? null, data.active ?? null, userId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error(`User with ID ${userId} not found`);
+        }
+
+        if (data.active === false) {
+          await client.query(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+            [userId]
+          );
+          await client.query(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+            [userId]
+          );
+        }
+      });
+
+      return await this.getUser(userId);
+    } catch (error) {
+      console.error(`Failed to update user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a user out of every session
+   * @param {string} userId - User ID
+   */
+  async logoutUser(userId) {
+    try {
+      await this.getUser(userId);
+      await accountService.logoutAll(userId);
+    } catch (error) {
+      console.error(`Failed to log out user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all organizations with their member and task counts
+   * @param {Object} options - Filters and pagination
+   * @param {string} options.userId - Only organizations this user is a member of
+   * @param {number} options.limit - Page size (default 50, at most 200)
+   * @param {number} options.offset - Organizations to skip
+   * @returns {Object} - { organizations, total, limit, offset }
+   */
+  async listOrganizations(options = {}) {
+    try {
+      const { limit, offset } = getPage(options);
+      const values = [];
+      let where = '';
+
+      if (options.userId) {
+        values.push(options.userId);
+        where = `WHERE EXISTS (
+          SELECT 1 FROM organization_members
+          WHERE organization_members.organization_id = organizations.id AND organization_members.user_id = $1
+        )`;
+      }
+
+      const count = await query(`SELECT COUNT(*)::int AS total FROM organizations ${where}`, values);
+
+      const organizations = await query(
+        `SELECT organizations.*,
+                (SELECT COUNT(*)::int FROM organization_members
+                 WHERE organization_members.organization_id = organizations.id) AS member_count,
+                (SELECT COUNT(*)::int FROM tasks WHERE tasks.organization_id = organizations.id) AS task_count
+         FROM organizations ${where}
+         ORDER BY created_at ASC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { organizations: organizations.rows, total: count.rows[0].total, limit, offset };
+    } catch (error) {
+      console.error('Failed to list organizations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the tasks of all users, newest first
+   * @param {Object} options - Filters and pagination
+   * @param {string} options.userId - Only tasks created by this user
+   * @param {string} options.organizationId - Only tasks of this organization
+   * @param {string} options.status - Only tasks with this status
+   * @param {number} options.limit - Page size (default 50, at most 200)
+   * @param {number} options.offset - Tasks to skip
+   * @returns {Object} - { tasks, total, limit, offset }
+   */
+  async listTasks(options = {}) {
+    try {
+      const { limit, offset } = getPage(options);
+      const conditions = [];
+      const values = [];
+
+      if (options.userId) {
+        values.push(options.userId);
+        conditions.push(`tasks.user_id = $${values.length}`);
+      }
+
+      if (options.organizationId) {
+        values.push(options.organizationId);
+        conditions.push(`tasks.organization_id = $${values.length}`);
+      }
+
+      if (options.status) {
+        values.push(options.status);
+        conditions.push(`tasks.status = $${values.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const count = await query(`SELECT COUNT(*)::int AS total FROM tasks ${where}`, values);
+
+      const tasks = await query(
+        `SELECT tasks.*, users.email AS user_email, organizations.name AS organization_name
+         FROM tasks
+         LEFT JOIN users ON users.id = tasks.user_id
+         LEFT JOIN organizations ON organizations.id = tasks.organization_id
+         ${where}
+         ORDER BY tasks.created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { tasks: tasks.rows, total: count.rows[0].total, limit, offset };
+    } catch (error) {
+      console.error('Failed to list tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel any user's queued or running task without waiting for its worker
+   * @param {string} taskId - Task ID
+   * @returns {Object} - Cancelled task
+   */
+  async forceCancelTask(taskId) {
+    try {
+      const task = await taskManager.getTask(taskId);
+      const cancelled = await taskManager.forceCancelTask(taskId);
+
+      if (!cancelled) {
+        throw new AdminError(`Task is not queued or running (status: ${task.status})`, 409);
+      }
+
+      return cancelled;
+    } catch (error) {
+      console.error(`Failed to force-cancel task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue any user's task to run again as soon as a worker is free
+   * @param {string} taskId - Task ID
+   * @param {Object} options - { priority }
+   * @returns {Object} - Queued task
+   */
+  async requeueTask(taskId, options = {}) {
+    try {
+      await taskManager.getTask(taskId);
+      const queued = await jobQueue.enqueue(taskId, { priority: options.priority });
+
+      if (!queued) {
+        throw new AdminError('Task is running; force-cancel it before requeueing', 409);
+      }
+
+      await taskManager.logTask(taskId, 'info', 'Task requeued by an administrator');
+      return queued;
+    } catch (error) {
+      console.error(`Failed to requeue task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the API keys of all users, newest first
+   * @param {Object} options - Filters and pagination
+   * @param {string} options.userId - Only keys of this user
+   * @param {string} options.organizationId - Only keys of this organization
+   * @param {string} options.active - 'true' or 'false' to filter on revoked keys
+   * @param {number} options.limit - Page size (default 50, at most 200)
+   * @param {number} options.offset - Keys to skip
+   * @returns {Object} - { keys, total, limit, offset }
+   */
+  async listApiKeys(options = {}) {
+    try {
+      const { limit, offset } = getPage(options);
+      const conditions = [];
+      const values = [];
+
+      if (options.userId) {
+        values.push(options.userId);
+        conditions.push(`api_keys.user_id = $${values.length}`);
+      }
+
+      if (options.organizationId) {
+        values.push(options.organizationId);
+        conditions.push(`api_keys.organization_id = $${values.length}`);
+      }
+
+      if (options.active === 'true' || options.active === 'false') {
+        values.push(options.active === 'true');
+        conditions.push(`api_keys.is_active = $${values.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const count = await query(`SELECT COUNT(*)::int AS total FROM api_keys ${where}`, values);
+
+      // Never return the key hashes
+      const keys = await query(
+        `SELECT api_keys.id, api_keys.user_id, users.email AS user_email, api_keys.organization_id, api_keys.key_prefix, api_keys.name,
+                api_keys.scopes, api_keys.created_at, api_keys.expires_at, api_keys.last_used,
+                api_keys.rotated_at, api_keys.is_active
+         FROM api_keys
+         JOIN users ON users.id = api_keys.user_id
+         ${where}
+         ORDER BY api_keys.created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { keys: keys.rows, total: count.rows[0].total, limit, offset };
+    } catch (error) {
+      console.error('Failed to list API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke any user's API key
+   * @param {string} keyId - API key ID
+   */
+  async revokeApiKey(keyId) {
+    try {
+      const result = await query('UPDATE api_keys SET is_active = false WHERE id = $1 RETURNING id', [keyId]);
+
+      if (result.rows.length === 0) {
+        throw new Error(`API key with ID ${keyId} not found`);
+      }
+    } catch (error) {
+      console.error(`Failed to revoke API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the executions running on any worker, with their current run. A lease
+   * that expired marks a worker that stopped heartbeating.
+   * @returns {Object} - { executions, queued }
+   */
+  async listExecutions() {
+    try {
+      const executions = await query(
+        `SELECT tasks.id AS task_id, tasks.name, tasks.user_id, users.email AS user_email,
+                tasks.locked_by AS worker_id, tasks.locked_at, tasks.lease_expires_at,
+                tasks.lease_expires_at < CURRENT_TIMESTAMP AS lease_expired,
+                tasks.cancel_requested_at, runs.id AS run_id, runs.attempt, runs.trigger, runs.started_at
+         FROM tasks
+         LEFT JOIN users ON users.id = tasks.user_id
+         LEFT JOIN LATERAL (
+           SELECT id, attempt, trigger, started_at FROM task_runs
+           WHERE task_runs.task_id = tasks.id AND task_runs.status = 'running'
+           ORDER BY started_at DESC
+           LIMIT 1
+         ) runs ON true
+         WHERE tasks.status = 'running'
+         ORDER BY tasks.locked_at ASC`,
+        []
+      );
+
+      const queued = await query(
+        `SELECT COUNT(*)::int AS total FROM tasks
+         WHERE status = 'pending' AND (next_run_at IS NULL OR next_run_at <= CURRENT_TIMESTAMP)`,
+        []
+      );
+
+      return { executions: executions.rows, queued: queued.rows[0].total };
+    } catch (error) {
+      console.error('Failed to list executions:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AdminService();
@@ -0,0 +1,222 @@
+// Artifact store for files produced by task runs (screenshots, HTML snapshots, ...)
+import crypto from 'crypto';
+import { query } from '../db/database.js';
+import config from '../config/config.js';
+import LocalArtifactBackend from '../storage/local.js';
+
+// Content types of the built-in artifact types
+const CONTENT_TYPES = {
+  screenshot: 'image/png',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json',
+  text: 'text/plain; charset=utf-8',
+};
+
+class ArtifactStore {
+  constructor() {
+    this.config = config.artifacts;
+    this.backendFactories = {
+      local: () => new LocalArtifactBackend({ dir: this.config.localDir }),
+    };
+    this.backends = {};
+  }
+
+  /**
+   * Register a storage backend. A backend implements put(key, data),
+   * get(key) returning a readable stream, and delete(key).
+   * @param {string} name - Backend name, selected with ARTIFACT_BACKEND
+   * @param {Function} factory - Returns the backend instance
+   */
+  registerBackend(name, factory) {
+    this.backendFactories[name] = factory;
+    delete this.backends[name];
+  }
+
+  /**
+   * Get a backend by name, creating it on first use
+   * @param {string} name - Backend name (defaults to the configured backend)
+   * @returns {Object} - Backend instance
+   */
+  getBackend(name = this.config.backend) {
+    if (!this.backends[name]) {
+      const factory = this.backendFactories[name];
+
+      if (!factory) {
+        throw new Error(`Unknown artifact backend: ${name}`);
+      }
+
+      this.backends[name] = factory();
+    }
+
+    return this.backends[name];
+  }
+
+  /**
+   * Store an artifact of a run
+   * @param {Object} artifact - Artifact to store
+   * @param {string} artifact.taskId - Task ID
+   * @param {string} artifact.runId - Run ID
+   * @param {string} artifact.type - Artifact type (screenshot, html, trace, har, file, ...)
+   * @param {string} artifact.name - File name
+   * @param {Buffer|string} artifact.data - Contents
+   * @param {string} artifact.contentType - MIME type (defaults by type)
+   * @param {Object} artifact.metadata - Additional metadata
+   * @returns {Object} - Stored artifact record
+   */
+  async save(artifact) {
+    const { taskId, runId, type, name, data, metadata } = artifact;
+    const id = crypto.randomUUID();
+    const backend = this.config.backend;
+    const key = `${taskId}/${runId || 'adhoc'}/${id}-${name.replace(/[^\w.-]+/g, '_')}`;
+    const contentType = artifact.contentType || CONTENT_TYPES[type] || 'application/octet-stream';
+    const size = Buffer.byteLength(data);
+    const retentionDays = this.config.retentionDays;
+
+    try {
+      await this.getBackend(backend).put(key, data);
+
+      const result = await query(
+        `INSERT INTO artifacts
+         (id, task_id, run_id, type, name, content_type, size, backend, storage_key, metadata, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+                 CASE WHEN $11::int > 0 THEN CURRENT_TIMESTAMP + $11::int * INTERVAL '1 day' END)
+         RETURNING *`,
+        [id, taskId, runId || null, type, name, contentType, size, backend, key, JSON.stringify(metadata || {}), retentionDays]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Failed to save artifact ${name} for task ${taskId}:`, error);
+
+      // Don't leave an unreferenced file behind
+      await this.getBackend(backend).delete(key).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * List the artifacts of a task
+   * @param {string} taskId - Task ID
+   * @param {Object} options - Query options
+   * @param {string} options.runId - Only return artifacts of this run
+   * @returns {Array} - Artifact records
+   */
+  async list(taskId, options = {}) {
+    try {
+      const values = [taskId];
+      let sql = 'SELECT * FROM artifacts WHERE task_id = $1';
+
+      if (options.runId) {
+        values.push(options.runId);
+        sql += ' AND run_id = $2';
+      }
+
+      const result = await query(`${sql} ORDER BY created_at ASC`, values);
+      return result.rows;
+    } catch (error) {
+      console.error(`Failed to list artifacts for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an artifact record
+   * @param {string} taskId - Task ID
+   * @param {string} artifactId - Artifact ID
+   * @returns {Object} - Artifact record
+   */
+  async get(taskId, artifactId) {
+    try {
+      const result = await query('SELECT * FROM artifacts WHERE id = $1 AND task_id = $2', [artifactId, taskId]);
+
+      if (result.rows.length === 0) {
+        throw new Error(`Artifact with ID ${artifactId} not found`);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Failed to get artifact ${artifactId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the contents of an artifact
+   * @param {Object} artifact - Artifact record
+   * @returns {stream.Readable} - Artifact contents
+   */
+  async open(artifact) {
+    try {
+      return await this.getBackend(artifact.backend).get(artifact.storage_key);
+    } catch (error) {
+      console.error(`Failed to open artifact ${artifact.id}:`, error);
+
+      if (error.code === 'ENOENT') {
+        throw new Error(`Artifact file for ${artifact.id} not found`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every artifact of a task from storage (the rows go with the task)
+   * @param {string} taskId - Task ID
+   */
+  async deleteForTask(taskId) {
+    try {
+      const result = await query('DELETE FROM artifacts WHERE task_id = $1 RETURNING backend, storage_key', [taskId]);
+      await this.deleteFiles(result.rows);
+    } catch (error) {
+      console.error(`Failed to delete artifacts for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete artifacts past their retention period, and those of runs beyond the
+   * configured number of most recent runs per task
+   * @returns {number} - Number of deleted artifacts
+   */
+  async purgeExpired() {
+    try {
+      const result = await query(
+        `DELETE FROM artifacts
+         WHERE id IN (
+           SELECT id FROM artifacts WHERE expires_at < CURRENT_TIMESTAMP
+           UNION
+           SELECT a.id FROM artifacts a
+           JOIN (
+             SELECT id, ROW_NUMBER() OVER (PARTITION BY task_id ORDER BY started_at DESC) AS position
+             FROM task_runs
+           ) runs ON runs.id = a.run_id
+           WHERE $1::int > 0 AND runs.position > $1::int
+         )
+         RETURNING backend, storage_key`,
+        [this.config.maxRunsPerTask]
+      );
+
+      await this.deleteFiles(result.rows);
+      return result.rows.length;
+    } catch (error) {
+      console.error('Failed to purge expired artifacts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove stored files of deleted artifact rows
+   * @param {Array} rows - Rows with backend and storage_key
+   */
+  async deleteFiles(rows) {
+    for (const row of rows) {
+      try {
+        await this.getBackend(row.backend).delete(row.storage_key);
+      } catch (error) {
+        console.error(`Failed to delete artifact file ${row.storage_key}:`, error);
+      }
+    }
+  }
+}
+
+export default new ArtifactStore();
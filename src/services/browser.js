@@ -1,28 +1,51 @@
 // Browser automation service using Playwright
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { chromium } from 'playwright';
 import config from '../config/config.js';
-import { query } from '../db/database.js';
+import BrowserSession from './browserSession.js';
 
 class BrowserService {
   constructor() {
-    this.browser = null;
-    this.context = null;
-    this.page = null;
     this.config = config.browser;
+    this.browsers = [];
+    this.activeContexts = 0;
+    this.waiting = [];
+    // Callers waiting for a retired browser to close before another can be launched
+    this.browserWaiters = [];
+    this.launching = null;
+    this.closed = false;
   }
 
   /**
-   * Initialize the browser instance
+   * Launch a new browser instance and add it to the pool
+   * @returns {Object} - Pool entry for the browser
    */
-  async initialize() {
+  async launchBrowser() {
     try {
-      this.browser = await chromium.launch({
+      const browser = await chromium.launch({
         headless: this.config.headless,
         slowMo: this.config.slowMo,
       });
-      
-      console.log('Browser initialized successfully');
-      return true;
+
+      const entry = { browser, uses: 0, active: 0, retired: false };
+
+      // Drop crashed or closed browsers from the pool
+      browser.on('disconnected', () => {
+        entry.retired = true;
+        this.browsers = this.browsers.filter(item => item !== entry);
+        this.notifyBrowserClosed();
+
+        if (!this.closed) {
+          console.error('Browser disconnected, removed from pool');
+        }
+      });
+
+      this.browsers.push(entry);
+
+      console.log(`Browser initialized successfully (${this.browsers.length}/${this.config.maxBrowsers})`);
+      return entry;
     } catch (error) {
       console.error('Failed to initialize browser:', error);
       throw error;
@@ -30,309 +53,253 @@ class BrowserService {
   }
 
   /**
-   * Create a new browser context with optional stored cookies/localStorage
-   * @param {Object} options - Context options
-   * @param {string} options.userDataKey - Key to load stored user data
+   * Acquire an isolated session for one task execution. Waits for a free
+   * context slot when the pool is at its concurrency limit.
+   * @param {Object} options - Session options
+   * @param {Object} options.storageState - Saved Playwright storage state to restore (cookies and localStorage)
+   * @param {AbortSignal} options.signal - Stops waiting for a slot when aborted
+   * @param {Object} options.recording - Record a Playwright trace and/or HAR: { trace, har }
+   * @returns {BrowserSession} - Session with its own context and page
    */
-  async createContext(options = {}) {
+  async acquire(options = {}) {
+    await this.waitForSlot(options.signal);
+
+    let entry = null;
+    let context = null;
+    let recording = null;
+
     try {
-      if (!this.browser) {
-        await this.initialize();
+      entry = await this.reserveBrowser();
+
+      // Recordings are written to a temporary directory until the caller stores them
+      if (options.recording && (options.recording.trace || options.recording.har)) {
+        recording = {
+          dir: await fs.promises.mkdtemp(path.join(os.tmpdir(), 'automation-recording-')),
+          trace: Boolean(options.recording.trace),
+          har: Boolean(options.recording.har),
+        };
       }
 
       // Create a new context
-      this.context = await this.browser.newContext({
+      context = await entry.browser.newContext({
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
         viewport: { width: 1280, height: 800 },
         deviceScaleFactor: 1,
+        recordHar: recording && recording.har ? { path: path.join(recording.dir, 'network.har') } : undefined,
+        storageState: options.storageState,
       });
 
-      // Load stored cookies if userDataKey is provided
-      if (options.userDataKey) {
-        await this.loadStoredUserData(options.userDataKey);
-      }
-
-      // Create a new page
-      this.page = await this.context.newPage();
-      
-      // Set default timeout
-      this.page.setDefaultTimeout(this.config.defaultTimeout);
-      
-      // Setup page event listeners
-      this.setupPageListeners();
-      
-      return this.page;
+      const session = new BrowserSession({ context, config: this.config, entry, recording });
+      await session.open();
+      return session;
     } catch (error) {
       console.error('Failed to create browser context:', error);
+
+      if (context) {
+        await context.close().catch(() => {});
+      }
+
+      if (recording) {
+        await fs.promises.rm(recording.dir, { recursive: true, force: true }).catch(() => {});
+      }
+
+      if (entry) {
+        entry.active--;
+        await this.recycle(entry);
+      }
+
+      this.releaseSlot();
       throw error;
     }
   }
 
   /**
-   * Setup page event listeners for logging
+   * Close a session and return its slot to the pool
+   * @param {BrowserSession} session - Session returned by acquire
    */
-  setupPageListeners() {
-    // Log console messages
-    this.page.on('console', (msg) => {
-      console.log(`[Page Console] ${msg.type()}: ${msg.text()}`);
-    });
+  async release(session) {
+    if (!session || session.released) {
+      return;
+    }
 
-    // Log page errors
-    this.page.on('pageerror', (error) => {
-      console.error('[Page Error]', error);
-    });
+    session.released = true;
+    await session.close();
 
-    // Log request failures
-    this.page.on('requestfailed', (request) => {
-      console.error(`[Request Failed] ${request.url()}`);
-    });
+    session.entry.active--;
+    await this.recycle(session.entry);
+    this.releaseSlot();
   }
 
   /**
-   * Navigate to a URL
-   * @param {string} url - The URL to navigate to
+   * Wait until fewer than maxContexts sessions are active, then claim a slot
+   * @param {AbortSignal} signal - Optional signal that cancels the wait
    */
-  async navigate(url) {
-    if (!this.page) {
-      await this.createContext();
+  waitForSlot(signal) {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool is closed'));
     }
 
-    try {
-      await this.page.goto(url, { waitUntil: 'networkidle' });
-      console.log(`Navigated to ${url}`);
-      return true;
-    } catch (error) {
-      console.error(`Failed to navigate to ${url}:`, error);
-      throw error;
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
     }
-  }
 
-  /**
-   * Login to a website
-   * @param {Object} credentials - Login credentials
-   * @param {string} credentials.url - Login page URL
-   * @param {string} credentials.usernameSelector - CSS selector for username field
-   * @param {string} credentials.passwordSelector - CSS selector for password field
-   * @param {string} credentials.submitSelector - CSS selector for submit button
-   * @param {string} credentials.username - Username
-   * @param {string} credentials.password - Password
-   * @param {string} credentials.successSelector - CSS selector to verify successful login
-   */
-  async login(credentials) {
-    try {
-      // Navigate to login page
-      await this.navigate(credentials.url);
-
-      // Fill username
-      await this.page.fill(credentials.usernameSelector, credentials.username);
-      
-      // Fill password
-      await this.page.fill(credentials.passwordSelector, credentials.password);
-      
-      // Click submit button
-      await this.page.click(credentials.submitSelector);
-      
-      // Wait for navigation or success indicator
-      if (credentials.successSelector) {
-        await this.page.waitForSelector(credentials.successSelector, { timeout: this.config.defaultTimeout });
-      } else {
-        await this.page.waitForLoadState('networkidle');
+    if (this.activeContexts < this.config.maxContexts) {
+      this.activeContexts++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+
+      if (this.config.acquireTimeout > 0) {
+        waiter.timer = setTimeout(() => {
+          this.waiting = this.waiting.filter(item => item !== waiter);
+          reject(new Error(`Timed out after ${this.config.acquireTimeout}ms waiting for a browser slot`));
+        }, this.config.acquireTimeout);
       }
-      
-      // Save user data for future sessions
-      if (credentials.saveSession) {
-        await this.saveUserData(credentials.domain);
+
+      // Leave the queue when the caller gives up
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (this.waiting.includes(waiter)) {
+            clearTimeout(waiter.timer);
+            this.waiting = this.waiting.filter(item => item !== waiter);
+            reject(signal.reason);
+          }
+        }, { once: true });
       }
-      
-      console.log(`Successfully logged in to ${credentials.url}`);
-      return true;
-    } catch (error) {
-      console.error(`Login failed for ${credentials.url}:`, error);
-      throw error;
-    }
+
+      this.waiting.push(waiter);
+    });
   }
 
   /**
-   * Extract data from a page
-   * @param {Object} extractionConfig - Data extraction configuration
-   * @param {string} extractionConfig.url - URL to extract data from (optional if already on page)
-   * @param {Object[]} extractionConfig.selectors - Array of selectors and their properties
-   * @returns {Object} - Extracted data
+   * Hand a freed slot to the next waiting caller, or return it to the pool
    */
-  async extractData(extractionConfig) {
-    try {
-      // Navigate to URL if provided
-      if (extractionConfig.url) {
-        await this.navigate(extractionConfig.url);
-      }
+  releaseSlot() {
+    const waiter = this.waiting.shift();
 
-      // Extract data based on selectors
-      const result = {};
-      
-      for (const item of extractionConfig.selectors) {
-        const { name, selector, type, attribute, multiple } = item;
-        
-        if (multiple) {
-          // Extract multiple elements
-          result[name] = await this.page.$$eval(selector, (elements, { type, attribute }) => {
-            return elements.map(el => {
-              if (type === 'text') return el.textContent.trim();
-              if (type === 'html') return el.innerHTML.trim();
-              if (type === 'attribute' && attribute) return el.getAttribute(attribute);
-              return el.textContent.trim();
-            });
-          }, { type, attribute });
-        } else {
-          // Extract single element
-          result[name] = await this.page.$eval(selector, (el, { type, attribute }) => {
-            if (type === 'text') return el.textContent.trim();
-            if (type === 'html') return el.innerHTML.trim();
-            if (type === 'attribute' && attribute) return el.getAttribute(attribute);
-            return el.textContent.trim();
-          }, { type, attribute }).catch(() => null);
-        }
-      }
-      
-      console.log('Data extracted successfully');
-      return result;
-    } catch (error) {
-      console.error('Data extraction failed:', error);
-      throw error;
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      this.activeContexts--;
     }
   }
 
   /**
-   * Save user data (cookies, localStorage) for future sessions
-   * @param {string} domain - Domain key for storing the data
+   * Wake the callers waiting for a browser of the pool to close
    */
-  async saveUserData(domain) {
-    try {
-      if (!this.context) return false;
-      
-      // Get cookies
-      const cookies = await this.context.cookies();
-      
-      // Get localStorage (requires page access)
-      const localStorage = await this.page.evaluate(() => {
-        const data = {};
-        for (let i = 0; i < window.localStorage.length; i++) {
-          const key = window.localStorage.key(i);
-          data[key] = window.localStorage.getItem(key);
-        }
-        return data;
-      });
-      
-      // Store in database
-      const userData = { cookies, localStorage };
-      
-      // Check if user data already exists
-      const existingData = await query(
-        'SELECT id FROM user_data WHERE domain = $1',
-        [domain]
-      );
-      
-      if (existingData.rows.length > 0) {
-        // Update existing data
-        await query(
-          'UPDATE user_data SET data = $1, updated_at = CURRENT_TIMESTAMP WHERE domain = $2',
-          [JSON.stringify(userData), domain]
-        );
-      } else {
-        // Insert new data
-        await query(
-          'INSERT INTO user_data (domain, data) VALUES ($1, $2)',
-          [domain, JSON.stringify(userData)]
-        );
-      }
-      
-      console.log(`User data saved for domain: ${domain}`);
-      return true;
-    } catch (error) {
-      console.error('Failed to save user data:', error);
-      return false;
+  notifyBrowserClosed() {
+    for (const resolve of this.browserWaiters.splice(0)) {
+      resolve();
     }
   }
 
   /**
-   * Load stored user data (cookies, localStorage)
-   * @param {string} domain - Domain key for retrieving the data
+   * Reserve the least busy browser for a new context, launching another one
+   * while every browser is at its share of contexts and maxBrowsers is not reached.
+   * Retired browsers count toward maxBrowsers until their last context is released.
+   * @returns {Object} - Pool entry, with the new context already counted
    */
-  async loadStoredUserData(domain) {
-    try {
-      if (!this.context) return false;
-      
-      // Get stored data from database
-      const result = await query(
-        'SELECT data FROM user_data WHERE domain = $1',
-        [domain]
-      );
-      
-      if (result.rows.length === 0) {
-        console.log(`No stored user data found for domain: ${domain}`);
-        return false;
+  async reserveBrowser() {
+    const perBrowser = Math.ceil(this.config.maxContexts / this.config.maxBrowsers);
+    let entry = null;
+
+    while (!entry) {
+      // Wait for an in-flight launch instead of starting a second browser
+      while (this.launching) {
+        await this.launching.catch(() => {});
       }
-      
-      const userData = result.rows[0].data;
-      
-      // Set cookies
-      if (userData.cookies && Array.isArray(userData.cookies)) {
-        await this.context.addCookies(userData.cookies);
+
+      if (this.closed) {
+        throw new Error('Browser pool is closed');
       }
-      
-      // Set localStorage (requires page access)
-      if (userData.localStorage && this.page) {
-        await this.page.evaluate((storageData) => {
-          for (const [key, value] of Object.entries(storageData)) {
-            window.localStorage.setItem(key, value);
-          }
-        }, userData.localStorage);
+
+      const open = this.browsers.filter(item => item.browser.isConnected());
+      const usable = open
+        .filter(item => !item.retired)
+        .sort((a, b) => a.active - b.active);
+      const canLaunch = open.length < this.config.maxBrowsers;
+
+      if (usable[0] && !(usable[0].active >= perBrowser && canLaunch)) {
+        entry = usable[0];
+      } else if (canLaunch) {
+        this.launching = this.launchBrowser();
+
+        try {
+          entry = await this.launching;
+        } finally {
+          this.launching = null;
+        }
+      } else {
+        // Every browser is retired and still finishing its contexts
+        await new Promise(resolve => this.browserWaiters.push(resolve));
       }
-      
-      console.log(`User data loaded for domain: ${domain}`);
-      return true;
-    } catch (error) {
-      console.error('Failed to load user data:', error);
-      return false;
     }
+
+    // Count the context synchronously so concurrent callers see it
+    entry.uses++;
+    entry.active++;
+
+    // Recycle the browser after maxUsesPerBrowser contexts (0 disables recycling)
+    if (this.config.maxUsesPerBrowser > 0 && entry.uses >= this.config.maxUsesPerBrowser) {
+      entry.retired = true;
+    }
+
+    return entry;
   }
 
   /**
-   * Take a screenshot of the current page
-   * @param {Object} options - Screenshot options
-   * @returns {Buffer} - Screenshot buffer
+   * Close a retired browser once its last context has been released
+   * @param {Object} entry - Pool entry
    */
-  async takeScreenshot(options = {}) {
-    try {
-      if (!this.page) {
-        throw new Error('No active page');
+  async recycle(entry) {
+    if (entry.retired && entry.active === 0 && entry.browser.isConnected()) {
+      this.browsers = this.browsers.filter(item => item !== entry);
+      this.notifyBrowserClosed();
+
+      try {
+        await entry.browser.close();
+        console.log('Browser recycled');
+      } catch (error) {
+        console.error('Failed to recycle browser:', error);
       }
-      
-      const screenshot = await this.page.screenshot({
-        fullPage: options.fullPage || false,
-        path: options.path || null,
-        type: options.type || 'png',
-      });
-      
-      console.log('Screenshot taken successfully');
-      return screenshot;
-    } catch (error) {
-      console.error('Failed to take screenshot:', error);
-      throw error;
     }
   }
 
   /**
-   * Close the browser instance
+   * Get pool usage statistics
+   * @returns {Object} - Browser, context and queue counts
+   */
+  getStats() {
+    return {
+      browsers: this.browsers.length,
+      activeContexts: this.activeContexts,
+      waiting: this.waiting.length,
+      maxBrowsers: this.config.maxBrowsers,
+      maxContexts: this.config.maxContexts,
+    };
+  }
+
+  /**
+   * Close all browser instances
    */
   async close() {
+    this.closed = true;
+
+    // Fail callers still waiting for a slot
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+
+    this.notifyBrowserClosed();
+
     try {
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
-        this.context = null;
-        this.page = null;
-        console.log('Browser closed successfully');
-      }
+      await Promise.all(this.browsers.map(entry => entry.browser.close()));
+      this.browsers = [];
+      console.log('Browser closed successfully');
     } catch (error) {
       console.error('Failed to close browser:', error);
     }
@@ -340,4 +307,3 @@ class BrowserService {
 }
 
 export default new BrowserService();
-
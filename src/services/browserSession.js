@@ -0,0 +1,1223 @@
+// Isolated browser session (one context and page) for a single task execution
+import fs from 'fs';
+import path from 'path';
+import { applyTransforms, TransformError } from '../utils/transforms.js';
+import { AutomationError } from '../utils/errors.js';
+import { generateTotp, getTotpRemaining } from '../utils/totp.js';
+
+// Wait for a fresh TOTP code when the current one expires within this many milliseconds
+const TOTP_MIN_VALIDITY = 3000;
+
+export class BrowserSession {
+  /**
+   * @param {Object} options - Session options
+   * @param {Object} options.context - Playwright browser context owned by this session
+   * @param {Object} options.config - Browser configuration
+   * @param {Object} options.entry - Pool entry of the browser the context belongs to
+   * @param {Object} options.recording - Trace/HAR recording: { dir, trace, har }
+   */
+  constructor({ context, config, entry, recording = null }) {
+    this.context = context;
+    this.page = null;
+    this.config = config;
+    this.entry = entry;
+    this.recording = recording;
+    this.released = false;
+    this.closing = null;
+  }
+
+  /**
+   * Open the session page
+   * @returns {Object} - Playwright page
+   */
+  async open() {
+    try {
+      // Start tracing before the page exists so the trace covers the whole session
+      if (this.recording && this.recording.trace) {
+        await this.context.tracing.start({ screenshots: true, snapshots: true, sources: false });
+      }
+      
+      // Create a new page
+      this.page = await this.context.newPage();
+      
+      // Set default timeout
+      this.page.setDefaultTimeout(this.config.defaultTimeout);
+      
+      // Setup page event listeners
+      this.setupPageListeners();
+      
+      return this.page;
+    } catch (error) {
+      console.error('Failed to open browser page:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup page event listeners for logging
+   */
+  setupPageListeners() {
+    // Log console messages
+    this.page.on('console', (msg) => {
+      console.log(`[Page Console] ${msg.type()}: ${msg.text()}`);
+    });
+
+    // Log page errors
+    this.page.on('pageerror', (error) => {
+      console.error('[Page Error]', error);
+    });
+
+    // Log request failures
+    this.page.on('requestfailed', (request) => {
+      console.error(`[Request Failed] ${request.url()}`);
+    });
+  }
+
+  /**
+   * Navigate to a URL
+   * @param {string} url - The URL to navigate to
+   */
+  async navigate(url) {
+    try {
+      await this.page.goto(url, { waitUntil: 'networkidle' });
+      console.log(`Navigated to ${url}`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to navigate to ${url}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Login to a website. Handles single-page forms, username-first flows (nextSelector),
+   * SSO buttons, TOTP second factors and custom step lists.
+   * @param {Object} credentials - Login settings, with the secrets resolved from the vault
+   * @param {string} credentials.url - Login page URL
+   * @param {string} credentials.ssoSelector - Button that starts an SSO redirect before the form
+   * @param {string} credentials.usernameSelector - CSS selector for username field
+   * @param {string} credentials.nextSelector - Button between the username and password pages
+   * @param {string} credentials.passwordSelector - CSS selector for password field
+   * @param {string} credentials.submitSelector - CSS selector for submit button
+   * @param {string} credentials.totpSelector - CSS selector for the one-time code field
+   * @param {string} credentials.totpSubmitSelector - Button submitting the code (default: press Enter)
+   * @param {Object[]} credentials.steps - Custom login steps (see runSteps); input values may use
+   * {{username}}, {{password}} and {{totp}}
+   * @param {string} credentials.username - Username
+   * @param {string} credentials.password - Password
+   * @param {string} credentials.totpSecret - TOTP seed (base32 or otpauth:// URI)
+   * @param {string} credentials.successSelector - CSS selector to verify successful login
+   * @param {string} credentials.successUrlPattern - Regular expression the URL matches after login
+   * @param {string} credentials.errorSelector - Element shown when the login is rejected
+   * @param {string} credentials.failureUrlPattern - Regular expression the URL matches when the login is rejected
+   */
+  async login(credentials) {
+    try {
+      // Navigate to login page
+      await this.navigate(credentials.url);
+
+      if (Array.isArray(credentials.steps) && credentials.steps.length > 0) {
+        await this.runSteps(credentials.steps, { values: this.getLoginValues(credentials) });
+      } else {
+        await this.fillLoginForm(credentials);
+      }
+
+      await this.verifyLogin(credentials);
+      
+      console.log(`Successfully logged in to ${credentials.url}`);
+      return true;
+    } catch (error) {
+      console.error(`Login failed for ${credentials.url}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Placeholder values of custom login steps; the TOTP code is generated when it is typed
+   * @param {Object} credentials - Login settings
+   * @returns {Object} - { username, password, totp }
+   */
+  getLoginValues(credentials) {
+    const session = this;
+
+    return {
+      username: credentials.username,
+      password: credentials.password,
+      get totp() {
+        return session.getTotpCode(credentials);
+      },
+    };
+  }
+
+  /**
+   * Fill the login form, page by page
+   * @param {Object} credentials - Login settings
+   */
+  async fillLoginForm(credentials) {
+    if (credentials.ssoSelector) {
+      await this.page.click(credentials.ssoSelector);
+    }
+
+    if (credentials.usernameSelector) {
+      await this.waitForLoginField(credentials.usernameSelector, credentials);
+      await this.page.fill(credentials.usernameSelector, credentials.username || '');
+
+      // Username-first flows show the password field on a second page
+      if (credentials.nextSelector) {
+        await this.page.click(credentials.nextSelector);
+      }
+    }
+
+    if (credentials.passwordSelector) {
+      await this.waitForLoginField(credentials.passwordSelector, credentials);
+      await this.page.fill(credentials.passwordSelector, credentials.password || '');
+    }
+
+    if (credentials.submitSelector) {
+      await this.page.click(credentials.submitSelector);
+    }
+
+    if (credentials.totpSelector) {
+      await this.waitForLoginField(credentials.totpSelector, credentials);
+      await this.page.fill(credentials.totpSelector, await this.getTotpCode(credentials));
+
+      if (credentials.totpSubmitSelector) {
+        await this.page.click(credentials.totpSubmitSelector);
+      } else {
+        await this.page.press(credentials.totpSelector, 'Enter');
+      }
+    }
+  }
+
+  /**
+   * Generate the current TOTP code, waiting for the next one when it is about to expire
+   * @param {Object} credentials - Login settings
+   * @returns {string} - Code
+   */
+  async getTotpCode(credentials) {
+    if (!credentials.totpSecret) {
+      throw new AutomationError('login_failed', 'The login requires a TOTP code but the credential has no TOTP secret');
+    }
+
+    const remaining = getTotpRemaining(credentials.totpSecret);
+
+    if (remaining < TOTP_MIN_VALIDITY) {
+      await this.page.waitForTimeout(remaining + 100);
+    }
+
+    return generateTotp(credentials.totpSecret);
+  }
+
+  /**
+   * Wait for the next login field, failing early when the site reports an error instead
+   * @param {string} selector - Field selector
+   * @param {Object} credentials - Login settings
+   */
+  async waitForLoginField(selector, credentials) {
+    // Combined with or() rather than a selector list, so XPath, text= and other engines work too
+    let target = this.page.locator(selector);
+
+    if (credentials.errorSelector) {
+      target = target.or(this.page.locator(credentials.errorSelector));
+    }
+
+    // A hidden error element is often already in the page, so wait for any visible match
+    await target.filter({ visible: true }).first().waitFor({ state: 'visible', timeout: this.config.defaultTimeout });
+    await this.checkLoginError(credentials);
+  }
+
+  /**
+   * Throw a login_failed error when the page shows the login error or failure URL
+   * @param {Object} credentials - Login settings
+   */
+  async checkLoginError(credentials) {
+    if (credentials.failureUrlPattern && new RegExp(credentials.failureUrlPattern).test(this.page.url())) {
+      throw new AutomationError('login_failed', `Login failed: redirected to ${this.page.url()}`);
+    }
+
+    if (credentials.errorSelector) {
+      const element = await this.page.$(credentials.errorSelector);
+
+      if (element && (await element.isVisible())) {
+        const message = ((await element.textContent()) || '').trim().replace(/\s+/g, ' ').slice(0, 200);
+        throw new AutomationError('login_failed', `Login failed: ${message || 'the site reported an error'}`);
+      }
+    }
+  }
+
+  /**
+   * Wait until the login succeeds or is rejected
+   * @param {Object} credentials - Login settings
+   */
+  async verifyLogin(credentials) {
+    const timeout = this.config.defaultTimeout;
+    const waits = [];
+
+    if (credentials.successSelector) {
+      waits.push(this.page.waitForSelector(credentials.successSelector, { timeout }).then(() => 'success'));
+    }
+
+    if (credentials.successUrlPattern) {
+      waits.push(this.page.waitForURL(new RegExp(credentials.successUrlPattern), { timeout }).then(() => 'success'));
+    }
+
+    const confirmable = waits.length > 0;
+
+    if (credentials.errorSelector) {
+      waits.push(this.page.waitForSelector(credentials.errorSelector, { state: 'visible', timeout }).then(() => 'error'));
+    }
+
+    if (credentials.failureUrlPattern) {
+      waits.push(this.page.waitForURL(new RegExp(credentials.failureUrlPattern), { timeout }).then(() => 'error'));
+    }
+
+    if (!confirmable) {
+      waits.push(this.page.waitForLoadState('networkidle').then(() => 'loaded'));
+    }
+
+    // The waits that lose the race time out later; ignore them
+    for (const wait of waits) {
+      wait.catch(() => {});
+    }
+
+    let outcome;
+
+    try {
+      outcome = await Promise.race(waits);
+    } catch (error) {
+      if (confirmable && error.name === 'TimeoutError') {
+        throw new AutomationError('login_failed', 'Login failed: the login was not confirmed', { cause: error });
+      }
+
+      throw error;
+    }
+
+    // Without a success condition, only a visible error means the login failed
+    if (outcome !== 'success') {
+      await this.checkLoginError(credentials);
+    }
+
+    if (outcome === 'error') {
+      throw new AutomationError('login_failed', 'Login failed: the site reported an error');
+    }
+  }
+
+  /**
+   * Extract data from a page
+   * @param {Object} extractionConfig - Data extraction configuration
+   * @param {string} extractionConfig.url - URL to extract data from (optional if already on page)
+   * @param {Object[]} extractionConfig.selectors - Array of selectors and their properties
+   * @param {Object} extractionConfig.pagination - Optional pagination/crawl settings (see extractPaginated)
+   * @returns {Object} - Extracted data
+   */
+  async extractData(extractionConfig) {
+    try {
+      // Navigate to URL if provided
+      if (extractionConfig.url) {
+        await this.navigate(extractionConfig.url);
+      }
+
+      let result;
+
+      if (extractionConfig.pagination) {
+        result = await this.extractPaginated(extractionConfig.selectors, extractionConfig.pagination);
+      } else {
+        result = await this.extractItems(extractionConfig.selectors);
+      }
+      
+      console.log('Data extracted successfully');
+      return result;
+    } catch (error) {
+      console.error('Data extraction failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract data for a list of selectors from the current page or an element.
+   * An entry with nested `fields` selects container elements and produces one
+   * record per container, with the child fields resolved relative to it.
+   * Values are passed through each entry's `transforms`; values that fail a
+   * transform are set to null and reported under `_errors` in the result.
+   * @param {Object[]} selectors - Array of selectors and their properties
+   * @param {Object[]} selectors[].fields - Child selectors for container entries (any depth)
+   * @param {Array<string|Object>} selectors[].transforms - Ordered transforms (see utils/transforms.js)
+   * @param {Object} scope - Page or ElementHandle the selectors are resolved against
+   * @param {Object} context - Validation context shared with nested records
+   * @param {Object[]} context.errors - Collected field validation errors
+   * @param {string} context.path - Path of the current record, e.g. "products[2]"
+   * @returns {Object} - Extracted data keyed by selector name
+   */
+  async extractItems(selectors, scope = this.page, context = null) {
+    const result = {};
+    const errors = context ? context.errors : [];
+    const basePath = context ? context.path : '';
+    
+    for (const item of selectors) {
+      const { name, selector, type, attribute, multiple, fields } = item;
+      const path = basePath ? `${basePath}.${name}` : name;
+
+      if (Array.isArray(fields)) {
+        // Extract structured records from container elements
+        result[name] = await this.extractRecords(item, scope, { errors, path });
+      } else if (type === 'table') {
+        // Extract table rows as objects keyed by header cells
+        const tables = await scope.$$eval(selector, parseTableElements, {
+          headers: item.headers || null,
+          headerRows: item.headerRows,
+          headerSeparator: item.headerSeparator || ' ',
+        });
+        const typed = tables.map(rows => coerceTableRows(rows, item.columns));
+        result[name] = multiple ? typed : (typed[0] || null);
+      } else if (!selector && scope !== this.page) {
+        // No selector reads the container element itself
+        result[name] = await scope.evaluate((el, { type, attribute }) => {
+          if (type === 'text') return el.textContent.trim();
+          if (type === 'html') return el.innerHTML.trim();
+          if (type === 'attribute' && attribute) return el.getAttribute(attribute);
+          return el.textContent.trim();
+        }, { type, attribute });
+      } else if (multiple) {
+        // Extract multiple elements
+        result[name] = await scope.$$eval(selector, (elements, { type, attribute }) => {
+          return elements.map(el => {
+            if (type === 'text') return el.textContent.trim();
+            if (type === 'html') return el.innerHTML.trim();
+            if (type === 'attribute' && attribute) return el.getAttribute(attribute);
+            return el.textContent.trim();
+          });
+        }, { type, attribute });
+      } else {
+        // Extract single element
+        result[name] = await scope.$eval(selector, (el, { type, attribute }) => {
+          if (type === 'text') return el.textContent.trim();
+          if (type === 'html') return el.innerHTML.trim();
+          if (type === 'attribute' && attribute) return el.getAttribute(attribute);
+          return el.textContent.trim();
+        }, { type, attribute }).catch(() => null);
+      }
+
+      // Apply the field's transform pipeline
+      if (Array.isArray(item.transforms) && item.transforms.length > 0) {
+        try {
+          result[name] = applyTransforms(result[name], item.transforms);
+        } catch (error) {
+          if (!(error instanceof TransformError)) {
+            throw error;
+          }
+
+          errors.push({ field: path, transform: error.transform, message: error.message, value: result[name] });
+          result[name] = null;
+        }
+      }
+    }
+
+    // Report validation errors once, at the top level of the result
+    if (!context && errors.length > 0) {
+      result._errors = errors;
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract one record per container element
+   * @param {Object} item - Container entry with selector and nested fields
+   * @param {Object} scope - Page or ElementHandle the container selector is resolved against
+   * @param {Object} context - Validation context (see extractItems)
+   * @returns {Object[]|Object|null} - Records, or a single record (or null) when multiple is false
+   */
+  async extractRecords(item, scope, context) {
+    const containers = await scope.$$(item.selector);
+    const records = [];
+
+    try {
+      for (const [index, container] of containers.entries()) {
+        const path = item.multiple === false ? context.path : `${context.path}[${index}]`;
+        records.push(await this.extractItems(item.fields, container, { errors: context.errors, path }));
+
+        if (item.multiple === false) {
+          break;
+        }
+      }
+    } finally {
+      await Promise.all(containers.map(container => container.dispose()));
+    }
+
+    if (item.multiple === false) {
+      return records[0] || null;
+    }
+
+    return records;
+  }
+
+  /**
+   * Extract data across several pages and merge the records into one result.
+   * List pages are reached through a "next" button or a URL template; links on
+   * them can additionally be followed to detail pages.
+   * @param {Object[]} selectors - Selectors extracted from every list page
+   * @param {Object} pagination - Pagination settings
+   * @param {string} pagination.nextSelector - CSS selector of the "next page" button
+   * @param {string} pagination.urlTemplate - Page URL containing a {page} placeholder
+   * @param {number} pagination.startPage - First page number for urlTemplate (default 1)
+   * @param {number} pagination.maxPages - Maximum number of list pages to visit (default 10)
+   * @param {string|number} pagination.waitFor - What to wait for after moving to the next page
+   * @param {Object} pagination.followLinks - Detail page crawl settings
+   * @param {string} pagination.followLinks.selector - CSS selector of links to follow
+   * @param {Object[]} pagination.followLinks.selectors - Selectors for detail pages (defaults to the list selectors)
+   * @param {number} pagination.followLinks.maxDepth - How many link levels to follow (default 1)
+   * @param {number} pagination.followLinks.maxPages - Maximum number of detail pages to visit (default 50)
+   * @param {boolean} pagination.followLinks.sameOrigin - Only follow links on the same origin (default true)
+   * @param {string} pagination.followLinks.as - Result key for detail records (default "details")
+   * @returns {Object} - Merged data; each field holds the values of every page in order
+   */
+  async extractPaginated(selectors, pagination) {
+    const maxPages = pagination.maxPages || 10;
+    const visited = new Set();
+    const merged = {};
+    const links = [];
+    let pageNumber = pagination.startPage || 1;
+    let pagesVisited = 0;
+    let previousUrl = null;
+    let previousFingerprint = null;
+
+    if (pagination.urlTemplate) {
+      await this.navigate(this.buildPageUrl(pagination.urlTemplate, pageNumber));
+    }
+
+    while (pagesVisited < maxPages) {
+      const pageUrl = normalizeUrl(this.page.url());
+      
+      // Stop when pagination loops back to a page that was already visited.
+      // "Next" buttons that paginate without changing the URL are caught by
+      // comparing the extracted content with the previous page instead.
+      if (visited.has(pageUrl) && pageUrl !== previousUrl) {
+        break;
+      }
+
+      const data = await this.extractItems(selectors);
+      const fingerprint = JSON.stringify(data);
+
+      if (fingerprint === previousFingerprint) {
+        break;
+      }
+
+      visited.add(pageUrl);
+      previousUrl = pageUrl;
+      previousFingerprint = fingerprint;
+      pagesVisited++;
+
+      // Template pagination ends at the first page without any records
+      if (pagination.urlTemplate && pagesVisited > 1 && isEmptyExtraction(data)) {
+        break;
+      }
+
+      mergeExtraction(merged, data);
+
+      if (pagination.followLinks) {
+        links.push(...await this.collectLinks(pagination.followLinks));
+      }
+
+      if (pagesVisited >= maxPages) {
+        break;
+      }
+
+      // Move to the next list page
+      if (pagination.nextSelector) {
+        const hasNext = await this.clickNext(pagination.nextSelector);
+
+        if (!hasNext) {
+          break;
+        }
+
+        await this.waitFor(pagination.waitFor);
+      } else if (pagination.urlTemplate) {
+        pageNumber++;
+        await this.navigate(this.buildPageUrl(pagination.urlTemplate, pageNumber));
+
+        if (pagination.waitFor) {
+          await this.waitFor(pagination.waitFor);
+        }
+      } else {
+        break;
+      }
+    }
+
+    if (pagination.followLinks) {
+      const detailsKey = pagination.followLinks.as || 'details';
+      merged[detailsKey] = await this.crawlLinks(links, selectors, pagination.followLinks, visited);
+    }
+
+    console.log(`Paginated extraction visited ${pagesVisited} list page(s)`);
+    return merged;
+  }
+
+  /**
+   * Build a page URL from a template
+   * @param {string} template - URL containing a {page} placeholder
+   * @param {number} pageNumber - Page number to substitute
+   * @returns {string} - Page URL
+   */
+  buildPageUrl(template, pageNumber) {
+    return template.replace(/\{page\}/g, String(pageNumber));
+  }
+
+  /**
+   * Click the "next page" control if it is present and enabled
+   * @param {string} selector - CSS selector of the next button
+   * @returns {boolean} - Whether the button was clicked
+   */
+  async clickNext(selector) {
+    const button = await this.page.$(selector);
+
+    if (!button || !(await button.isVisible())) {
+      return false;
+    }
+
+    const disabled = await button.evaluate((el) => (
+      el.disabled === true
+      || el.getAttribute('aria-disabled') === 'true'
+      || el.classList.contains('disabled')
+    ));
+
+    if (disabled) {
+      return false;
+    }
+
+    await button.click();
+    return true;
+  }
+
+  /**
+   * Collect absolute URLs of links matching the follow-links selector
+   * @param {Object} followLinks - Detail page crawl settings
+   * @returns {string[]} - Link URLs on the current page
+   */
+  async collectLinks(followLinks) {
+    const hrefs = await this.page.$$eval(followLinks.selector, (elements) => (
+      elements.map(el => el.getAttribute('href')).filter(Boolean)
+    ));
+    const base = this.page.url();
+    const baseOrigin = new URL(base).origin;
+    const urls = [];
+
+    for (const href of hrefs) {
+      let url;
+
+      try {
+        url = new URL(href, base);
+      } catch (error) {
+        continue;
+      }
+
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        continue;
+      }
+
+      if (followLinks.sameOrigin !== false && url.origin !== baseOrigin) {
+        continue;
+      }
+
+      urls.push(normalizeUrl(url.href));
+    }
+
+    return urls;
+  }
+
+  /**
+   * Visit linked detail pages breadth-first and extract one record per page
+   * @param {string[]} startLinks - Links found on the list pages
+   * @param {Object[]} listSelectors - Selectors used on the list pages
+   * @param {Object} followLinks - Detail page crawl settings
+   * @param {Set} visited - Normalized URLs that were already visited
+   * @returns {Object[]} - Detail records, each with the url it came from
+   */
+  async crawlLinks(startLinks, listSelectors, followLinks, visited) {
+    const selectors = followLinks.selectors || listSelectors;
+    const maxDepth = followLinks.maxDepth || 1;
+    const maxPages = followLinks.maxPages || 50;
+    const queue = startLinks.map(url => ({ url, depth: 1 }));
+    const records = [];
+
+    while (queue.length > 0 && records.length < maxPages) {
+      const { url, depth } = queue.shift();
+
+      if (visited.has(url)) {
+        continue;
+      }
+
+      visited.add(url);
+      await this.navigate(url);
+
+      const data = await this.extractItems(selectors);
+      records.push({ url, ...data });
+
+      if (depth < maxDepth) {
+        const nested = await this.collectLinks(followLinks);
+        queue.push(...nested.map(link => ({ url: link, depth: depth + 1 })));
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Run an ordered list of automation steps on the current page
+   * @param {Object[]} steps - Steps as produced by OpenAIService.generateAutomationInstructions
+   * @param {string} steps[].type - Step type (navigate, click, input, extract, wait, condition)
+   * @param {Object} options - Run options
+   * @param {Function} options.onStep - Callback invoked with the outcome of every executed step
+   * @param {Object} options.data - Object that named extract outputs are written into
+   * @param {Object} options.values - Values for {{name}} placeholders in input steps
+   * @returns {Object} - Extracted data keyed by each extract step's extractAs name
+   */
+  async runSteps(steps, options = {}) {
+    const data = options.data || {};
+
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      const path = options.path ? `${options.path}.${index + 1}` : `${index + 1}`;
+      const startTime = Date.now();
+
+      try {
+        const outcome = await this.runStep(step, path, { ...options, data });
+
+        if (options.onStep) {
+          await options.onStep({ path, step, status: 'completed', duration: Date.now() - startTime, ...outcome });
+        }
+      } catch (error) {
+        if (options.onStep) {
+          await options.onStep({ path, step, status: 'failed', duration: Date.now() - startTime, error: error.message });
+        }
+
+        // Optional steps are allowed to fail without stopping the run
+        if (!step.optional) {
+          error.message = `Step ${path} (${step.type}) failed: ${error.message}`;
+          throw error;
+        }
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Run a single automation step
+   * @param {Object} step - Step definition
+   * @param {string} path - Position of the step, e.g. "3.then.1" for nested branches
+   * @param {Object} options - Options passed through from runSteps
+   * @returns {Object} - Step outcome details for logging
+   */
+  async runStep(step, path, options) {
+    switch (step.type) {
+      case 'navigate': {
+        const url = step.url || step.value;
+
+        if (!url) {
+          throw new Error('Navigate step requires a url');
+        }
+
+        await this.navigate(url);
+        return { url };
+      }
+
+      case 'click':
+        await this.page.click(step.selector);
+
+        if (step.waitFor) {
+          await this.waitFor(step.waitFor);
+        }
+        return {};
+
+      case 'input': {
+        let value = step.value === undefined || step.value === null ? '' : String(step.value);
+
+        // Login steps fill in {{username}}, {{password}} and {{totp}}
+        if (options.values) {
+          const matches = [...value.matchAll(/\{\{(\w+)\}\}/g)];
+
+          for (const [placeholder, name] of matches) {
+            if (name in options.values) {
+              const replacement = (await options.values[name]) ?? '';
+              value = value.replace(placeholder, () => replacement);
+            }
+          }
+        }
+
+        await this.page.fill(step.selector, value);
+        return {};
+      }
+
+      case 'extract': {
+        const name = step.extractAs || step.name || `step_${path}`;
+
+        if (Array.isArray(step.selectors)) {
+          // Full extraction config, merged into the step data under its own name
+          options.data[name] = await this.extractData({
+            selectors: step.selectors,
+            pagination: step.pagination,
+          });
+        } else {
+          const extracted = await this.extractData({
+            selectors: [{
+              name,
+              selector: step.selector,
+              type: step.extractType || 'text',
+              attribute: step.attribute,
+              multiple: step.multiple,
+            }],
+          });
+          options.data[name] = extracted[name];
+        }
+
+        return { extractAs: name };
+      }
+
+      case 'wait':
+        await this.waitFor(step.selector || step.waitFor || step.value);
+        return {};
+
+      case 'condition': {
+        const matched = await this.evaluateCondition(step);
+        const branch = matched ? step.then : step.else;
+        const branchName = matched ? 'then' : 'else';
+
+        if (Array.isArray(branch) && branch.length > 0) {
+          await this.runSteps(branch, { ...options, path: `${path}.${branchName}` });
+        }
+
+        return { matched, branch: branchName };
+      }
+
+      default:
+        throw new Error(`Unknown step type: ${step.type}`);
+    }
+  }
+
+  /**
+   * Wait for a selector, a load state or a fixed delay
+   * @param {string|number} waitFor - CSS selector, load state name or delay in milliseconds
+   */
+  async waitFor(waitFor) {
+    if (waitFor === undefined || waitFor === null || waitFor === '') {
+      await this.page.waitForLoadState('networkidle');
+    } else if (typeof waitFor === 'number' || /^\d+$/.test(String(waitFor))) {
+      await this.page.waitForTimeout(Number(waitFor));
+    } else if (['load', 'domcontentloaded', 'networkidle'].includes(waitFor)) {
+      await this.page.waitForLoadState(waitFor);
+    } else {
+      await this.page.waitForSelector(waitFor, { timeout: this.config.defaultTimeout });
+    }
+  }
+
+  /**
+   * Evaluate the test of a condition step against the current page
+   * @param {Object} step - Condition step
+   * @param {string} step.selector - Matches when an element for this selector exists
+   * @param {string} step.state - Optional element state to require (visible, hidden)
+   * @param {string} step.urlIncludes - Matches when the current URL contains this string
+   * @param {string} step.textIncludes - Matches when the element (or page) text contains this string
+   * @returns {boolean} - Whether the condition holds
+   */
+  async evaluateCondition(step) {
+    if (step.urlIncludes && !this.page.url().includes(step.urlIncludes)) {
+      return false;
+    }
+
+    if (step.selector) {
+      const element = await this.page.$(step.selector);
+
+      if (!element) {
+        return step.state === 'hidden';
+      }
+
+      if (step.state === 'visible' && !(await element.isVisible())) {
+        return false;
+      }
+
+      if (step.state === 'hidden' && (await element.isVisible())) {
+        return false;
+      }
+
+      if (step.textIncludes) {
+        const text = await element.textContent();
+        return (text || '').includes(step.textIncludes);
+      }
+
+      return true;
+    }
+
+    if (step.textIncludes) {
+      const text = await this.page.textContent('body');
+      return (text || '').includes(step.textIncludes);
+    }
+
+    return Boolean(step.urlIncludes);
+  }
+
+  /**
+   * Get the storage state (cookies and localStorage) of the session, for saving a login
+   * @returns {Object} - Playwright storage state
+   */
+  async getStorageState() {
+    return this.context.storageState();
+  }
+
+  /**
+   * Check whether a restored login session is still logged in. With a success
+   * selector or URL pattern the check waits for them; otherwise the session is
+   * valid unless the page redirects to the login page or shows the login form.
+   * @param {Object} credentials - Login settings
+   * @param {string} url - Page to open for the check
+   * @param {number} timeout - Time to wait for the success selector in milliseconds
+   * @returns {boolean} - Whether the session is still valid
+   */
+  async checkSession(credentials, url, timeout) {
+    await this.navigate(url);
+
+    const currentUrl = this.page.url();
+
+    if (credentials.failureUrlPattern && new RegExp(credentials.failureUrlPattern).test(currentUrl)) {
+      return false;
+    }
+
+    if (credentials.successSelector || credentials.successUrlPattern) {
+      if (credentials.successUrlPattern && !new RegExp(credentials.successUrlPattern).test(currentUrl)) {
+        return false;
+      }
+
+      if (credentials.successSelector) {
+        return this.page.waitForSelector(credentials.successSelector, { timeout }).then(() => true, (error) => {
+          if (error.name === 'TimeoutError') {
+            return false;
+          }
+
+          throw error;
+        });
+      }
+
+      return true;
+    }
+
+    // Sites send logged-out visitors to the login page
+    const current = new URL(currentUrl);
+    const loginPage = new URL(credentials.url);
+
+    if (current.origin === loginPage.origin && current.pathname === loginPage.pathname && url !== credentials.url) {
+      return false;
+    }
+
+    for (const selector of [credentials.usernameSelector, credentials.passwordSelector].filter(Boolean)) {
+      const element = await this.page.$(selector);
+
+      if (element && (await element.isVisible())) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Drop the cookies and localStorage of a restored session before logging in again
+   */
+  async clearSession() {
+    await this.context.clearCookies();
+    await this.page.evaluate(() => window.localStorage.clear()).catch(() => {});
+  }
+
+  /**
+   * Take a screenshot of the current page
+   * @param {Object} options - Screenshot options
+   * @returns {Buffer} - Screenshot buffer
+   */
+  async takeScreenshot(options = {}) {
+    try {
+      if (!this.page) {
+        throw new Error('No active page');
+      }
+      
+      const screenshot = await this.page.screenshot({
+        fullPage: options.fullPage || false,
+        path: options.path || null,
+        type: options.type || 'png',
+      });
+      
+      console.log('Screenshot taken successfully');
+      return screenshot;
+    } catch (error) {
+      console.error('Failed to take screenshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the HTML of the current page
+   * @returns {string} - Serialized page HTML
+   */
+  async getContent() {
+    try {
+      if (!this.page) {
+        throw new Error('No active page');
+      }
+
+      return await this.page.content();
+    } catch (error) {
+      console.error('Failed to get page content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the session context and its pages
+   */
+  async close() {
+    // Closing can be triggered by an abort and by the pool at the same time
+    if (!this.closing) {
+      this.closing = this.closeContext();
+    }
+
+    return this.closing;
+  }
+
+  /**
+   * Write the trace, then close the context (which writes the HAR file)
+   */
+  async closeContext() {
+    if (this.recording && this.recording.trace) {
+      try {
+        await this.context.tracing.stop({ path: path.join(this.recording.dir, 'trace.zip') });
+      } catch (error) {
+        console.error('Failed to save trace:', error);
+      }
+    }
+
+    try {
+      await this.context.close();
+      this.page = null;
+    } catch (error) {
+      console.error('Failed to close browser context:', error);
+    }
+  }
+
+  /**
+   * List the recording files of a closed session
+   * @returns {Array} - { type, name, path, contentType } for each enabled recording
+   */
+  getRecordings() {
+    if (!this.recording) {
+      return [];
+    }
+
+    const files = [];
+
+    if (this.recording.trace) {
+      files.push({ type: 'trace', name: 'trace.zip', path: path.join(this.recording.dir, 'trace.zip'), contentType: 'application/zip' });
+    }
+
+    if (this.recording.har) {
+      files.push({ type: 'har', name: 'network.har', path: path.join(this.recording.dir, 'network.har'), contentType: 'application/json' });
+    }
+
+    return files;
+  }
+
+  /**
+   * Delete the temporary recording files
+   */
+  async removeRecordings() {
+    if (this.recording) {
+      await fs.promises.rm(this.recording.dir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Normalize a URL for de-duplication by dropping its fragment
+ * @param {string} url - URL to normalize
+ * @returns {string} - Normalized URL
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Append the data of one page to the merged result of a paginated extraction
+ * @param {Object} merged - Merged result, every field is an array
+ * @param {Object} data - Data extracted from a single page
+ */
+function mergeExtraction(merged, data) {
+  for (const [name, value] of Object.entries(data)) {
+    if (!merged[name]) {
+      merged[name] = [];
+    }
+
+    if (Array.isArray(value)) {
+      merged[name].push(...value);
+    } else if (value !== null && value !== undefined) {
+      merged[name].push(value);
+    }
+  }
+}
+
+/**
+ * Check whether a page produced no data at all
+ * @param {Object} data - Data extracted from a single page
+ * @returns {boolean} - True when every field is empty
+ */
+function isEmptyExtraction(data) {
+  return Object.values(data).every(value => (
+    value === null || value === undefined || (Array.isArray(value) && value.length === 0)
+  ));
+}
+
+/**
+ * Convert <table> elements into arrays of row objects. Runs inside the page,
+ * so it must not reference anything outside its own body.
+ * @param {Element[]} tables - Table elements
+ * @param {Object} options - Table options
+ * @param {string[]} options.headers - Header names overriding the table's own header cells
+ * @param {number} options.headerRows - Number of header rows (detected from thead/th when omitted)
+ * @param {string} options.headerSeparator - Separator joining multi-row header labels
+ * @returns {Object[][]} - Row objects for every table
+ */
+function parseTableElements(tables, options) {
+  const cellText = (cell) => (cell.textContent || '').replace(/\s+/g, ' ').trim();
+
+  return tables.map((table) => {
+    // Expand colspan/rowspan into a rectangular grid of cells
+    const grid = [];
+    const headerFlags = [];
+    const rows = Array.from(table.rows);
+
+    rows.forEach((row, rowIndex) => {
+      grid[rowIndex] = grid[rowIndex] || [];
+      headerFlags[rowIndex] = row.parentElement.tagName === 'THEAD'
+        || (row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH'));
+
+      let columnIndex = 0;
+
+      for (const cell of Array.from(row.cells)) {
+        while (grid[rowIndex][columnIndex] !== undefined) {
+          columnIndex++;
+        }
+
+        const colspan = Math.max(parseInt(cell.getAttribute('colspan') || '1', 10) || 1, 1);
+        const rowspan = Math.max(parseInt(cell.getAttribute('rowspan') || '1', 10) || 1, 1);
+        const text = cellText(cell);
+
+        for (let r = 0; r < rowspan && rowIndex + r < rows.length; r++) {
+          grid[rowIndex + r] = grid[rowIndex + r] || [];
+
+          for (let c = 0; c < colspan; c++) {
+            grid[rowIndex + r][columnIndex + c] = text;
+          }
+        }
+
+        columnIndex += colspan;
+      }
+    });
+
+    let headerRowCount = options.headerRows;
+
+    if (headerRowCount === undefined || headerRowCount === null) {
+      headerRowCount = 0;
+      while (headerRowCount < grid.length && headerFlags[headerRowCount]) {
+        headerRowCount++;
+      }
+
+      // Tables without th/thead cells use their first row as the header
+      if (headerRowCount === 0 && !options.headers) {
+        headerRowCount = Math.min(1, grid.length);
+      }
+    }
+
+    const width = grid.reduce((max, row) => Math.max(max, row.length), 0);
+    let headers = options.headers;
+
+    if (!headers) {
+      headers = [];
+
+      for (let c = 0; c < width; c++) {
+        const labels = [];
+
+        for (let r = 0; r < headerRowCount; r++) {
+          const label = grid[r][c];
+
+          // Spanned header cells repeat their label; keep each label once
+          if (label && labels[labels.length - 1] !== label) {
+            labels.push(label);
+          }
+        }
+
+        headers.push(labels.join(options.headerSeparator));
+      }
+    }
+
+    // Fill in empty header names and de-duplicate repeated ones
+    const seen = {};
+    const keys = [];
+
+    for (let c = 0; c < width; c++) {
+      let key = headers[c] || `column_${c + 1}`;
+
+      if (seen[key]) {
+        seen[key]++;
+        key = `${key}_${seen[key]}`;
+      } else {
+        seen[key] = 1;
+      }
+
+      keys.push(key);
+    }
+
+    return grid.slice(headerRowCount)
+      .filter(row => row.some(value => value))
+      .map((row) => {
+        const record = {};
+        keys.forEach((key, c) => {
+          record[key] = row[c] === undefined ? null : row[c];
+        });
+        return record;
+      });
+  });
+}
+
+/**
+ * Apply per-column type coercion to extracted table rows. Cells that cannot be
+ * converted become null, since blank or placeholder cells are common in grids.
+ * @param {Object[]} rows - Row objects keyed by header
+ * @param {Object} columns - Map of header name to a type (string, number, integer, boolean, date) or transform list
+ * @returns {Object[]} - Rows with coerced values
+ */
+function coerceTableRows(rows, columns) {
+  if (!columns) {
+    return rows;
+  }
+
+  return rows.map((row) => {
+    const typed = { ...row };
+
+    for (const [column, type] of Object.entries(columns)) {
+      if (!(column in typed) || type === 'string') {
+        continue;
+      }
+
+      try {
+        typed[column] = applyTransforms(typed[column], Array.isArray(type) ? type : [type]);
+      } catch (error) {
+        typed[column] = null;
+      }
+    }
+
+    return typed;
+  });
+}
+
+export default BrowserSession;
+
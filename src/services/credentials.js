@@ -0,0 +1,466 @@
+// Credential vault: website logins encrypted at rest with AES-256-GCM
+import crypto from 'crypto';
+import { query } from '../db/database.js';
+import config from '../config/config.js';
+import { parseTotpSeed, TotpError } from '../utils/totp.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Error raised for invalid credential data or references
+ */
+export class CredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialError';
+  }
+}
+
+/**
+ * Decode a 256-bit key given as base64 or hex
+ * @param {string} value - Encoded key
+ * @param {string} keyId - Key ID, for error messages
+ * @returns {Buffer} - 32-byte key
+ */
+const decodeKey = (value, keyId) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`Credential key ${keyId} must be 32 bytes, encoded as base64 or hex`);
+  }
+
+  return key;
+};
+
+class CredentialVault {
+  constructor() {
+    this.config = config.vault;
+    this.keys = null;
+  }
+
+  /**
+   * Load the master keys: the current key encrypts, previous keys only decrypt
+   * @returns {Map} - Key ID to key
+   */
+  getKeys() {
+    if (!this.keys) {
+      if (!this.config.key) {
+        throw new Error('Credential vault is not configured: set CREDENTIAL_KEY');
+      }
+
+      const keys = new Map([[this.config.keyId, decodeKey(this.config.key, this.config.keyId)]]);
+
+      for (const entry of this.config.previousKeys) {
+        const [keyId, value] = entry.split(':');
+
+        if (!keys.has(keyId)) {
+          keys.set(keyId, decodeKey(value || '', keyId));
+        }
+      }
+
+      this.keys = keys;
+    }
+
+    return this.keys;
+  }
+
+  /**
+   * Encrypt a secret under the current key
+   * @param {string} plaintext - Secret
+   * @param {string} credentialId - Credential the secret belongs to (authenticated with the ciphertext)
+   * @returns {string} - "v1:<key id>:<iv>:<auth tag>:<ciphertext>", base64 parts
+   */
+  encrypt(plaintext, credentialId) {
+    const keyId = this.config.keyId;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKeys().get(keyId), iv);
+    cipher.setAAD(Buffer.from(credentialId));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, keyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  /**
+   * Decrypt a secret encrypted with encrypt()
+   * @param {string} value - Encrypted secret
+   * @param {string} credentialId - Credential the secret belongs to
+   * @returns {string} - Secret
+   */
+  decrypt(value, credentialId) {
+    const [version, keyId, iv, tag, ciphertext] = value.split(':');
+
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported credential encryption format ${version}`);
+    }
+
+    const key = this.getKeys().get(keyId);
+
+    if (!key) {
+      throw new Error(`Credential key ${keyId} is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(credentialId));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Validate credential fields
+   * @param {Object} data - Credential fields
+   * @param {boolean} partial - Whether this is an update
+   */
+  validate(data, partial = false) {
+    for (const field of ['name', 'domain']) {
+      if (!partial && !data[field]) {
+        throw new CredentialError(`${field} is required`);
+      }
+
+      if (data[field] !== undefined && (typeof data[field] !== 'string' || data[field].trim() === '')) {
+        throw new CredentialError(`${field} must be a non-empty string`);
+      }
+    }
+
+    for (const field of ['username', 'password', 'totpSecret']) {
+      if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+        throw new CredentialError(`${field} must be a string`);
+      }
+    }
+
+    if (data.totpSecret) {
+      try {
+        parseTotpSeed(data.totpSecret);
+      } catch (error) {
+        if (error instanceof TotpError) {
+          throw new CredentialError(`totpSecret: ${error.message}`);
+        }
+
+        throw error;
+      }
+    }
+
+    if (data.additionalData !== undefined && data.additionalData !== null
+      && (typeof data.additionalData !== 'object' || Array.isArray(data.additionalData))) {
+      throw new CredentialError('additionalData must be an object');
+    }
+  }
+
+  /**
+   * Remove the encrypted secrets from a credential row
+   * @param {Object} credential - Credential row
+   * @returns {Object} - Credential safe to return from the API
+   */
+  sanitize(credential) {
+    const { password_encrypted, totp_secret_encrypted, ...rest } = credential;
+    return { ...rest, has_password: Boolean(password_encrypted), has_totp: Boolean(totp_secret_encrypted) };
+  }
+
+  /**
+   * Store a new credential
+   * @param {string} organizationId - Organization owning the credential
+   * @param {string} userId - Creator of the credential
+   * @param {Object} data - Credential data
+   * @param {string} data.name - Display name
+   * @param {string} data.domain - Domain the credential is used on
+   * @param {string} data.username - Username
+   * @param {string} data.password - Password (encrypted before it is stored)
+   * @param {string} data.totpSecret - TOTP seed, base32 or otpauth:// URI (encrypted before it is stored)
+   * @param {Object} data.additionalData - Non-secret additional data
+   * @returns {Object} - Created credential without its secret
+   */
+  async createCredential(organizationId, userId, data) {
+    try {
+      this.validate(data);
+
+      const id = crypto.randomUUID();
+      const passwordEncrypted = data.password ? this.encrypt(data.password, id) : null;
+      const totpEncrypted = data.totpSecret ? this.encrypt(data.totpSecret, `${id}:totp`) : null;
+
+      const result = await query(
+        `INSERT INTO credentials
+         (id, organization_id, user_id, name, domain, username, password_encrypted, totp_secret_encrypted, key_id, additional_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          id,
+          organizationId,
+          userId,
+          data.name,
+          data.domain,
+          data.username || null,
+          passwordEncrypted,
+          totpEncrypted,
+          this.config.keyId,
+          data.additionalData ? JSON.stringify(data.additionalData) : null,
+        ]
+      );
+
+      return this.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error('Failed to create credential:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a credential row of a user
+   * @param {string} organizationId - Organization owning the credential
+   * @param {string} credentialId - Credential ID
+   * @returns {Object} - Credential row, including the encrypted secret
+   */
+  async findCredential(organizationId, credentialId) {
+    const result = await query(
+      'SELECT * FROM credentials WHERE id = $1 AND organization_id = $2',
+      [credentialId, organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Credential with ID ${credentialId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a credential
+   * @param {string} organizationId - Organization owning the credential
+   * @param {string} credentialId - Credential ID
+   * @returns {Object} - Credential without its secret
+   */
+  async getCredential(organizationId, credentialId) {
+    try {
+      return this.sanitize(await this.findCredential(organizationId, credentialId));
+    } catch (error) {
+      console.error(`Failed to get credential ${credentialId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the credentials of a user
+   * @param {string} organizationId - Organization owning the credentials
+   * @returns {Array} - Credentials without their secrets
+   */
+  async listCredentials(organizationId) {
+    try {
+      const result = await query(
+        'SELECT * FROM credentials WHERE organization_id = $1 ORDER BY name ASC',
+        [organizationId]
+      );
+
+      return result.rows.map(credential => this.sanitize(credential));
+    } catch (error) {
+      console.error('Failed to list credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a credential; new secrets are encrypted under the current key
+   * @param {string} organizationId - Organization owning the credential
+   * @param {string} credentialId - Credential ID
+   * @param {Object} data - Fields to update: name, domain, username, password, totpSecret, additionalData
+   * @returns {Object} - Updated credential without its secret
+   */
+  async updateCredential(organizationId, credentialId, data) {
+    try {
+      this.validate(data, true);
+
+      const fields = {
+        name: data.name,
+        domain: data.domain,
+        username: data.username,
+        additional_data: data.additionalData === undefined ? undefined : JSON.stringify(data.additionalData),
+      };
+
+      // Secrets are only written when given; null removes them
+      if (data.password !== undefined) {
+        fields.password_encrypted = data.password ? this.encrypt(data.password, credentialId) : null;
+      }
+
+      if (data.totpSecret !== undefined) {
+        fields.totp_secret_encrypted = data.totpSecret ? this.encrypt(data.totpSecret, `${credentialId}:totp`) : null;
+      }
+
+      const updates = [];
+      const values = [];
+
+      for (const [column, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          values.push(value);
+          updates.push(`${column} = $${values.length}`);
+        }
+      }
+
+      // Both secrets must be readable with the same key, so the other one is re-encrypted too
+      if (fields.password_encrypted !== undefined || fields.totp_secret_encrypted !== undefined) {
+        const current = await this.findCredential(organizationId, credentialId);
+
+        if (fields.password_encrypted === undefined && current.password_encrypted) {
+          values.push(this.encrypt(this.decrypt(current.password_encrypted, credentialId), credentialId));
+          updates.push(`password_encrypted = $${values.length}`);
+        }
+
+        if (fields.totp_secret_encrypted === undefined && current.totp_secret_encrypted) {
+          const seed = this.decrypt(current.totp_secret_encrypted, `${credentialId}:totp`);
+          values.push(this.encrypt(seed, `${credentialId}:totp`));
+          updates.push(`totp_secret_encrypted = $${values.length}`);
+        }
+
+        values.push(this.config.keyId);
+        updates.push(`key_id = $${values.length}`);
+      }
+
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(credentialId, organizationId);
+
+      const result = await query(
+        `UPDATE credentials SET ${updates.join(', ')}
+         WHERE id = $${values.length - 1} AND organization_id = $${values.length}
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Credential with ID ${credentialId} not found`);
+      }
+
+      return this.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error(`Failed to update credential ${credentialId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a credential that no task refers to
+   * @param {string} organizationId - Organization owning the credential
+   * @param {string} credentialId - Credential ID
+   */
+  async deleteCredential(organizationId, credentialId) {
+    try {
+      await this.findCredential(organizationId, credentialId);
+
+      const tasks = await query(
+        `SELECT COUNT(*)::int AS count FROM tasks
+         WHERE organization_id = $1 AND config->'credentials'->>'credentialId' = $2`,
+        [organizationId, credentialId]
+      );
+
+      if (tasks.rows[0].count > 0) {
+        throw new CredentialError(`Credential is used by ${tasks.rows[0].count} task(s)`);
+      }
+
+      await query('DELETE FROM credentials WHERE id = $1 AND organization_id = $2', [credentialId, organizationId]);
+    } catch (error) {
+      console.error(`Failed to delete credential ${credentialId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the credential referenced by a task configuration belongs to the task's
+   * organization (the shape of the login settings is checked by utils/validation.js)
+   * @param {string} organizationId - Organization owning the task
+   * @param {Object} taskConfig - Task configuration
+   * @returns {Object[]} - Field errors as { path, message }; empty when the reference is valid
+   */
+  async checkTaskConfig(organizationId, taskConfig) {
+    const login = taskConfig && taskConfig.credentials;
+
+    if (!login || !login.credentialId) {
+      return [];
+    }
+
+    try {
+      await this.findCredential(organizationId, login.credentialId);
+      return [];
+    } catch (error) {
+      if (!error.message.includes('not found')) {
+        throw error;
+      }
+
+      return [{ path: 'config.credentials.credentialId', message: `refers to a credential that does not exist (${login.credentialId})` }];
+    }
+  }
+
+  /**
+   * Resolve the login settings of a task for execution
+   * @param {string} organizationId - Organization owning the task
+   * @param {Object} login - Task login settings (config.credentials)
+   * @returns {Object} - Login settings with username and password filled in from the vault
+   */
+  async resolveLogin(organizationId, login) {
+    if (!login.credentialId) {
+      return login;
+    }
+
+    const credential = await this.findCredential(organizationId, login.credentialId);
+
+    await query('UPDATE credentials SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [credential.id]);
+
+    return {
+      ...login,
+      domain: login.domain || credential.domain,
+      username: credential.username,
+      password: credential.password_encrypted ? this.decrypt(credential.password_encrypted, credential.id) : undefined,
+      totpSecret: credential.totp_secret_encrypted
+        ? this.decrypt(credential.totp_secret_encrypted, `${credential.id}:totp`)
+        : undefined,
+    };
+  }
+
+  /**
+   * Re-encrypt every secret stored under a previous key with the current key
+   * @returns {number} - Number of re-encrypted credentials
+   */
+  async rotateKeys() {
+    const keyId = this.config.keyId;
+    let rotated = 0;
+
+    try {
+      const result = await query(
+        `SELECT id, password_encrypted, totp_secret_encrypted, key_id FROM credentials
+         WHERE (password_encrypted IS NOT NULL OR totp_secret_encrypted IS NOT NULL) AND key_id IS DISTINCT FROM $1`,
+        [keyId]
+      );
+
+      const reencrypt = (value, aad) => (value ? this.encrypt(this.decrypt(value, aad), aad) : null);
+
+      for (const credential of result.rows) {
+        // Only replace the secrets that were read: a credential updated in the meantime
+        // keeps its new secrets (a later rotation re-encrypts them if needed)
+        const update = await query(
+          `UPDATE credentials SET password_encrypted = $1, totp_secret_encrypted = $2, key_id = $3,
+           updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4 AND key_id IS NOT DISTINCT FROM $5
+           AND password_encrypted IS NOT DISTINCT FROM $6 AND totp_secret_encrypted IS NOT DISTINCT FROM $7
+           RETURNING id`,
+          [
+            reencrypt(credential.password_encrypted, credential.id),
+            reencrypt(credential.totp_secret_encrypted, `${credential.id}:totp`),
+            keyId,
+            credential.id,
+            credential.key_id,
+            credential.password_encrypted,
+            credential.totp_secret_encrypted,
+          ]
+        );
+
+        if (update.rows.length > 0) {
+          rotated++;
+        }
+      }
+
+      return rotated;
+    } catch (error) {
+      console.error(`Key rotation stopped after ${rotated} credential(s):`, error);
+      throw error;
+    }
+  }
+}
+
+export default new CredentialVault();
@@ -0,0 +1,152 @@
+// Live task events: status changes, run updates and log lines published by
+// database triggers on the task_events channel, fanned out per task
+import { EventEmitter } from 'events';
+import { pool } from '../db/database.js';
+
+const CHANNEL = 'task_events';
+const RECONNECT_DELAY = 5000;
+
+class TaskEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.client = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Listen for the events of a task
+   * @param {string} taskId - Task ID
+   * @param {Function} listener - Called with each event; a `resync` event means
+   * notifications may have been missed and the listener should catch up from the database
+   * @returns {Function} - Removes the listener
+   */
+  async subscribe(taskId, listener) {
+    this.emitter.on(taskId, listener);
+
+    try {
+      await this.connect();
+    } catch (error) {
+      this.emitter.off(taskId, listener);
+      throw error;
+    }
+
+    return () => this.emitter.off(taskId, listener);
+  }
+
+  /**
+   * Open the shared LISTEN connection if it is not open yet
+   */
+  async connect() {
+    if (this.client) {
+      return;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.listen().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+  }
+
+  /**
+   * Check out a dedicated connection and LISTEN on the event channel
+   */
+  async listen() {
+    const client = await pool.connect();
+
+    try {
+      client.on('notification', (message) => this.dispatch(message));
+      client.on('error', (error) => this.handleError(client, error));
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+
+    this.client = client;
+    this.closed = false;
+  }
+
+  /**
+   * Forward a notification to the listeners of its task
+   * @param {Object} message - pg notification
+   */
+  dispatch(message) {
+    try {
+      const event = JSON.parse(message.payload);
+      this.emitter.emit(event.task_id, event);
+    } catch (error) {
+      console.error('Invalid task event:', error);
+    }
+  }
+
+  /**
+   * Drop a broken LISTEN connection and reconnect while anyone is listening
+   * @param {Object} client - Broken client
+   * @param {Error} error - Connection error
+   */
+  handleError(client, error) {
+    console.error('Task event connection error:', error);
+
+    if (this.client !== client) {
+      return;
+    }
+
+    this.client = null;
+    client.release(error);
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Reconnect after a delay while anyone is listening
+   */
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+
+      if (this.emitter.eventNames().length === 0) {
+        return;
+      }
+
+      try {
+        await this.connect();
+
+        // Notifications sent while disconnected are lost
+        for (const taskId of this.emitter.eventNames()) {
+          this.emitter.emit(taskId, { type: 'resync', task_id: taskId });
+        }
+      } catch (error) {
+        console.error('Failed to reconnect task event connection:', error);
+        this.scheduleReconnect();
+      }
+    }, RECONNECT_DELAY);
+  }
+
+  /**
+   * Close the LISTEN connection
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+
+      await client.query(`UNLISTEN ${CHANNEL}`).catch(() => {});
+      client.release();
+    }
+  }
+}
+
+export default new TaskEvents();
@@ -1,6 +1,7 @@
 // OpenAI integration service for data processing
 import OpenAI from 'openai';
 import config from '../config/config.js';
+import usageService from './usage.js';
 
 class OpenAIService {
   constructor() {
@@ -10,6 +11,17 @@ class OpenAIService {
     this.model = config.openai.model;
   }
 
+  /**
+   * Count the tokens of a completion against the quota of an organization
+   * @param {Object} response - Chat completion response
+   * @param {string} organizationId - Organization the request was made for (omit to not count it)
+   */
+  async recordUsage(response, organizationId) {
+    if (organizationId && response.usage) {
+      await usageService.record(organizationId, 'ai_tokens', response.usage.total_tokens);
+    }
+  }
+
   /**
    * Process and normalize extracted data using OpenAI
    * @param {Object} rawData - Raw data extracted from web pages
@@ -17,6 +29,8 @@ class OpenAIService {
    * @param {string} options.task - Task description for the AI
    * @param {string} options.format - Desired output format (json, text, etc.)
    * @param {Object} options.schema - Schema for the output data
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {string} options.organizationId - Organization whose AI token quota the request counts against
    * @returns {Object} - Processed and normalized data
    */
   async processData(rawData, options = {}) {
@@ -44,7 +58,9 @@ class OpenAIService {
           { role: 'user', content: JSON.stringify(rawData) }
         ],
         temperature: 0.3, // Lower temperature for more deterministic results
-      });
+      }, { signal: options.signal });
+
+      await this.recordUsage(response, options.organizationId);
 
       // Parse the response
       const content = response.choices[0].message.content;
@@ -74,9 +90,11 @@ class OpenAIService {
   /**
    * Generate browser automation instructions based on a task description
    * @param {string} taskDescription - Description of the automation task
+   * @param {Object} options - Request options
+   * @param {string} options.organizationId - Organization whose AI token quota the request counts against
    * @returns {Object} - Structured automation instructions
    */
-  async generateAutomationInstructions(taskDescription) {
+  async generateAutomationInstructions(taskDescription, options = {}) {
     try {
       const systemMessage = `
         You are an expert in browser automation. Your task is to generate structured instructions 
@@ -88,10 +106,13 @@ class OpenAIService {
             {
               "type": "navigate" | "click" | "input" | "extract" | "wait" | "condition",
               "description": "Human-readable description of this step",
+              "url": "URL to open" (for navigate steps),
               "selector": "CSS selector for the element" (if applicable),
               "value": "Value to input" (if applicable),
-              "waitFor": "Condition to wait for" (if applicable),
-              "extractAs": "Name for extracted data" (if applicable)
+              "waitFor": "CSS selector, load state or delay in milliseconds to wait for" (if applicable),
+              "extractAs": "Name for extracted data" (if applicable),
+              "then": [ steps to run when the condition's selector exists ] (condition steps only),
+              "else": [ steps to run otherwise ] (condition steps only)
             }
           ],
           "expectedOutput": {
@@ -110,6 +131,8 @@ class OpenAIService {
         temperature: 0.5,
       });
 
+      await this.recordUsage(response, options.organizationId);
+
       const content = response.choices[0].message.content;
       
       try {
@@ -133,9 +156,11 @@ class OpenAIService {
    * Analyze a webpage for potential data extraction points
    * @param {string} html - HTML content of the webpage
    * @param {string} url - URL of the webpage
+   * @param {Object} options - Request options
+   * @param {string} options.organizationId - Organization whose AI token quota the request counts against
    * @returns {Object} - Analysis of the webpage with potential data points
    */
-  async analyzeWebpage(html, url) {
+  async analyzeWebpage(html, url, options = {}) {
     try {
       const systemMessage = `
         You are a web scraping expert. Analyze the provided HTML and identify key data elements 
@@ -166,6 +191,8 @@ class OpenAIService {
         temperature: 0.3,
       });
 
+      await this.recordUsage(response, options.organizationId);
+
       const content = response.choices[0].message.content;
       
       try {
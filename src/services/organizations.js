@@ -0,0 +1,393 @@
+// Organizations and their members. Organizations own tasks, credentials, saved
+// sessions, webhooks and API keys, so work stays with the team when a member leaves.
+import { query, transaction } from '../db/database.js';
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// Roles that manage the organization, its members and every API key issued for it
+const MANAGER_ROLES = ['owner', 'admin'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error raised for an invalid or forbidden organization request
+ */
+export class OrganizationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status for the API (400 by default, 403 or 409 otherwise)
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check whether an organization role manages the organization
+ * @param {string} role - Organization role
+ * @returns {boolean} - True for owners and admins
+ */
+export const isOrganizationManager = (role) => MANAGER_ROLES.includes(role);
+
+class OrganizationService {
+  /**
+   * Validate an organization name
+   * @param {string} name - Name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new OrganizationError('name is required');
+    }
+
+    if (name.length > 255) {
+      throw new OrganizationError('name must be at most 255 characters');
+    }
+  }
+
+  /**
+   * Validate an organization role
+   * @param {string} role - Role
+   */
+  validateRole(role) {
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      throw new OrganizationError(`role must be one of ${ORGANIZATION_ROLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create an organization owned by a user
+   * @param {string} userId - User ID of the owner
+   * @param {Object} data - { name }
+   * @param {Object} client - Database client, when called inside a transaction
+   * @returns {Object} - Organization with the owner's role
+   */
+  async createOrganization(userId, data, client = null) {
+    try {
+      this.validateName(data.name);
+
+      const create = async (db) => {
+        const result = await db.query('INSERT INTO organizations (name) VALUES ($1) RETURNING *', [data.name.trim()]);
+        const organization = result.rows[0];
+
+        await db.query(
+          `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')`,
+          [organization.id, userId]
+        );
+
+        return { ...organization, role: 'owner' };
+      };
+
+      return client ? await create(client) : await transaction(create);
+    } catch (error) {
+      console.error('Failed to create organization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the membership of a user in an organization
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID
+   * @returns {Object|null} - { organization_id, name, role }, or null when the user is not a member
+   */
+  async getMembership(userId, organizationId) {
+    if (!UUID_PATTERN.test(organizationId || '')) {
+      return null;
+    }
+
+    const result = await query(
+      `SELECT organization_members.organization_id, organizations.name, organization_members.role
+       FROM organization_members
+       JOIN organizations ON organizations.id = organization_members.organization_id
+       WHERE organization_members.user_id = $1 AND organization_members.organization_id = $2`,
+      [userId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the organization a user works in when a request does not select one:
+   * the first organization the user joined
+   * @param {string} userId - User ID
+   * @returns {Object|null} - { organization_id, name, role }, or null when the user has no organization
+   */
+  async getDefaultMembership(userId) {
+    const result = await query(
+      `SELECT organization_members.organization_id, organizations.name, organization_members.role
+       FROM organization_members
+       JOIN organizations ON organizations.id = organization_members.organization_id
+       WHERE organization_members.user_id = $1
+       ORDER BY organization_members.created_at ASC
+       LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a membership, failing unless the user has one of the given roles
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID
+   * @param {string[]} roles - Allowed roles (any role when omitted)
+   * @returns {Object} - Membership
+   */
+  async requireMembership(userId, organizationId, roles = ORGANIZATION_ROLES) {
+    const membership = await this.getMembership(userId, organizationId);
+
+    // Organizations of others look the same as missing ones
+    if (!membership) {
+      throw new Error(`Organization with ID ${organizationId} not found`);
+    }
+
+    if (!roles.includes(membership.role)) {
+      throw new OrganizationError(`The ${membership.role} role cannot do this in the organization`, 403);
+    }
+
+    return membership;
+  }
+
+  /**
+   * List the organizations of a user
+   * @param {string} userId - User ID
+   * @returns {Array} - Organizations with the user's role and the member count
+   */
+  async listOrganizations(userId) {
+    try {
+      const result = await query(
+        `SELECT organizations.*, organization_members.role,
+                (SELECT COUNT(*)::int FROM organization_members members
+                 WHERE members.organization_id = organizations.id) AS member_count
+         FROM organizations
+         JOIN organization_members ON organization_members.organization_id = organizations.id
+         WHERE organization_members.user_id = $1
+         ORDER BY organization_members.created_at ASC`,
+        [userId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error(`Failed to list organizations of user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an organization of the user
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID
+   * @returns {Object} - Organization with the user's role
+   */
+  async getOrganization(userId, organizationId) {
+    try {
+      const membership = await this.requireMembership(userId, organizationId);
+      const result = await query('SELECT * FROM organizations WHERE id = $1', [organizationId]);
+
+      return { ...result.rows[0], role: membership.role };
+    } catch (error) {
+      console.error(`Failed to get organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename an organization (owners and admins)
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID
+   * @param {Object} data - { name }
+   * @returns {Object} - Updated organization with the user's role
+   */
+  async updateOrganization(userId, organizationId, data) {
+    try {
+      const membership = await this.requireMembership(userId, organizationId, MANAGER_ROLES);
+      this.validateName(data.name);
+
+      const result = await query(
+        'UPDATE organizations SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [data.name.trim(), organizationId]
+      );
+
+      return { ...result.rows[0], role: membership.role };
+    } catch (error) {
+      console.error(`Failed to update organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the members of an organization
+   * @param {string} userId - User ID of a member
+   * @param {string} organizationId - Organization ID
+   * @returns {Array} - Members with their email, name and role
+   */
+  async listMembers(userId, organizationId) {
+    try {
+      await this.requireMembership(userId, organizationId);
+
+      const result = await query(
+        `SELECT users.id AS user_id, users.email, users.name, organization_members.role,
+                organization_members.created_at
+         FROM organization_members
+         JOIN users ON users.id = organization_members.user_id
+         WHERE organization_members.organization_id = $1
+         ORDER BY organization_members.created_at ASC`,
+        [organizationId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error(`Failed to list members of organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an existing user to an organization (owners and admins; only owners add owners)
+   * @param {string} userId - User ID of the manager
+   * @param {string} organizationId - Organization ID
+   * @param {Object} data - { email, role }
+   * @returns {Object} - New member
+   */
+  async addMember(userId, organizationId, data) {
+    try {
+      const membership = await this.requireMembership(userId, organizationId, MANAGER_ROLES);
+      const role = data.role || 'member';
+      this.validateRole(role);
+
+      if (role === 'owner' && membership.role !== 'owner') {
+        throw new OrganizationError('Only owners can add owners', 403);
+      }
+
+      const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+      const user = await query('SELECT id, email, name FROM users WHERE email = $1', [email]);
+
+      if (user.rows.length === 0) {
+        throw new Error(`User ${email} not found`);
+      }
+
+      const result = await query(
+        `INSERT INTO organization_members (organization_id, user_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (organization_id, user_id) DO NOTHING
+         RETURNING role, created_at`,
+        [organizationId, user.rows[0].id, role]
+      );
+
+      if (result.rows.length === 0) {
+        throw new OrganizationError(`${email} is already a member of the organization`, 409);
+      }
+
+      return { user_id: user.rows[0].id, email: user.rows[0].email, name: user.rows[0].name, ...result.rows[0] };
+    } catch (error) {
+      console.error(`Failed to add member to organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role of a member (owners and admins; only owners grant or take the
+   * owner role). The last owner keeps the role.
+   * @param {string} userId - User ID of the manager
+   * @param {string} organizationId - Organization ID
+   * @param {string} memberId - User ID of the member
+   * @param {Object} data - { role }
+   * @returns {Object} - Updated member
+   */
+  async updateMember(userId, organizationId, memberId, data) {
+    try {
+      const membership = await this.requireMembership(userId, organizationId, MANAGER_ROLES);
+      this.validateRole(data.role);
+
+      return await transaction(async (client) => {
+        // Lock the members so concurrent changes cannot remove the last owner
+        const members = await client.query(
+          'SELECT user_id, role FROM organization_members WHERE organization_id = $1 FOR UPDATE',
+          [organizationId]
+        );
+
+        const member = members.rows.find(row => row.user_id === memberId);
+
+        if (!member) {
+          throw new Error(`Member ${memberId} not found`);
+        }
+
+        if ((member.role === 'owner' || data.role === 'owner') && membership.role !== 'owner') {
+          throw new OrganizationError('Only owners can grant or take the owner role', 403);
+        }
+
+        if (member.role === 'owner' && data.role !== 'owner' && members.rows.filter(row => row.role === 'owner').length === 1) {
+          throw new OrganizationError('The organization needs at least one owner', 409);
+        }
+
+        const result = await client.query(
+          `UPDATE organization_members SET role = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE organization_id = $2 AND user_id = $3
+           RETURNING user_id, role, created_at`,
+          [data.role, organizationId, memberId]
+        );
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      console.error(`Failed to update member ${memberId} of organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member (owners and admins; only owners remove owners), or leave the
+   * organization. The member's API keys for the organization are revoked; tasks,
+   * credentials and webhooks stay with the organization.
+   * @param {string} userId - User ID of the manager or leaving member
+   * @param {string} organizationId - Organization ID
+   * @param {string} memberId - User ID of the member
+   */
+  async removeMember(userId, organizationId, memberId) {
+    try {
+      const membership = await this.requireMembership(
+        userId,
+        organizationId,
+        userId === memberId ? ORGANIZATION_ROLES : MANAGER_ROLES
+      );
+
+      await transaction(async (client) => {
+        const members = await client.query(
+          'SELECT user_id, role FROM organization_members WHERE organization_id = $1 FOR UPDATE',
+          [organizationId]
+        );
+
+        const member = members.rows.find(row => row.user_id === memberId);
+
+        if (!member) {
+          throw new Error(`Member ${memberId} not found`);
+        }
+
+        if (member.role === 'owner' && membership.role !== 'owner') {
+          throw new OrganizationError('Only owners can remove owners', 403);
+        }
+
+        if (member.role === 'owner' && members.rows.filter(row => row.role === 'owner').length === 1) {
+          throw new OrganizationError('The organization needs at least one owner', 409);
+        }
+
+        await client.query(
+          'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+          [organizationId, memberId]
+        );
+
+        await client.query(
+          'UPDATE api_keys SET is_active = false WHERE organization_id = $1 AND user_id = $2',
+          [organizationId, memberId]
+        );
+      });
+    } catch (error) {
+      console.error(`Failed to remove member ${memberId} from organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new OrganizationService();
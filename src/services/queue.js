@@ -0,0 +1,194 @@
+// Durable Postgres-backed job queue for task execution
+import { query } from '../db/database.js';
+
+class JobQueue {
+  /**
+   * Atomically claim the next due task for a worker. Concurrent workers skip
+   * rows locked by each other, so a task is never claimed twice.
+   * @param {string} workerId - ID of the claiming worker
+   * @param {number} leaseDuration - Lease length in milliseconds
+   * @returns {Object|null} - Claimed task, or null when nothing is due
+   */
+  async claimNext(workerId, leaseDuration) {
+    try {
+      const result = await query(
+        `UPDATE tasks
+         SET status = 'running', locked_by = $1, locked_at = CURRENT_TIMESTAMP,
+             lease_expires_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond',
+             cancel_requested_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM tasks
+           WHERE status = 'pending'
+           AND (next_run_at IS NULL OR next_run_at <= CURRENT_TIMESTAMP)
+           ORDER BY priority DESC, next_run_at ASC NULLS FIRST, created_at ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [workerId, leaseDuration]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Failed to claim task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the lease of a claimed task
+   * @param {string} taskId - Task ID
+   * @param {string} workerId - ID of the worker holding the lease
+   * @param {number} leaseDuration - New lease length in milliseconds
+   * @returns {Object|null} - { id, cancel_requested_at }, or null when the worker no longer holds the lease
+   */
+  async heartbeat(taskId, workerId, leaseDuration) {
+    try {
+      const result = await query(
+        `UPDATE tasks
+         SET lease_expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond'
+         WHERE id = $1 AND locked_by = $2 AND status = 'running'
+         RETURNING id, cancel_requested_at`,
+        [taskId, workerId, leaseDuration]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Failed to extend lease for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release the lease of a task once its worker is done with it
+   * @param {string} taskId - Task ID
+   * @param {string} workerId - ID of the worker holding the lease
+   */
+  async release(taskId, workerId) {
+    try {
+      await query(
+        `UPDATE tasks
+         SET locked_by = NULL, locked_at = NULL, lease_expires_at = NULL
+         WHERE id = $1 AND locked_by = $2`,
+        [taskId, workerId]
+      );
+    } catch (error) {
+      console.error(`Failed to release lease for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return running tasks whose lease expired (e.g. after a worker crash) to the
+   * queue, or mark them cancelled when a cancellation was pending
+   * @returns {Object[]} - Recovered tasks with the worker that lost them
+   */
+  async recoverExpiredLeases() {
+    try {
+      const result = await query(
+        `UPDATE tasks t
+         SET status = CASE WHEN t.cancel_requested_at IS NULL THEN 'pending' ELSE 'cancelled' END,
+             locked_by = NULL, locked_at = NULL, lease_expires_at = NULL,
+             cancel_requested_at = NULL, updated_at = CURRENT_TIMESTAMP
+         FROM (
+           SELECT id, locked_by FROM tasks
+           WHERE status = 'running' AND lease_expires_at < CURRENT_TIMESTAMP
+           FOR UPDATE SKIP LOCKED
+         ) expired
+         WHERE t.id = expired.id
+         RETURNING t.id, t.name, t.status, expired.locked_by AS previous_worker`,
+        []
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Failed to recover expired leases:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a task to run as soon as a worker is free
+   * @param {string} taskId - Task ID
+   * @param {Object} options - Queue options
+   * @param {number} options.priority - Optional new priority (higher runs first)
+   * @param {string} options.trigger - Trigger recorded on the run (default manual)
+   * @returns {Object|null} - Queued task, or null when the task is already running
+   */
+  async enqueue(taskId, options = {}) {
+    try {
+      const result = await query(
+        `UPDATE tasks
+         SET status = 'pending', next_run_at = CURRENT_TIMESTAMP, attempt = 0, cancel_requested_at = NULL,
+             priority = COALESCE($2, priority), run_trigger = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status <> 'running'
+         RETURNING *`,
+        [taskId, options.priority === undefined ? null : options.priority, options.trigger || 'manual']
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Failed to enqueue task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a task. A queued task is cancelled right away; a running task is
+   * flagged so the worker executing it aborts it on its next heartbeat.
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - Updated task, or null when the task is neither queued nor running
+   */
+  async cancel(taskId) {
+    try {
+      const result = await query(
+        `UPDATE tasks
+         SET status = CASE WHEN status = 'running' THEN status ELSE 'cancelled' END,
+             next_run_at = CASE WHEN status = 'running' THEN next_run_at ELSE NULL END,
+             cancel_requested_at = CASE WHEN status = 'running' THEN CURRENT_TIMESTAMP ELSE NULL END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('pending', 'running')
+         RETURNING *`,
+        [taskId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Failed to cancel task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a queued or running task right away, without waiting for its worker
+   * (e.g. when the worker hangs). The worker loses its lease and aborts the
+   * execution on its next heartbeat.
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - Cancelled task with the worker that held it, or null when the task is neither queued nor running
+   */
+  async forceCancel(taskId) {
+    try {
+      const result = await query(
+        `UPDATE tasks t
+         SET status = 'cancelled', next_run_at = NULL,
+             locked_by = NULL, locked_at = NULL, lease_expires_at = NULL,
+             cancel_requested_at = NULL, updated_at = CURRENT_TIMESTAMP
+         FROM (
+           SELECT id, status, locked_by FROM tasks
+           WHERE id = $1 AND status IN ('pending', 'running')
+           FOR UPDATE
+         ) previous
+         WHERE t.id = previous.id
+         RETURNING t.*, previous.status AS previous_status, previous.locked_by AS previous_worker`,
+        [taskId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Failed to force-cancel task ${taskId}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new JobQueue();
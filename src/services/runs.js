@@ -0,0 +1,255 @@
+// Run history: one record per task execution with its trigger, config snapshot and timings
+import { query } from '../db/database.js';
+import artifactStore from './artifacts.js';
+import { redact } from '../utils/redact.js';
+
+export const RUN_TRIGGERS = ['manual', 'schedule', 'retry', 'api'];
+
+class RunHistory {
+  /**
+   * Record the start of a task execution
+   * @param {Object} task - Task being executed
+   * @param {Object} options - Run details
+   * @param {number} options.attempt - Attempt number within the run (1-based)
+   * @param {string} options.trigger - What started the run: manual, schedule, retry or api
+   * @param {string} options.workerId - ID of the executing worker
+   * @returns {Object} - Created run
+   */
+  async startRun(task, options = {}) {
+    try {
+      const result = await query(
+        `INSERT INTO task_runs
+         (task_id, attempt, trigger, status, config, url, worker_id, queued_at)
+         VALUES ($1, $2, $3, 'running', $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          task.id,
+          options.attempt || 1,
+          options.trigger,
+          JSON.stringify(redact(task.config || {})),
+          task.url,
+          options.workerId || null,
+          task.next_run_at || null,
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Failed to start run for task ${task.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a task execution
+   * @param {string} runId - Run ID
+   * @param {Object} outcome - Run outcome
+   * @param {string} outcome.status - Final status (completed, failed, cancelled, timed_out)
+   * @param {string} outcome.error - Error message
+   * @param {string} outcome.errorClass - Error class (see utils/errors.js)
+   * @param {string} outcome.failedPhase - Phase the run failed in
+   * @param {Object} outcome.phases - Phase durations in milliseconds
+   * @param {string} outcome.baselineRunId - Previous successful run the data was compared to
+   * @param {Object} outcome.diff - Data changes since the baseline (see utils/diff.js)
+   * @param {Object} client - Optional transaction client
+   * @returns {Object|undefined} - Updated run, or undefined when the run was already finished
+   *   elsewhere (e.g. by a force-cancel or lease recovery)
+   */
+  async finishRun(runId, outcome, client = null) {
+    try {
+      const result = await (client || { query }).query(
+        `UPDATE task_runs
+         SET status = $1, error = $2, error_class = $3, failed_phase = $4, phases = $5,
+             completed_at = CURRENT_TIMESTAMP,
+             duration = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int,
+             baseline_run_id = $6, data_changed = $7, diff = $8
+         WHERE id = $9 AND status = 'running'
+         RETURNING *`,
+        [
+          outcome.status,
+          outcome.error || null,
+          outcome.errorClass || null,
+          outcome.failedPhase || null,
+          JSON.stringify(outcome.phases || {}),
+          outcome.baselineRunId || null,
+          outcome.diff ? outcome.diff.hasChanges : null,
+          outcome.diff ? JSON.stringify(outcome.diff) : null,
+          runId,
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Failed to finish run ${runId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish the runs of a task that are still open, e.g. after the task was
+   * force-cancelled while its worker was unresponsive
+   * @param {string} taskId - Task ID
+   * @param {Object} outcome - { status, error, errorClass }
+   * @param {string} workerId - Only finish the runs of this worker, so a run another worker
+   *   has started since is left open (default: every open run)
+   * @returns {Array} - Finished runs
+   */
+  async finishOpenRuns(taskId, outcome, workerId = null) {
+    try {
+      const result = await query(
+        `UPDATE task_runs
+         SET status = $1, error = $2, error_class = $3, completed_at = CURRENT_TIMESTAMP,
+             duration = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int
+         WHERE task_id = $4 AND status = 'running' AND ($5::text IS NULL OR worker_id = $5)
+         RETURNING *`,
+        [outcome.status, outcome.error || null, outcome.errorClass || null, taskId, workerId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error(`Failed to finish open runs of task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the runs of a task, newest first
+   * @param {string} taskId - Task ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Page size (default 20, at most 100)
+   * @param {number} options.offset - Number of runs to skip
+   * @param {string} options.status - Only return runs with this status
+   * @param {string} options.trigger - Only return runs started by this trigger
+   * @param {string} options.changed - Only return runs whose data changed ("true") or did not ("false")
+   * @returns {Object} - { runs, total, limit, offset }
+   */
+  async getRuns(taskId, options = {}) {
+    try {
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+      const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+      const conditions = ['task_id = $1'];
+      const values = [taskId];
+
+      if (options.status) {
+        values.push(options.status);
+        conditions.push(`status = $${values.length}`);
+      }
+
+      if (options.trigger) {
+        values.push(options.trigger);
+        conditions.push(`trigger = $${values.length}`);
+      }
+
+      if (options.changed === 'true' || options.changed === 'false') {
+        values.push(options.changed === 'true');
+        conditions.push(`data_changed = $${values.length}`);
+      }
+
+      const where = conditions.join(' AND ');
+
+      const count = await query(`SELECT COUNT(*)::int AS total FROM task_runs WHERE ${where}`, values);
+
+      // The config snapshot and the full diff are only returned with a single run
+      const runs = await query(
+        `SELECT id, task_id, attempt, trigger, status, url, worker_id, error, error_class, failed_phase,
+                phases, queued_at, started_at, completed_at, duration,
+                baseline_run_id, data_changed, diff->'summary' AS changes
+         FROM task_runs WHERE ${where}
+         ORDER BY started_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { runs: runs.rows, total: count.rows[0].total, limit, offset };
+    } catch (error) {
+      console.error(`Failed to get runs for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest successful result of a task, the baseline for change detection
+   * @param {string} taskId - Task ID
+   * @returns {Object} - { run_id, normalized_data }, or null before the first successful run
+   */
+  async getBaseline(taskId) {
+    try {
+      const result = await query(
+        `SELECT run_id, normalized_data FROM task_results
+         WHERE task_id = $1 AND status = 'completed'
+         ORDER BY created_at DESC LIMIT 1`,
+        [taskId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error(`Failed to get baseline for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the data changes of a run
+   * @param {string} taskId - Task ID
+   * @param {string} runId - Run ID
+   * @returns {Object} - { run_id, baseline_run_id, data_changed, diff }
+   */
+  async getDiff(taskId, runId) {
+    try {
+      const result = await query(
+        `SELECT id AS run_id, status, baseline_run_id, data_changed, diff
+         FROM task_runs WHERE id = $1 AND task_id = $2`,
+        [runId, taskId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Run with ID ${runId} not found`);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Failed to get diff of run ${runId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one run of a task with its result, logs and artifacts
+   * @param {string} taskId - Task ID
+   * @param {string} runId - Run ID
+   * @returns {Object} - Run with result, logs and artifacts
+   */
+  async getRun(taskId, runId) {
+    try {
+      const run = await query('SELECT * FROM task_runs WHERE id = $1 AND task_id = $2', [runId, taskId]);
+
+      if (run.rows.length === 0) {
+        throw new Error(`Run with ID ${runId} not found`);
+      }
+
+      const result = await query(
+        'SELECT * FROM task_results WHERE run_id = $1 ORDER BY created_at DESC LIMIT 1',
+        [runId]
+      );
+
+      const logs = await query(
+        'SELECT * FROM task_logs WHERE run_id = $1 ORDER BY seq ASC',
+        [runId]
+      );
+
+      const artifacts = await artifactStore.list(taskId, { runId });
+
+      return {
+        ...run.rows[0],
+        result: result.rows[0] || null,
+        logs: logs.rows,
+        artifacts,
+      };
+    } catch (error) {
+      console.error(`Failed to get run ${runId}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new RunHistory();
@@ -0,0 +1,274 @@
+// Saved login sessions: Playwright storage state per organization, encrypted with the credential vault key
+import { query } from '../db/database.js';
+import config from '../config/config.js';
+import credentialVault from './credentials.js';
+
+/**
+ * Get the host name of a URL, or the value itself when it is not a URL
+ * @param {string} url - URL
+ * @returns {string} - Host name
+ */
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+};
+
+class SessionStore {
+  constructor() {
+    this.config = config.sessions;
+  }
+
+  /**
+   * Get the key a task's login session is saved under. The key includes the vault
+   * credential, so tasks logging in as different users never share a session.
+   * @param {Object} login - Login settings of the task (config.credentials)
+   * @returns {string|null} - Session key, or null when the task does not save sessions
+   */
+  getSessionKey(login) {
+    if (!login || !login.saveSession) {
+      return null;
+    }
+
+    const name = String(login.sessionKey || login.domain || getHostname(login.url));
+
+    return login.credentialId ? `${name}:${login.credentialId}` : name;
+  }
+
+  /**
+   * Associated data of a session's ciphertext, so it cannot be moved to another organization or key
+   * @param {string} organizationId - Organization owning the session
+   * @param {string} sessionKey - Session key
+   * @returns {string} - AAD
+   */
+  getAad(organizationId, sessionKey) {
+    return `session:${organizationId}:${sessionKey}`;
+  }
+
+  /**
+   * Describe a storage state without its cookie values and localStorage contents
+   * @param {Object} state - Playwright storage state
+   * @returns {Object} - { cookies: [{ name, domain, path, expires, httpOnly, secure, sameSite }], origins: [{ origin, localStorage }] }
+   */
+  summarize(state) {
+    return {
+      cookies: (state.cookies || []).map(({ name, domain, path, expires, httpOnly, secure, sameSite }) => ({
+        name, domain, path, expires, httpOnly, secure, sameSite,
+      })),
+      origins: (state.origins || []).map(({ origin, localStorage }) => ({
+        origin,
+        localStorage: (localStorage || []).map(item => item.name),
+      })),
+    };
+  }
+
+  /**
+   * Remove the encrypted storage state from a session row
+   * @param {Object} session - Session row
+   * @returns {Object} - Session safe to return from the API
+   */
+  sanitize(session) {
+    const { storage_state, ...rest } = session;
+    return { ...rest, expired: new Date(session.expires_at) <= new Date() };
+  }
+
+  /**
+   * Save the storage state of a logged-in context, replacing the organization's session with the same key
+   * @param {string} organizationId - Organization owning the session
+   * @param {string} sessionKey - Session key
+   * @param {Object} data - Session data
+   * @param {Object} data.state - Playwright storage state
+   * @param {string} data.domain - Domain the session was created on
+   * @param {string} data.credentialId - Vault credential used for the login
+   * @param {string} data.userId - User whose task created the session
+   * @param {number} data.ttl - Lifetime in milliseconds (default: SESSION_TTL)
+   * @returns {Object} - Saved session without its storage state
+   */
+  async saveSession(organizationId, sessionKey, data) {
+    try {
+      const ttl = data.ttl > 0 ? data.ttl : this.config.ttl;
+      const encrypted = credentialVault.encrypt(JSON.stringify(data.state), this.getAad(organizationId, sessionKey));
+
+      const result = await query(
+        `INSERT INTO browser_sessions
+         (organization_id, user_id, session_key, domain, credential_id, storage_state, key_id, summary, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (organization_id, session_key) DO UPDATE SET
+           user_id = EXCLUDED.user_id,
+           domain = EXCLUDED.domain,
+           credential_id = EXCLUDED.credential_id,
+           storage_state = EXCLUDED.storage_state,
+           key_id = EXCLUDED.key_id,
+           summary = EXCLUDED.summary,
+           expires_at = EXCLUDED.expires_at,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [
+          organizationId,
+          data.userId || null,
+          sessionKey,
+          data.domain || null,
+          data.credentialId || null,
+          encrypted,
+          credentialVault.config.keyId,
+          JSON.stringify(this.summarize(data.state)),
+          new Date(Date.now() + ttl),
+        ]
+      );
+
+      return this.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error(`Failed to save session ${sessionKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a saved session for reuse. Expired sessions, sessions logged in with another
+   * credential, and sessions that can no longer be decrypted (e.g. after their key was
+   * retired) are deleted.
+   * @param {string} organizationId - Organization owning the session
+   * @param {string} sessionKey - Session key
+   * @param {string} credentialId - Vault credential the task logs in with (null for none)
+   * @returns {Object|null} - { id, state }, or null when there is no usable session
+   */
+  async loadSession(organizationId, sessionKey, credentialId = null) {
+    try {
+      const result = await query(
+        'SELECT * FROM browser_sessions WHERE organization_id = $1 AND session_key = $2',
+        [organizationId, sessionKey]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const session = result.rows[0];
+
+      if (new Date(session.expires_at) <= new Date()) {
+        await this.discardSession(session.id);
+        return null;
+      }
+
+      // Never restore cookies of one user into a task that logs in as another
+      if ((session.credential_id || null) !== (credentialId || null)) {
+        console.error(`Discarding session ${session.id} that was saved with another credential`);
+        await this.discardSession(session.id);
+        return null;
+      }
+
+      try {
+        const state = JSON.parse(credentialVault.decrypt(session.storage_state, this.getAad(organizationId, sessionKey)));
+        return { id: session.id, state };
+      } catch (error) {
+        console.error(`Discarding session ${session.id} that cannot be decrypted:`, error.message);
+        await this.discardSession(session.id);
+        return null;
+      }
+    } catch (error) {
+      console.error(`Failed to load session ${sessionKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a saved session was reused
+   * @param {string} sessionId - Session ID
+   */
+  async markUsed(sessionId) {
+    await query('UPDATE browser_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId]);
+  }
+
+  /**
+   * Delete a session that is expired or no longer logged in
+   * @param {string} sessionId - Session ID
+   */
+  async discardSession(sessionId) {
+    await query('DELETE FROM browser_sessions WHERE id = $1', [sessionId]);
+  }
+
+  /**
+   * List the saved sessions of an organization
+   * @param {string} organizationId - Organization owning the sessions
+   * @returns {Array} - Sessions without their storage state
+   */
+  async listSessions(organizationId) {
+    try {
+      const result = await query(
+        'SELECT * FROM browser_sessions WHERE organization_id = $1 ORDER BY session_key ASC',
+        [organizationId]
+      );
+
+      return result.rows.map(session => this.sanitize(session));
+    } catch (error) {
+      console.error('Failed to list sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved session
+   * @param {string} organizationId - Organization owning the session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} - Session without its storage state
+   */
+  async getSession(organizationId, sessionId) {
+    try {
+      const result = await query(
+        'SELECT * FROM browser_sessions WHERE id = $1 AND organization_id = $2',
+        [sessionId, organizationId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Session with ID ${sessionId} not found`);
+      }
+
+      return this.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error(`Failed to get session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved session; the next run of its tasks logs in again
+   * @param {string} organizationId - Organization owning the session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - Success status
+   */
+  async deleteSession(organizationId, sessionId) {
+    try {
+      const result = await query(
+        'DELETE FROM browser_sessions WHERE id = $1 AND organization_id = $2 RETURNING id',
+        [sessionId, organizationId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Session with ID ${sessionId} not found`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {number} - Number of deleted sessions
+   */
+  async purgeExpired() {
+    try {
+      const result = await query('DELETE FROM browser_sessions WHERE expires_at < CURRENT_TIMESTAMP RETURNING id');
+      return result.rows.length;
+    } catch (error) {
+      console.error('Failed to purge expired sessions:', error);
+      throw error;
+    }
+  }
+}
+
+export default new SessionStore();
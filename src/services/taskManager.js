@@ -1,24 +1,88 @@
 // Task manager service for handling automation tasks
+import fs from 'fs';
 import { query, transaction } from '../db/database.js';
+import config from '../config/config.js';
 import browserService from './browser.js';
 import openaiService from './openai.js';
+import jobQueue from './queue.js';
+import runHistory from './runs.js';
+import artifactStore from './artifacts.js';
+import webhookService from './webhooks.js';
+import credentialVault from './credentials.js';
+import sessionStore from './sessions.js';
+import usageService from './usage.js';
+import { getFirstRunAt, getNextRunAt, isMissedRun } from '../utils/schedule.js';
+import { AutomationError, classifyError } from '../utils/errors.js';
+import { diffData } from '../utils/diff.js';
+import { redact } from '../utils/redact.js';
+import { getRetryDelay, getRetryPolicy, shouldRetry } from '../utils/retry.js';
+import { getTaskErrors, TaskValidationError } from '../utils/validation.js';
+
+const RECORDING_MODES = ['on-failure', 'always'];
 
 class TaskManager {
+  constructor() {
+    // Abort controllers of the executions running in this process, by task ID
+    this.executions = new Map();
+  }
+
+  /**
+   * Validate a task definition against the task schema and check the credential it refers to
+   * @param {string} organizationId - Organization the task belongs to
+   * @param {Object} taskData - Task definition
+   * @param {Object} options - Validation options
+   * @param {boolean} options.partial - Only check the fields present, as for updates
+   * @returns {Object[]} - Field errors as { path, message }; empty when the task is valid
+   */
+  async validateTask(organizationId, taskData, options = {}) {
+    const errors = getTaskErrors(taskData, options);
+    
+    // Only a well-formed config is worth a lookup in the vault
+    if (errors.length === 0 && taskData.config) {
+      errors.push(...await credentialVault.checkTaskConfig(organizationId, taskData.config));
+    }
+    
+    return errors;
+  }
+
   /**
    * Create a new automation task
    * @param {Object} taskData - Task data
    * @returns {Object} - Created task
+   * @throws {TaskValidationError} - When the task definition is invalid
    */
   async createTask(taskData) {
     try {
-      const { name, description, url, config, scheduled_for, user_id } = taskData;
+      const { user_id, organization_id, ...definition } = taskData;
+      const { name, description, url, scheduled_for, priority, schedule } = definition;
+      const config = definition.config || {};
+      
+      const errors = await this.validateTask(organization_id, definition);
+      
+      if (errors.length > 0) {
+        throw new TaskValidationError(errors);
+      }
+      
+      // Recurring tasks start at their first slot, one-off tasks at scheduled_for (or now)
+      let nextRunAt = scheduled_for || null;
+      
+      if (schedule) {
+        nextRunAt = getFirstRunAt(schedule);
+        
+        if (!nextRunAt) {
+          throw new TaskValidationError([{ path: 'schedule', message: 'has no runs left' }]);
+        }
+      }
       
       const result = await query(
         `INSERT INTO tasks 
-         (name, description, url, config, scheduled_for, user_id, status) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7) 
+         (name, description, url, config, scheduled_for, user_id, organization_id, status, priority, schedule, next_run_at, run_trigger) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) 
          RETURNING *`,
-        [name, description, url, config, scheduled_for, user_id, 'pending']
+        [
+          name, description, url, config, scheduled_for, user_id, organization_id, 'pending', priority || 0, schedule || null, nextRunAt,
+          nextRunAt ? 'schedule' : 'api',
+        ]
       );
       
       return result.rows[0];
@@ -48,21 +112,58 @@ class TaskManager {
     }
   }
 
+  /**
+   * Get the tasks of an organization, newest first
+   * @param {string} organizationId - Organization ID
+   * @returns {Array} - Tasks
+   */
+  async getTasks(organizationId) {
+    try {
+      const result = await query(
+        'SELECT * FROM tasks WHERE organization_id = $1 ORDER BY created_at DESC',
+        [organizationId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error(`Failed to get tasks for organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Update a task
    * @param {string} taskId - Task ID
    * @param {Object} updateData - Data to update
    * @returns {Object} - Updated task
+   * @throws {TaskValidationError} - When the updated fields are invalid
    */
   async updateTask(taskId, updateData) {
     try {
       // Build the SET clause dynamically based on provided fields
-      const allowedFields = ['name', 'description', 'url', 'status', 'config', 'scheduled_for'];
+      const allowedFields = ['name', 'description', 'url', 'config', 'scheduled_for', 'priority', 'schedule'];
       const updates = [];
       const values = [];
       
       let paramIndex = 1;
       
+      const errors = getTaskErrors(updateData, { partial: true });
+      
+      // A new config may refer to another credential of the task's organization
+      if (errors.length === 0 && updateData.config) {
+        const task = await this.getTask(taskId);
+        errors.push(...await credentialVault.checkTaskConfig(task.organization_id, updateData.config));
+      }
+      
+      if (errors.length > 0) {
+        throw new TaskValidationError(errors);
+      }
+      
+      // The task's configuration is required, so clearing it resets it
+      if ('config' in updateData && !updateData.config) {
+        updateData = { ...updateData, config: {} };
+      }
+      
       for (const [key, value] of Object.entries(updateData)) {
         if (allowedFields.includes(key)) {
           updates.push(`${key} = $${paramIndex}`);
@@ -71,6 +172,19 @@ class TaskManager {
         }
       }
       
+      // Rescheduling moves the next run
+      if (updateData.schedule) {
+        updates.push(`next_run_at = $${paramIndex}`);
+        values.push(getFirstRunAt(updateData.schedule));
+        paramIndex++;
+        updates.push(`run_trigger = 'schedule'`);
+      } else if (updateData.scheduled_for !== undefined) {
+        updates.push(`next_run_at = $${paramIndex}`);
+        values.push(updateData.scheduled_for);
+        paramIndex++;
+        updates.push(`run_trigger = 'schedule'`);
+      }
+      
       // Add updated_at timestamp
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
       
@@ -100,6 +214,9 @@ class TaskManager {
    */
   async deleteTask(taskId) {
     try {
+      // Remove stored artifact files; their rows are deleted with the task
+      await artifactStore.deleteForTask(taskId);
+      
       const result = await query('DELETE FROM tasks WHERE id = $1 RETURNING id', [taskId]);
       
       if (result.rows.length === 0) {
@@ -116,93 +233,388 @@ class TaskManager {
   /**
    * Execute an automation task
    * @param {string} taskId - Task ID
+   * @param {Object} options - Execution options
+   * @param {string} options.workerId - ID of the executing worker, recorded on the run; the task is only
+   *   updated at the end of the run while this worker still holds its lease
    * @returns {Object} - Task result
    */
-  async executeTask(taskId) {
+  async executeTask(taskId, options = {}) {
+    let run = null;
+    
     try {
       // Get task data
       const task = await this.getTask(taskId);
       
+      // Under the "skip" catch-up policy a late recurring run is dropped, not run
+      if (task.schedule && task.next_run_at && isMissedRun(task.schedule, new Date(task.next_run_at))) {
+        return this.skipMissedRun(task);
+      }
+      
+      // Runs of an organization that used up its execution or browser quota wait until it resets
+      const exceededQuota = await usageService.getExceededQuota(task.organization_id, ['executions', 'browser_minutes']);
+      
+      if (exceededQuota) {
+        return this.deferRun(task, exceededQuota);
+      }
+      
       // Update task status to running
-      await this.updateTask(taskId, { status: 'running' });
+      await query(
+        `UPDATE tasks SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [taskId]
+      );
+      
+      const startTime = Date.now();
+      const attempt = (task.attempt || 0) + 1;
+      
+      // Record the run with a snapshot of the config it executes
+      run = await runHistory.startRun(task, {
+        attempt,
+        trigger: task.run_trigger || (task.schedule ? 'schedule' : 'api'),
+        workerId: options.workerId,
+      });
+      
+      await usageService.record(task.organization_id, 'executions', 1);
+      
+      // Secrets resolved for this run are kept out of its logs and errors
+      const secrets = [];
+      const log = (level, message, metadata) => this.logTask(
+        taskId,
+        level,
+        redact(message, secrets),
+        redact(metadata, secrets),
+        run.id
+      );
       
       // Log task start
-      await this.logTask(taskId, 'info', 'Task execution started');
+      await log('info', 'Task execution started', { runId: run.id, attempt, trigger: run.trigger });
+      await webhookService.emit('run.started', { task, run });
       
-      const startTime = Date.now();
+      // Time each phase of the execution
+      const phases = {};
+      let phase = null;
+      let phaseStart = null;
+      let failedPhase = null;
+      const endPhase = () => {
+        if (phase) {
+          phases[phase] = (phases[phase] || 0) + Date.now() - phaseStart;
+          phase = null;
+        }
+      };
+      const startPhase = (name) => {
+        endPhase();
+        phase = name;
+        phaseStart = Date.now();
+      };
+      
+      const partialData = {};
       let rawData = null;
       let normalizedData = null;
       let error = null;
+      let errorClass = null;
+      let session = null;
+      let browserStart = null;
       
-      try {
-        // Initialize browser if needed
-        if (!browserService.browser) {
-          await browserService.initialize();
+      // Cancellation and the runtime limit abort the execution through this controller
+      const controller = new AbortController();
+      const maxRuntime = task.config.maxRuntime ?? config.worker.maxRuntime;
+      const runtimeTimer = maxRuntime > 0
+        ? setTimeout(() => this.abortExecution(taskId, 'timed_out', `Task exceeded its maximum runtime of ${maxRuntime}ms`), maxRuntime)
+        : null;
+      
+      // Closing the context makes every pending Playwright call fail right away
+      controller.signal.addEventListener('abort', () => {
+        if (session) {
+          session.close();
         }
+      });
+      
+      this.executions.set(taskId, controller);
+      
+      // Trace and HAR recording: off, on-failure or always
+      const recordingModes = {
+        trace: task.config.recordTrace || config.browser.recordTrace,
+        har: task.config.recordHar || config.browser.recordHar,
+      };
+      
+      try {
+        // Acquire an isolated browser session (waits for a free pool slot)
+        startPhase('acquire');
+        
+        // A saved login session is restored into the new context
+        const sessionKey = sessionStore.getSessionKey(task.config.credentials);
+        const savedSession = sessionKey
+          ? await sessionStore.loadSession(task.organization_id, sessionKey, task.config.credentials.credentialId)
+          : null;
         
-        // Create a new browser context
-        await browserService.createContext({
-          userDataKey: task.config.userDataKey,
+        session = await browserService.acquire({
+          storageState: savedSession ? savedSession.state : undefined,
+          signal: controller.signal,
+          recording: {
+            trace: RECORDING_MODES.includes(recordingModes.trace),
+            har: RECORDING_MODES.includes(recordingModes.har),
+          },
         });
+        browserStart = Date.now();
+        controller.signal.throwIfAborted();
         
         // Handle login if credentials are provided
         if (task.config.credentials) {
-          await browserService.login(task.config.credentials);
-          await this.logTask(taskId, 'info', 'Login successful');
+          startPhase('login');
+          
+          let restored = false;
+          let login = null;
+          
+          try {
+            // Skip the login while the saved session is still logged in
+            if (savedSession) {
+              restored = await session.checkSession(
+                task.config.credentials,
+                task.config.credentials.sessionCheckUrl || task.url,
+                config.sessions.checkTimeout
+              );
+              
+              if (!restored) {
+                await sessionStore.discardSession(savedSession.id);
+                await session.clearSession();
+                await log('info', 'Saved login session is no longer valid, logging in again', { sessionKey });
+              }
+            }
+            
+            if (!restored) {
+              login = await credentialVault.resolveLogin(task.organization_id, task.config.credentials);
+              
+              secrets.push(...[login.password, login.totpSecret].filter(Boolean));
+              
+              await session.login(login);
+            }
+          } catch (err) {
+            // Rejected logins and site or browser trouble during login keep their own class
+            if (['login_failed', 'navigation_timeout', 'network_error', 'browser_crash'].includes(classifyError(err))) {
+              throw err;
+            }
+            
+            throw new AutomationError('login_failed', `Login failed: ${err.message}`, { cause: err });
+          }
+          
+          if (restored) {
+            await sessionStore.markUsed(savedSession.id);
+            await log('info', 'Reused saved login session', { sessionKey });
+          } else {
+            await log('info', 'Login successful');
+            
+            // A session that cannot be saved only means the next run logs in again
+            if (sessionKey) {
+              try {
+                await sessionStore.saveSession(task.organization_id, sessionKey, {
+                  state: await session.getStorageState(),
+                  domain: login.domain,
+                  credentialId: login.credentialId,
+                  userId: task.user_id,
+                  ttl: task.config.credentials.sessionTtl,
+                });
+                await log('info', 'Saved login session', { sessionKey });
+              } catch (err) {
+                await log('warning', `Failed to save login session: ${err.message}`, { sessionKey });
+              }
+            }
+          }
         }
         
         // Navigate to URL
-        await browserService.navigate(task.url);
+        startPhase('navigate');
+        await session.navigate(task.url);
+
+        startPhase('extract');
         
-        // Extract data based on configuration
-        rawData = await browserService.extractData({
-          selectors: task.config.selectors || [],
-        });
+        if (Array.isArray(task.config.steps) && task.config.steps.length > 0) {
+          // Run the multi-step workflow, collecting named extract outputs
+          rawData = await session.runSteps(task.config.steps, {
+            onStep: (outcome) => this.logStep(taskId, outcome, run.id),
+            data: partialData,
+          });
+
+          // Selectors still apply to the page the workflow ends on
+          if (Array.isArray(task.config.selectors) && task.config.selectors.length > 0) {
+            Object.assign(rawData, await session.extractData({
+              selectors: task.config.selectors,
+              pagination: task.config.pagination,
+            }));
+          }
+        } else {
+          // Extract data based on configuration
+          rawData = await session.extractData({
+            selectors: task.config.selectors || [],
+            pagination: task.config.pagination,
+          });
+        }
+
+        await log('info', 'Data extraction completed', { dataSize: JSON.stringify(rawData).length });
+
+        if (rawData._errors) {
+          await log('warning', `${rawData._errors.length} field(s) failed validation`, { errors: rawData._errors });
+        }
         
-        await this.logTask(taskId, 'info', 'Data extraction completed', { dataSize: JSON.stringify(rawData).length });
+        // Extraction can end early on a closed page, so stop here if aborted
+        controller.signal.throwIfAborted();
         
         // Process data with OpenAI if needed
         if (task.config.processWithAI) {
+          startPhase('ai');
+          
+          const exceededAiQuota = await usageService.getExceededQuota(task.organization_id, ['ai_tokens']);
+          
+          if (exceededAiQuota) {
+            throw new AutomationError('quota_exceeded', exceededAiQuota.message);
+          }
+          
           normalizedData = await openaiService.processData(rawData, {
             task: task.config.aiTask || 'Extract and normalize the key information',
             format: task.config.outputFormat || 'json',
             schema: task.config.outputSchema,
+            signal: controller.signal,
+            organizationId: task.organization_id,
           });
           
-          await this.logTask(taskId, 'info', 'AI processing completed', { dataSize: JSON.stringify(normalizedData).length });
+          await log('info', 'AI processing completed', { dataSize: JSON.stringify(normalizedData).length });
         } else {
           normalizedData = rawData;
         }
         
-        // Take screenshot if requested
+        // Store a screenshot and an HTML snapshot of the final page if requested
+        if (task.config.takeScreenshot || task.config.saveHtml) {
+          startPhase('artifacts');
+        }
+        
         if (task.config.takeScreenshot) {
-          const screenshot = await browserService.takeScreenshot({
+          const screenshot = await session.takeScreenshot({
             fullPage: task.config.fullPageScreenshot || false,
           });
           
-          // Store screenshot in database or file system
-          // This is a simplified example - in a real app, you'd store this properly
-          await this.logTask(taskId, 'info', 'Screenshot captured', { screenshotSize: screenshot.length });
+          const artifact = await artifactStore.save({
+            taskId,
+            runId: run.id,
+            type: 'screenshot',
+            name: 'screenshot.png',
+            data: screenshot,
+            metadata: { fullPage: Boolean(task.config.fullPageScreenshot) },
+          });
+          
+          await log('info', 'Screenshot captured', { artifactId: artifact.id, screenshotSize: screenshot.length });
         }
+        
+        if (task.config.saveHtml) {
+          const html = await session.getContent();
+          
+          const artifact = await artifactStore.save({
+            taskId,
+            runId: run.id,
+            type: 'html',
+            name: 'page.html',
+            data: html,
+            metadata: { url: session.page.url() },
+          });
+          
+          await log('info', 'HTML snapshot captured', { artifactId: artifact.id, size: artifact.size });
+        }
+        
+        endPhase();
       } catch (err) {
-        error = err.message;
-        await this.logTask(taskId, 'error', `Task execution failed: ${err.message}`, { stack: err.stack });
+        // After an abort, report the cancellation or timeout rather than the closed-page error it caused
+        const failure = controller.signal.aborted ? controller.signal.reason : err;
+        
+        failedPhase = phase;
+        endPhase();
+        error = redact(failure.message, secrets);
+        errorClass = classifyError(failure);
+        
+        // Keep what was extracted before the failure
+        if (!rawData && Object.keys(partialData).length > 0) {
+          rawData = partialData;
+        }
+        
+        await log('error', `Task execution failed: ${error}`, {
+          attempt,
+          errorClass,
+          phase: failedPhase,
+          stack: err.stack,
+        });
       } finally {
-        // Close browser context
-        if (browserService.context) {
-          await browserService.context.close();
+        clearTimeout(runtimeTimer);
+        this.executions.delete(taskId);
+        
+        // Close the session context and free its pool slot
+        await browserService.release(session);
+        
+        if (browserStart) {
+          await usageService.record(task.organization_id, 'browser_seconds', Math.ceil((Date.now() - browserStart) / 1000));
         }
       }
       
       const processingTime = Date.now() - startTime;
+      const cancelled = errorClass === 'cancelled';
+      let status = error ? 'failed' : 'completed';
+      
+      if (cancelled || errorClass === 'timed_out') {
+        status = errorClass;
+      }
+      
+      // Recordings are complete once the context is closed
+      if (session) {
+        const recordings = await this.storeRecordings(session, {
+          taskId,
+          runId: run.id,
+          failed: status !== 'completed',
+          modes: recordingModes,
+        });
+        
+        if (recordings.length > 0) {
+          await log('info', 'Recordings saved', {
+            artifacts: recordings.map(artifact => ({ id: artifact.id, type: artifact.type, size: artifact.size })),
+          });
+        }
+      }
+      
+      // Retry retryable failures with backoff before giving up on the run
+      const policy = getRetryPolicy(task.config);
+      const retryAt = error && !cancelled && shouldRetry(policy, errorClass, attempt)
+        ? new Date(Date.now() + getRetryDelay(policy, attempt))
+        : null;
+      
+      // Work out the next run of a recurring task from the slot this run served;
+      // a cancelled task stays cancelled until it is queued again
+      let nextRunAt = retryAt;
+      
+      if (!retryAt && !cancelled && task.schedule) {
+        nextRunAt = getNextRunAt(task.schedule, task.next_run_at ? new Date(task.next_run_at) : new Date(startTime));
+      }
+      
+      // Compare the data with the previous successful run
+      const changeDetection = task.config.changeDetection || {};
+      let baseline = null;
+      let diff = null;
+      
+      if (status === 'completed') {
+        try {
+          baseline = await runHistory.getBaseline(taskId);
+          
+          if (baseline) {
+            // Compare the data as it is stored
+            diff = diffData(baseline.normalized_data, JSON.parse(JSON.stringify(normalizedData ?? null)), changeDetection);
+          }
+        } catch (err) {
+          await log('warning', `Change detection failed: ${err.message}`);
+        }
+      }
       
       // Store task result
+      let finishedRun = null;
+      let leaseHeld = true;
       const taskResult = await transaction(async (client) => {
         // Insert task result
         const resultQuery = `
           INSERT INTO task_results 
-          (task_id, raw_data, normalized_data, processing_time, status, error) 
-          VALUES ($1, $2, $3, $4, $5, $6) 
+          (task_id, raw_data, normalized_data, processing_time, status, error, attempt, error_class, run_id) 
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
           RETURNING *
         `;
         
@@ -211,71 +623,317 @@ class TaskManager {
           rawData ? JSON.stringify(rawData) : null,
           normalizedData ? JSON.stringify(normalizedData) : null,
           processingTime,
-          error ? 'failed' : 'completed',
+          status,
           error,
+          attempt,
+          errorClass,
+          run.id,
         ];
         
         const resultRes = await client.query(resultQuery, resultValues);
         
-        // Update task status
+        finishedRun = await runHistory.finishRun(run.id, {
+          status,
+          error,
+          errorClass,
+          failedPhase,
+          phases,
+          baselineRunId: diff ? baseline.run_id : null,
+          diff,
+        }, client);
+        
+        // A worker that lost its lease leaves the task to whoever holds it now
+        if (errorClass === 'lease_lost') {
+          leaseHeld = false;
+          return resultRes.rows[0];
+        }
+        
+        // Update task status; retries and recurring tasks go back to the queue,
+        // and the attempt counter restarts once a run is finished. The lease
+        // check catches a lease lost between the last heartbeat and now.
         const taskQuery = `
           UPDATE tasks 
-          SET status = $1, completed_at = CURRENT_TIMESTAMP, error = $2, updated_at = CURRENT_TIMESTAMP 
-          WHERE id = $3 
-          RETURNING *
+          SET status = $1, completed_at = CURRENT_TIMESTAMP, error = $2, updated_at = CURRENT_TIMESTAMP,
+              last_run_at = $3, next_run_at = $4, attempt = $5, cancel_requested_at = NULL, run_trigger = $6 
+          WHERE id = $7 AND ($8::text IS NULL OR locked_by = $8)
+          RETURNING id
         `;
         
-        const taskValues = [error ? 'failed' : 'completed', error, taskId];
+        const taskValues = [
+          nextRunAt ? 'pending' : status,
+          error,
+          new Date(startTime),
+          nextRunAt,
+          retryAt ? attempt : 0,
+          retryAt ? 'retry' : (nextRunAt ? 'schedule' : null),
+          taskId,
+          options.workerId || null,
+        ];
         
-        await client.query(taskQuery, taskValues);
+        const taskRes = await client.query(taskQuery, taskValues);
+        leaseHeld = taskRes.rows.length > 0;
         
         return resultRes.rows[0];
       });
       
-      await this.logTask(
-        taskId, 
+      await log(
         'info', 
-        `Task execution ${error ? 'failed' : 'completed'}`, 
-        { processingTime }
+        `Task execution ${status.replace('_', ' ')}`, 
+        { processingTime, attempt, phases }
       );
       
+      if (!leaseHeld) {
+        await log('warning', 'Worker lost the lease for the task; the task was left to its current owner', {
+          workerId: options.workerId,
+        });
+      } else if (retryAt) {
+        await log('warning', `Retrying after ${errorClass} (attempt ${attempt + 1} of ${policy.maxAttempts})`, {
+          errorClass,
+          retryAt,
+        });
+      }
+      
+      if (diff) {
+        await log(
+          'info',
+          diff.hasChanges ? 'Data changed since the previous run' : 'No data changes since the previous run',
+          { baselineRunId: baseline.run_id, changes: diff.summary }
+        );
+      }
+      
+      // Notify webhooks; a task can skip notifications of runs that changed nothing.
+      // A run finished elsewhere in the meantime (force-cancelled or recovered) is not reported again.
+      const unchanged = diff && !diff.hasChanges;
+      
+      if (finishedRun && status !== 'completed') {
+        await webhookService.emit('run.failed', { task, run: finishedRun, result: taskResult });
+      } else if (finishedRun && !(unchanged && changeDetection.suppressUnchanged)) {
+        await webhookService.emit('run.completed', { task, run: finishedRun, result: taskResult });
+      }
+      
+      if (finishedRun && diff && diff.hasChanges) {
+        await webhookService.emit('data.changed', { task, run: finishedRun, result: taskResult, diff });
+      }
+      
       return {
         taskId,
+        runId: run.id,
         resultId: taskResult.id,
-        status: error ? 'failed' : 'completed',
+        status,
         processingTime,
         error,
+        errorClass,
+        attempt,
         rawData,
         normalizedData,
+        retryAt: leaseHeld ? retryAt : null,
+        nextRunAt: leaseHeld ? nextRunAt : null,
+        dataChanged: diff ? diff.hasChanges : null,
       };
     } catch (error) {
       console.error(`Failed to execute task ${taskId}:`, error);
       
-      // Update task status to failed
-      await this.updateTask(taskId, { 
-        status: 'failed', 
-        error: error.message,
-        completed_at: new Date(),
-      });
+      // Update task status to failed, unless another worker took over the task
+      await query(
+        `UPDATE tasks SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND ($3::text IS NULL OR locked_by = $3)`,
+        [taskId, error.message, options.workerId || null]
+      );
+      
+      if (run) {
+        await runHistory.finishRun(run.id, { status: 'failed', error: error.message }).catch(() => {});
+      }
+      
+      await this.logTask(taskId, 'error', `Task execution failed: ${error.message}`, { stack: error.stack }, run && run.id);
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Store the trace and HAR recordings of a finished session as run artifacts
+   * @param {BrowserSession} session - Released session
+   * @param {Object} options - Storage options
+   * @param {string} options.taskId - Task ID
+   * @param {string} options.runId - Run ID
+   * @param {boolean} options.failed - Whether the run failed
+   * @param {Object} options.modes - Recording mode per type (off, on-failure, always)
+   * @returns {Array} - Stored artifacts
+   */
+  async storeRecordings(session, options) {
+    const stored = [];
+    
+    try {
+      for (const file of session.getRecordings()) {
+        const mode = options.modes[file.type];
+        
+        if (mode !== 'always' && !(mode === 'on-failure' && options.failed)) {
+          continue;
+        }
+        
+        try {
+          const data = await fs.promises.readFile(file.path);
+          
+          stored.push(await artifactStore.save({
+            taskId: options.taskId,
+            runId: options.runId,
+            type: file.type,
+            name: file.name,
+            contentType: file.contentType,
+            data,
+          }));
+        } catch (error) {
+          // A missing recording must not fail the run
+          console.error(`Failed to store ${file.type} recording for task ${options.taskId}:`, error);
+        }
+      }
+    } finally {
+      await session.removeRecordings().catch(() => {});
+    }
+    
+    return stored;
+  }
+
+  /**
+   * Cancel a task. A queued task is cancelled right away; a running task is
+   * aborted by the worker executing it, keeping the data extracted so far.
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - Updated task, or null when the task is neither queued nor running
+   */
+  async cancelTask(taskId) {
+    try {
+      const task = await jobQueue.cancel(taskId);
+      
+      if (!task) {
+        return null;
+      }
       
-      await this.logTask(taskId, 'error', `Task execution failed: ${error.message}`, { stack: error.stack });
+      if (task.status === 'running') {
+        // Abort now when the execution runs in this process; other workers pick it up on their heartbeat
+        this.abortExecution(taskId, 'cancelled', 'Task was cancelled');
+        await this.logTask(taskId, 'warning', 'Task cancellation requested');
+      } else {
+        await this.logTask(taskId, 'warning', 'Task cancelled before it ran');
+      }
       
+      return task;
+    } catch (error) {
+      console.error(`Failed to cancel task ${taskId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Cancel a queued or running task without waiting for its worker, e.g. when the
+   * worker hangs. The open run is finished as cancelled right away.
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - Cancelled task, or null when the task is neither queued nor running
+   */
+  async forceCancelTask(taskId) {
+    try {
+      const task = await jobQueue.forceCancel(taskId);
+      
+      if (!task) {
+        return null;
+      }
+      
+      if (task.previous_status === 'running') {
+        // A worker in this process stops now; one elsewhere stops when it notices the lost lease
+        this.abortExecution(taskId, 'cancelled', 'Task was force-cancelled');
+        await runHistory.finishOpenRuns(taskId, {
+          status: 'cancelled',
+          error: 'Task was force-cancelled',
+          errorClass: 'cancelled',
+        });
+      }
+      
+      await this.logTask(taskId, 'warning', 'Task force-cancelled by an administrator', {
+        previousStatus: task.previous_status,
+        previousWorker: task.previous_worker,
+      });
+      
+      return task;
+    } catch (error) {
+      console.error(`Failed to force-cancel task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort an execution running in this process
+   * @param {string} taskId - Task ID
+   * @param {string} code - Abort reason: cancelled, timed_out, or lease_lost when the worker no longer
+   *   holds the task's lease (the run fails and the task is left to its new owner)
+   * @param {string} message - Message recorded as the task error
+   * @returns {boolean} - False when the task is not running here or already aborted
+   */
+  abortExecution(taskId, code, message) {
+    const controller = this.executions.get(taskId);
+    
+    if (!controller || controller.signal.aborted) {
+      return false;
+    }
+    
+    controller.abort(new AutomationError(code, message));
+    return true;
+  }
+
+  /**
+   * Reschedule a recurring task whose run is too late under the "skip" catch-up policy
+   * @param {Object} task - Claimed task
+   * @returns {Object} - Skip outcome with the next run
+   */
+  async skipMissedRun(task) {
+    const missedRunAt = new Date(task.next_run_at);
+    const nextRunAt = getNextRunAt(task.schedule, missedRunAt);
+    
+    await query(
+      `UPDATE tasks SET status = $1, next_run_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`,
+      [nextRunAt ? 'pending' : 'completed', nextRunAt, task.id]
+    );
+    
+    await this.logTask(task.id, 'info', 'Missed scheduled run skipped', { missedRunAt, nextRunAt });
+    
+    return { taskId: task.id, status: 'skipped', nextRunAt };
+  }
+
+  /**
+   * Put off a run while the task's organization has used up a quota: the task
+   * waits in the queue until the quota resets
+   * @param {Object} task - Task
+   * @param {Object} quota - Exceeded quota from UsageService.getExceededQuota
+   * @returns {Object} - { taskId, status: 'deferred', nextRunAt }
+   */
+  async deferRun(task, quota) {
+    await query(
+      `UPDATE tasks SET status = 'pending', next_run_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [quota.resetAt, task.id]
+    );
+    
+    await this.logTask(task.id, 'warning', `Run deferred: ${quota.message}`, {
+      quota: quota.quota,
+      period: quota.period,
+      limit: quota.limit,
+      used: quota.used,
+      nextRunAt: quota.resetAt,
+    });
+    
+    return { taskId: task.id, status: 'deferred', nextRunAt: quota.resetAt };
+  }
+
   /**
    * Log a task event
    * @param {string} taskId - Task ID
    * @param {string} level - Log level (info, warning, error)
    * @param {string} message - Log message
    * @param {Object} metadata - Additional metadata
+   * @param {string} runId - Run the event belongs to, if any
    */
-  async logTask(taskId, level, message, metadata = {}) {
+  async logTask(taskId, level, message, metadata = {}, runId = null) {
     try {
       await query(
-        'INSERT INTO task_logs (task_id, level, message, metadata) VALUES ($1, $2, $3, $4)',
-        [taskId, level, message, JSON.stringify(metadata)]
+        'INSERT INTO task_logs (task_id, level, message, metadata, run_id) VALUES ($1, $2, $3, $4, $5)',
+        [taskId, level, message, JSON.stringify(redact(metadata)), runId]
       );
     } catch (error) {
       console.error(`Failed to log task ${taskId}:`, error);
@@ -283,17 +941,54 @@ class TaskManager {
     }
   }
 
+  /**
+   * Log the outcome of a workflow step
+   * @param {string} taskId - Task ID
+   * @param {Object} outcome - Step outcome reported by BrowserService.runSteps
+   * @param {string} runId - Run the step belongs to
+   */
+  async logStep(taskId, outcome, runId = null) {
+    const { path, step, status, duration, error, ...details } = outcome;
+    const label = step.description ? `: ${step.description}` : '';
+    let level = 'info';
+
+    if (status === 'failed') {
+      level = step.optional ? 'warning' : 'error';
+    }
+
+    await this.logTask(
+      taskId,
+      level,
+      `Step ${path} (${step.type}) ${status}${label}`,
+      { step: path, type: step.type, status, duration, error, ...details },
+      runId
+    );
+  }
+
   /**
    * Get task logs
    * @param {string} taskId - Task ID
-   * @returns {Array} - Task logs
+   * @param {Object} options - Query options
+   * @param {number} options.after - Only return log lines after this sequence number
+   * @param {string} options.runId - Only return log lines of this run
+   * @returns {Array} - Task logs in the order they were written
    */
-  async getTaskLogs(taskId) {
+  async getTaskLogs(taskId, options = {}) {
     try {
-      const result = await query(
-        'SELECT * FROM task_logs WHERE task_id = $1 ORDER BY created_at ASC',
-        [taskId]
-      );
+      const values = [taskId];
+      let sql = 'SELECT * FROM task_logs WHERE task_id = $1';
+      
+      if (options.after !== undefined && options.after !== null) {
+        values.push(options.after);
+        sql += ` AND seq > $${values.length}`;
+      }
+      
+      if (options.runId) {
+        values.push(options.runId);
+        sql += ` AND run_id = $${values.length}`;
+      }
+      
+      const result = await query(`${sql} ORDER BY seq ASC`, values);
       
       return result.rows;
     } catch (error) {
@@ -325,6 +1020,50 @@ class TaskManager {
     }
   }
 
+  /**
+   * Get the recorded execution attempts of a task with failure counts per error class
+   * @param {string} taskId - Task ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of attempts to return (default 50)
+   * @returns {Object} - { attempts, summary }
+   */
+  async getTaskAttempts(taskId, options = {}) {
+    try {
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+
+      const attempts = await query(
+        `SELECT id, attempt, status, error_class, error, processing_time, created_at
+         FROM task_results WHERE task_id = $1 ORDER BY created_at DESC LIMIT $2`,
+        [taskId, limit]
+      );
+
+      const totals = await query(
+        `SELECT COUNT(*)::int AS total,
+                COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+                COUNT(*) FILTER (WHERE attempt > 1)::int AS retries
+         FROM task_results WHERE task_id = $1`,
+        [taskId]
+      );
+
+      const byClass = await query(
+        `SELECT error_class, COUNT(*)::int AS count
+         FROM task_results WHERE task_id = $1 AND error_class IS NOT NULL
+         GROUP BY error_class ORDER BY count DESC`,
+        [taskId]
+      );
+
+      const summary = {
+        ...totals.rows[0],
+        byErrorClass: Object.fromEntries(byClass.rows.map(row => [row.error_class, row.count])),
+      };
+
+      return { attempts: attempts.rows, summary };
+    } catch (error) {
+      console.error(`Failed to get attempts for task ${taskId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get pending tasks that are scheduled to run
    * @returns {Array} - Pending tasks
@@ -334,8 +1073,8 @@ class TaskManager {
       const result = await query(
         `SELECT * FROM tasks 
          WHERE status = 'pending' 
-         AND (scheduled_for IS NULL OR scheduled_for <= CURRENT_TIMESTAMP) 
-         ORDER BY scheduled_for ASC NULLS LAST`,
+         AND (next_run_at IS NULL OR next_run_at <= CURRENT_TIMESTAMP) 
+         ORDER BY next_run_at ASC NULLS LAST`,
         []
       );
       
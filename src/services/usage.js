@@ -0,0 +1,186 @@
+// Usage counters for rate limits and quotas. Counters live in Postgres, so limits hold
+// across restarts and are shared by every API server and worker.
+import { query } from '../db/database.js';
+import config from '../config/config.js';
+
+// Quotas and the counter each one reads; browser time is counted in seconds
+export const QUOTAS = {
+  executions: { metric: 'executions', unit: 1, label: 'executions' },
+  browser_minutes: { metric: 'browser_seconds', unit: 60, label: 'browser minutes' },
+  ai_tokens: { metric: 'ai_tokens', unit: 1, label: 'AI tokens' },
+};
+
+const PERIOD_LABELS = { day: 'daily', month: 'monthly' };
+
+// Quota periods are UTC days and calendar months
+const PERIOD_START = {
+  day: "date_trunc('day', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'",
+  month: "date_trunc('month', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'",
+};
+
+const PERIOD_END = {
+  day: "(date_trunc('day', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + INTERVAL '1 day') AT TIME ZONE 'UTC'",
+  month: "(date_trunc('month', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') + INTERVAL '1 month') AT TIME ZONE 'UTC'",
+};
+
+class UsageService {
+  constructor() {
+    this.quotas = config.quotas;
+  }
+
+  /**
+   * Count a request against the current rate limit window of each subject
+   * @param {string[]} subjects - Counter subjects, e.g. key:<id> and user:<id>
+   * @param {string} metric - Rate limit counter, e.g. rate:execute
+   * @param {number} window - Window length in milliseconds
+   * @returns {Array} - { subject, count, reset_in } per subject; reset_in is in seconds
+   */
+  async hit(subjects, metric, window) {
+    const result = await query(
+      `INSERT INTO usage_counters (subject, metric, period, period_start, count)
+       SELECT subject, $2, 'window',
+              to_timestamp(floor(extract(epoch FROM CURRENT_TIMESTAMP) * 1000 / $3::integer) * $3::integer / 1000), 1
+       FROM unnest($1::text[]) AS subject
+       ON CONFLICT (subject, metric, period, period_start) DO UPDATE SET
+         count = usage_counters.count + 1,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING subject, count::int,
+                 extract(epoch FROM period_start + $3::integer * INTERVAL '1 millisecond' - CURRENT_TIMESTAMP)::float AS reset_in`,
+      [subjects, metric, window]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Add to the daily and monthly usage of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} metric - Counter: executions, browser_seconds or ai_tokens
+   * @param {number} amount - Amount to add
+   */
+  async record(organizationId, metric, amount) {
+    if (!organizationId || !(amount > 0)) {
+      return;
+    }
+
+    try {
+      await query(
+        `INSERT INTO usage_counters (subject, metric, period, period_start, count)
+         VALUES ($1, $2, 'day', ${PERIOD_START.day}, $3), ($1, $2, 'month', ${PERIOD_START.month}, $3)
+         ON CONFLICT (subject, metric, period, period_start) DO UPDATE SET
+           count = usage_counters.count + EXCLUDED.count,
+           updated_at = CURRENT_TIMESTAMP`,
+        [`organization:${organizationId}`, metric, Math.round(amount)]
+      );
+    } catch (error) {
+      console.error(`Failed to record ${metric} usage of organization ${organizationId}:`, error);
+      // Don't throw here: the work is done, only its accounting is lost
+    }
+  }
+
+  /**
+   * Get the usage of an organization in the current day and month, with its quotas
+   * @param {string} organizationId - Organization ID
+   * @returns {Object} - { [quota]: { day, month } } with { used, limit, remaining, resetAt } per period;
+   *   limit and remaining are null for unlimited quotas
+   */
+  async getUsage(organizationId) {
+    try {
+      const result = await query(
+        `SELECT periods.period, periods.reset_at, usage_counters.metric, usage_counters.count::float AS count
+         FROM (VALUES
+           ('day', ${PERIOD_START.day}, ${PERIOD_END.day}),
+           ('month', ${PERIOD_START.month}, ${PERIOD_END.month})
+         ) AS periods (period, period_start, reset_at)
+         LEFT JOIN usage_counters ON usage_counters.subject = $1
+           AND usage_counters.period = periods.period
+           AND usage_counters.period_start = periods.period_start`,
+        [`organization:${organizationId}`]
+      );
+
+      const usage = {};
+
+      for (const [name, quota] of Object.entries(QUOTAS)) {
+        usage[name] = {};
+
+        for (const period of ['day', 'month']) {
+          const rows = result.rows.filter(row => row.period === period);
+          const counter = rows.find(row => row.metric === quota.metric);
+          const used = Math.round(((counter ? counter.count : 0) / quota.unit) * 100) / 100;
+          const limit = this.quotas[name][period] > 0 ? this.quotas[name][period] : null;
+
+          usage[name][period] = {
+            used,
+            limit,
+            remaining: limit === null ? null : Math.max(limit - used, 0),
+            resetAt: new Date(rows[0].reset_at),
+          };
+        }
+      }
+
+      return usage;
+    } catch (error) {
+      console.error(`Failed to get usage of organization ${organizationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a quota of the organization that is used up
+   * @param {string} organizationId - Organization ID
+   * @param {string[]} names - Quotas to check, keys of QUOTAS
+   * @returns {Object|null} - { quota, period, limit, used, resetAt, message } of the quota that
+   *   resets last, or null while every quota has room left
+   */
+  async getExceededQuota(organizationId, names) {
+    const configured = names.some(name => this.quotas[name].day > 0 || this.quotas[name].month > 0);
+
+    if (!organizationId || !configured) {
+      return null;
+    }
+
+    const usage = await this.getUsage(organizationId);
+    let exceeded = null;
+
+    for (const name of names) {
+      for (const period of ['day', 'month']) {
+        const { used, limit, resetAt } = usage[name][period];
+
+        if (limit !== null && used >= limit && (!exceeded || resetAt > exceeded.resetAt)) {
+          exceeded = {
+            quota: name,
+            period,
+            limit,
+            used,
+            resetAt,
+            message: `The ${PERIOD_LABELS[period]} quota of ${limit} ${QUOTAS[name].label} is used up; it resets at ${resetAt.toISOString()}`,
+          };
+        }
+      }
+    }
+
+    return exceeded;
+  }
+
+  /**
+   * Delete rate limit windows older than a day and quota counters older than 13 months
+   * @returns {number} - Number of deleted counters
+   */
+  async purgeExpired() {
+    try {
+      const result = await query(
+        `DELETE FROM usage_counters
+         WHERE (period = 'window' AND period_start < CURRENT_TIMESTAMP - INTERVAL '1 day')
+         OR period_start < CURRENT_TIMESTAMP - INTERVAL '13 months'
+         RETURNING subject`
+      );
+
+      return result.rows.length;
+    } catch (error) {
+      console.error('Failed to purge usage counters:', error);
+      throw error;
+    }
+  }
+}
+
+export default new UsageService();
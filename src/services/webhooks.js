@@ -0,0 +1,537 @@
+// Webhooks: signed notifications of task lifecycle events with retried, logged deliveries
+import crypto from 'crypto';
+import { query } from '../db/database.js';
+import config from '../config/config.js';
+import { getRetryDelay } from '../utils/retry.js';
+
+export const WEBHOOK_EVENTS = ['run.started', 'run.completed', 'run.failed', 'data.changed'];
+
+/**
+ * Error raised for an invalid webhook definition
+ */
+export class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+  }
+}
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over "<timestamp>.<body>"
+ * with their secret and compare it to the v1 value of the signature header.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - Signature header value, "t=<timestamp>,v1=<hex digest>"
+ */
+export const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+class WebhookService {
+  constructor() {
+    this.config = config.webhooks;
+    this.delivering = false;
+  }
+
+  /**
+   * Validate webhook fields shared by create and update
+   * @param {Object} data - Webhook fields
+   */
+  validate(data) {
+    if (data.url !== undefined) {
+      let url;
+
+      try {
+        url = new URL(data.url);
+      } catch (error) {
+        throw new WebhookError('url must be a valid URL');
+      }
+
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new WebhookError('url must use http or https');
+      }
+    }
+
+    if (data.events !== undefined) {
+      if (!Array.isArray(data.events) || data.events.length === 0) {
+        throw new WebhookError('events must be a non-empty array');
+      }
+
+      const unknown = data.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+
+      if (unknown.length > 0) {
+        throw new WebhookError(`Unknown webhook event(s): ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {string} organizationId - Organization owning the webhook
+   * @param {string} userId - Creator of the webhook
+   * @param {Object} data - Webhook data
+   * @param {string} data.url - Endpoint URL
+   * @param {string[]} data.events - Subscribed events (default all)
+   * @param {string} data.taskId - Only send events of this task (default all tasks of the organization)
+   * @param {boolean} data.includeData - Include normalized result data in payloads (default true)
+   * @param {string} data.description - Description
+   * @returns {Object} - Created webhook, including its signing secret
+   */
+  async createWebhook(organizationId, userId, data) {
+    try {
+      if (!data.url) {
+        throw new WebhookError('url is required');
+      }
+
+      this.validate(data);
+
+      // Task-level webhooks may only watch tasks of the same organization
+      if (data.taskId) {
+        const task = await query(
+          'SELECT id FROM tasks WHERE id = $1 AND organization_id = $2',
+          [data.taskId, organizationId]
+        );
+
+        if (task.rows.length === 0) {
+          throw new WebhookError(`Task with ID ${data.taskId} not found`);
+        }
+      }
+
+      const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+      const result = await query(
+        `INSERT INTO webhooks (organization_id, user_id, task_id, url, secret, events, include_data, description)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          organizationId,
+          userId,
+          data.taskId || null,
+          data.url,
+          secret,
+          data.events || WEBHOOK_EVENTS,
+          data.includeData !== false,
+          data.description || null,
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Failed to create webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a webhook of an organization
+   * @param {string} organizationId - Organization owning the webhook
+   * @param {string} webhookId - Webhook ID
+   * @returns {Object} - Webhook without its secret
+   */
+  async getWebhook(organizationId, webhookId) {
+    try {
+      const result = await query('SELECT * FROM webhooks WHERE id = $1 AND organization_id = $2', [webhookId, organizationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error(`Webhook with ID ${webhookId} not found`);
+      }
+
+      return this.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error(`Failed to get webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the webhooks of an organization
+   * @param {string} organizationId - Organization owning the webhooks
+   * @returns {Array} - Webhooks without their secrets
+   */
+  async listWebhooks(organizationId) {
+    try {
+      const result = await query('SELECT * FROM webhooks WHERE organization_id = $1 ORDER BY created_at DESC', [organizationId]);
+      return result.rows.map(webhook => this.sanitize(webhook));
+    } catch (error) {
+      console.error('Failed to list webhooks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} organizationId - Organization owning the webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} data - Fields to update: url, events, includeData, description, isActive, rotateSecret
+   * @returns {Object} - Updated webhook; includes the new secret when it was rotated
+   */
+  async updateWebhook(organizationId, webhookId, data) {
+    try {
+      this.validate(data);
+
+      const fields = {
+        url: data.url,
+        events: data.events,
+        include_data: data.includeData,
+        description: data.description,
+        is_active: data.isActive,
+        secret: data.rotateSecret ? `whsec_${crypto.randomBytes(24).toString('hex')}` : undefined,
+      };
+      const updates = [];
+      const values = [];
+
+      for (const [column, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          values.push(value);
+          updates.push(`${column} = $${values.length}`);
+        }
+      }
+
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(webhookId, organizationId);
+
+      const result = await query(
+        `UPDATE webhooks SET ${updates.join(', ')}
+         WHERE id = $${values.length - 1} AND organization_id = $${values.length}
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Webhook with ID ${webhookId} not found`);
+      }
+
+      return data.rotateSecret ? result.rows[0] : this.sanitize(result.rows[0]);
+    } catch (error) {
+      console.error(`Failed to update webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} organizationId - Organization owning the webhook
+   * @param {string} webhookId - Webhook ID
+   */
+  async deleteWebhook(organizationId, webhookId) {
+    try {
+      const result = await query(
+        'DELETE FROM webhooks WHERE id = $1 AND organization_id = $2 RETURNING id',
+        [webhookId, organizationId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Webhook with ID ${webhookId} not found`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the signing secret from a webhook returned by the API
+   * @param {Object} webhook - Webhook row
+   * @returns {Object} - Webhook without its secret
+   */
+  sanitize(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secret_hint: `${secret.slice(0, 10)}...` };
+  }
+
+  /**
+   * Queue deliveries of an event to every matching webhook
+   * @param {string} event - Event name
+   * @param {Object} context - Event context
+   * @param {Object} context.task - Task the event belongs to
+   * @param {Object} context.run - Run the event belongs to
+   * @param {Object} context.result - Stored task result, for finished runs
+   * @param {Object} context.diff - Data changes since the previous run (see utils/diff.js)
+   * @param {Object} context.data - Additional event data
+   * @returns {number} - Number of queued deliveries
+   */
+  async emit(event, context) {
+    const { task } = context;
+
+    try {
+      const webhooks = await query(
+        `SELECT id, include_data FROM webhooks
+         WHERE organization_id = $1 AND is_active = true AND (task_id IS NULL OR task_id = $2) AND $3 = ANY(events)`,
+        [task.organization_id, task.id, event]
+      );
+
+      for (const webhook of webhooks.rows) {
+        await query(
+          'INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES ($1, $2, $3)',
+          [webhook.id, event, JSON.stringify(this.buildPayload(context, webhook.include_data))]
+        );
+      }
+
+      // Deliver right away; anything left over is picked up by the workers
+      if (webhooks.rows.length > 0) {
+        this.deliverDue();
+      }
+
+      return webhooks.rows.length;
+    } catch (error) {
+      // Notifications must never break task execution
+      console.error(`Failed to emit ${event} for task ${task.id}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Build the payload of an event
+   * @param {Object} context - Event context (see emit)
+   * @param {boolean} includeData - Include the normalized result data
+   * @returns {Object} - Event payload
+   */
+  buildPayload(context, includeData) {
+    const { task, run, result, diff, data } = context;
+    const base = config.server.publicUrl || '';
+    const payload = {
+      task: { id: task.id, name: task.name, url: task.url },
+      run: run && {
+        id: run.id,
+        status: run.status,
+        attempt: run.attempt,
+        trigger: run.trigger,
+        started_at: run.started_at,
+        completed_at: run.completed_at,
+        duration: run.duration,
+        error: run.error,
+        error_class: run.error_class,
+      },
+      links: {
+        task: `${base}/api/tasks/${task.id}`,
+        run: run ? `${base}/api/tasks/${task.id}/runs/${run.id}` : undefined,
+        result: result ? `${base}/api/tasks/${task.id}/result` : undefined,
+        diff: diff && run ? `${base}/api/tasks/${task.id}/runs/${run.id}/diff` : undefined,
+      },
+      ...data,
+    };
+
+    if (result) {
+      payload.result = { id: result.id, status: result.status };
+
+      // Large results are only linked to keep deliveries small
+      const normalized = result.normalized_data === undefined ? null : result.normalized_data;
+      const size = Buffer.byteLength(JSON.stringify(normalized));
+
+      if (includeData && size <= this.config.maxPayloadBytes) {
+        payload.result.normalized_data = normalized;
+      } else if (includeData) {
+        payload.result.truncated = true;
+      }
+    }
+
+    if (diff) {
+      payload.diff = { summary: diff.summary };
+
+      const { added, removed, changed } = diff;
+
+      if (includeData && Buffer.byteLength(JSON.stringify({ added, removed, changed })) <= this.config.maxPayloadBytes) {
+        Object.assign(payload.diff, { added, removed, changed });
+      } else if (includeData) {
+        payload.diff.truncated = true;
+      }
+    }
+
+    return payload;
+  }
+
+  /**
+   * Send due deliveries, retrying failed ones with exponential backoff
+   */
+  async deliverDue() {
+    // One delivery loop per process; others are skipped while it drains the queue
+    if (this.delivering) {
+      return;
+    }
+
+    this.delivering = true;
+
+    try {
+      while (true) {
+        // Claim a batch; the lock keeps other workers from sending the same deliveries
+        const claimed = await query(
+          `UPDATE webhook_deliveries d
+           SET attempts = d.attempts + 1, last_attempt_at = CURRENT_TIMESTAMP,
+               locked_until = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+           FROM webhooks w
+           WHERE w.id = d.webhook_id AND d.id IN (
+             SELECT dd.id FROM webhook_deliveries dd
+             JOIN webhooks ww ON ww.id = dd.webhook_id AND ww.is_active = true
+             WHERE dd.status = 'pending' AND dd.next_attempt_at <= CURRENT_TIMESTAMP
+             AND (dd.locked_until IS NULL OR dd.locked_until < CURRENT_TIMESTAMP)
+             ORDER BY dd.next_attempt_at
+             LIMIT $1
+             FOR UPDATE OF dd SKIP LOCKED
+           )
+           RETURNING d.*, w.url, w.secret`,
+          [this.config.batchSize, this.config.timeout * 2]
+        );
+
+        if (claimed.rows.length === 0) {
+          break;
+        }
+
+        await Promise.all(claimed.rows.map(delivery => this.send(delivery)));
+      }
+    } catch (error) {
+      console.error('Webhook delivery error:', error);
+    } finally {
+      this.delivering = false;
+    }
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @param {Object} delivery - Claimed delivery with the webhook url and secret
+   */
+  async send(delivery) {
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      created_at: delivery.created_at,
+      ...delivery.payload,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'automation-service-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeout),
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, 2000);
+
+      if (!response.ok) {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${this.config.timeout}ms` : err.message;
+    }
+
+    const duration = Date.now() - startTime;
+
+    try {
+      if (!error) {
+        await query(
+          `UPDATE webhook_deliveries
+           SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, response_status = $1, response_body = $2,
+               error = NULL, duration = $3, locked_until = NULL
+           WHERE id = $4`,
+          [responseStatus, responseBody, duration, delivery.id]
+        );
+        return;
+      }
+
+      // Give up after the last attempt, otherwise back off
+      const exhausted = delivery.attempts >= this.config.maxAttempts;
+      const retryAt = exhausted ? null : new Date(Date.now() + getRetryDelay(this.config, delivery.attempts));
+
+      await query(
+        `UPDATE webhook_deliveries
+         SET status = $1, response_status = $2, response_body = $3, error = $4, duration = $5,
+             next_attempt_at = COALESCE($6, next_attempt_at), locked_until = NULL
+         WHERE id = $7`,
+        [exhausted ? 'failed' : 'pending', responseStatus, responseBody, error, duration, retryAt, delivery.id]
+      );
+    } catch (err) {
+      console.error(`Failed to record webhook delivery ${delivery.id}:`, err);
+    }
+  }
+
+  /**
+   * List the deliveries of a webhook, newest first
+   * @param {string} organizationId - Organization owning the webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Page size (default 20, at most 100)
+   * @param {number} options.offset - Number of deliveries to skip
+   * @param {string} options.status - Only return deliveries with this status
+   * @returns {Object} - { deliveries, total, limit, offset }
+   */
+  async listDeliveries(organizationId, webhookId, options = {}) {
+    try {
+      await this.getWebhook(organizationId, webhookId);
+
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+      const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+      const values = [webhookId];
+      let where = 'webhook_id = $1';
+
+      if (options.status) {
+        values.push(options.status);
+        where += ' AND status = $2';
+      }
+
+      const count = await query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries WHERE ${where}`, values);
+
+      const deliveries = await query(
+        `SELECT * FROM webhook_deliveries WHERE ${where}
+         ORDER BY created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { deliveries: deliveries.rows, total: count.rows[0].total, limit, offset };
+    } catch (error) {
+      console.error(`Failed to list deliveries of webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a past delivery again as a new delivery with the same payload
+   * @param {string} organizationId - Organization owning the webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery to resend
+   * @returns {Object} - New delivery
+   */
+  async redeliver(organizationId, webhookId, deliveryId) {
+    try {
+      await this.getWebhook(organizationId, webhookId);
+
+      const result = await query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+         SELECT webhook_id, event, payload, id FROM webhook_deliveries
+         WHERE id = $1 AND webhook_id = $2
+         RETURNING *`,
+        [deliveryId, webhookId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Delivery with ID ${deliveryId} not found`);
+      }
+
+      this.deliverDue();
+
+      return result.rows[0];
+    } catch (error) {
+      console.error(`Failed to redeliver ${deliveryId}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,217 @@
+// Queue worker that claims and executes tasks
+import os from 'os';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import jobQueue from './queue.js';
+import taskManager from './taskManager.js';
+import runHistory from './runs.js';
+import artifactStore from './artifacts.js';
+import webhookService from './webhooks.js';
+import sessionStore from './sessions.js';
+import accountService from './accounts.js';
+import usageService from './usage.js';
+
+class Worker {
+  constructor() {
+    this.id = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.config = config.worker;
+    this.running = new Map();
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.cleanupTimer = null;
+    this.webhookTimer = null;
+    this.polling = false;
+    this.started = false;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    this.recoveryTimer = setInterval(() => this.recover(), this.config.recoveryInterval);
+    this.cleanupTimer = setInterval(() => this.cleanup(), config.artifacts.cleanupInterval);
+    this.webhookTimer = setInterval(() => webhookService.deliverDue(), config.webhooks.pollInterval);
+
+    console.log(`Worker ${this.id} started (concurrency ${this.config.concurrency})`);
+
+    this.recover().then(() => this.poll());
+  }
+
+  /**
+   * Claim due tasks until the worker is at its concurrency limit
+   */
+  async poll() {
+    // Skip overlapping ticks; the running poll already drains the queue
+    if (this.polling || !this.started) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      while (this.started && this.running.size < this.config.concurrency) {
+        const task = await jobQueue.claimNext(this.id, this.config.leaseDuration);
+
+        if (!task) {
+          break;
+        }
+
+        console.log(`Executing task: ${task.id} - ${task.name}`);
+        this.running.set(task.id, this.runTask(task));
+      }
+    } catch (error) {
+      console.error('Task queue poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Execute a claimed task while keeping its lease alive
+   * @param {Object} task - Claimed task
+   */
+  async runTask(task) {
+    const heartbeat = setInterval(async () => {
+      try {
+        const lease = await jobQueue.heartbeat(task.id, this.id, this.config.leaseDuration);
+
+        if (!lease) {
+          // The lease was recovered or the task was force-cancelled; another worker may own it now
+          console.error(`Worker ${this.id} lost the lease for task ${task.id}`);
+          taskManager.abortExecution(task.id, 'lease_lost', 'Worker lost the lease for the task');
+        } else if (lease.cancel_requested_at) {
+          // Cancellation requested through another process
+          taskManager.abortExecution(task.id, 'cancelled', 'Task was cancelled');
+        }
+      } catch (error) {
+        console.error(`Heartbeat error for task ${task.id}:`, error);
+      }
+    }, this.config.heartbeatInterval);
+
+    try {
+      await taskManager.executeTask(task.id, { workerId: this.id });
+    } catch (error) {
+      console.error(`Task execution error for task ${task.id}:`, error);
+    } finally {
+      clearInterval(heartbeat);
+
+      await jobQueue.release(task.id, this.id).catch(() => {});
+      this.running.delete(task.id);
+
+      // A slot is free again, look for more work right away
+      this.poll();
+    }
+  }
+
+  /**
+   * Requeue tasks whose worker stopped heartbeating and close the runs that worker left open
+   */
+  async recover() {
+    try {
+      const recovered = await jobQueue.recoverExpiredLeases();
+
+      for (const task of recovered) {
+        const cancelled = task.status === 'cancelled';
+        const message = cancelled
+          ? 'Task lease expired while cancellation was pending, marked cancelled'
+          : 'Task lease expired, returned to queue';
+
+        console.warn(`Recovered task ${task.id} from expired lease of worker ${task.previous_worker}`);
+        await runHistory.finishOpenRuns(task.id, {
+          status: cancelled ? 'cancelled' : 'failed',
+          error: cancelled ? 'Task was cancelled' : `Worker ${task.previous_worker} stopped renewing its lease`,
+          errorClass: cancelled ? 'cancelled' : 'worker_lost',
+        }, task.previous_worker);
+        await taskManager.logTask(task.id, 'warning', message, {
+          previousWorker: task.previous_worker,
+        });
+      }
+    } catch (error) {
+      console.error('Lease recovery error:', error);
+    }
+  }
+
+  /**
+   * Apply the artifact retention limits and drop expired login sessions, account tokens
+   * and old usage counters
+   */
+  async cleanup() {
+    try {
+      const purged = await artifactStore.purgeExpired();
+
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired artifact(s)`);
+      }
+    } catch (error) {
+      console.error('Artifact cleanup error:', error);
+    }
+
+    try {
+      const purged = await sessionStore.purgeExpired();
+
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired login session(s)`);
+      }
+    } catch (error) {
+      console.error('Session cleanup error:', error);
+    }
+
+    try {
+      const purged = await accountService.purgeExpired();
+
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired account token(s)`);
+      }
+    } catch (error) {
+      console.error('Account token cleanup error:', error);
+    }
+
+    try {
+      const purged = await usageService.purgeExpired();
+
+      if (purged > 0) {
+        console.log(`Purged ${purged} old usage counter(s)`);
+      }
+    } catch (error) {
+      console.error('Usage counter cleanup error:', error);
+    }
+  }
+
+  /**
+   * Stop claiming tasks and wait for running ones to finish
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   */
+  async stop(timeout = this.config.shutdownTimeout) {
+    if (!this.started) {
+      return;
+    }
+
+    this.started = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+    clearInterval(this.cleanupTimer);
+    clearInterval(this.webhookTimer);
+
+    if (this.running.size > 0) {
+      console.log(`Waiting for ${this.running.size} running task(s) to finish`);
+
+      // Tasks still running after the timeout are recovered by another worker once their lease expires
+      let timer;
+      await Promise.race([
+        Promise.allSettled(this.running.values()),
+        new Promise(resolve => { timer = setTimeout(resolve, timeout); }),
+      ]);
+      clearTimeout(timer);
+    }
+
+    console.log(`Worker ${this.id} stopped`);
+  }
+}
+
+export default new Worker();
@@ -0,0 +1,28 @@
+// Set the role of a user from the command line, e.g. to make the first administrator:
+//   npm run set-user-role -- <email> <admin|operator|viewer>
+import { pool, query } from './db/database.js';
+import { ROLES } from './utils/auth.js';
+
+const [email, role] = process.argv.slice(2);
+
+try {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-user-role -- <email> <${ROLES.join('|')}>`);
+  }
+
+  const result = await query(
+    'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 RETURNING id',
+    [role, email.trim().toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`User ${email} not found`);
+  }
+
+  console.log(`Set the role of ${email} to ${role}`);
+} catch (error) {
+  console.error('Failed to set user role:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,67 @@
+// Local filesystem backend for the artifact store
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Stores artifacts as files below a root directory
+ */
+export class LocalArtifactBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.dir - Root directory for artifact files
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.dir);
+  }
+
+  /**
+   * Resolve a storage key to a path, refusing keys that escape the root directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Write an artifact
+   * @param {string} key - Storage key
+   * @param {Buffer|string} data - Artifact contents
+   */
+  async put(key, data) {
+    const filePath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+  }
+
+  /**
+   * Open an artifact for reading
+   * @param {string} key - Storage key
+   * @returns {stream.Readable} - File contents
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+
+    // Fail before streaming starts when the file is gone
+    await fs.promises.access(filePath, fs.constants.R_OK);
+
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete an artifact; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalArtifactBackend;
@@ -1,8 +1,126 @@
 // Authentication utilities
+import crypto from 'crypto';
 import { query } from '../db/database.js';
+import accountService from '../services/accounts.js';
+import organizationService from '../services/organizations.js';
+
+// Scopes an API key can carry; routes require one of them (see requireScope)
+export const API_KEY_SCOPES = [
+  'tasks:read',
+  'tasks:write',
+  'tasks:execute',
+  'credentials:read',
+  'credentials:write',
+  'webhooks:read',
+  'webhooks:write',
+  'ai:use',
+  'keys:manage',
+  'admin',
+];
+
+// Scopes each user role allows. A request gets the scopes of its API key that its
+// user's role and organization role allow, so changing a role takes effect on
+// existing keys immediately.
+export const ROLE_SCOPES = {
+  admin: API_KEY_SCOPES,
+  operator: API_KEY_SCOPES.filter(scope => scope !== 'admin'),
+  viewer: ['tasks:read', 'credentials:read', 'webhooks:read'],
+};
+
+export const ROLES = Object.keys(ROLE_SCOPES);
+
+/**
+ * Get the scopes a role allows
+ * @param {string} role - User role
+ * @returns {string[]} - Scopes (none for an unknown role)
+ */
+export const getRoleScopes = (role) => ROLE_SCOPES[role] || [];
+
+// Scopes each organization role allows within its organization. The admin scope
+// is not tied to an organization; managing members is up to the organization service.
+export const ORGANIZATION_ROLE_SCOPES = {
+  owner: ROLE_SCOPES.operator,
+  admin: ROLE_SCOPES.operator,
+  member: ROLE_SCOPES.operator,
+  viewer: ROLE_SCOPES.viewer,
+};
+
+/**
+ * Get the scopes of a request
+ * @param {string} role - User role
+ * @param {string} organizationRole - Role in the request's organization (null without one)
+ * @param {string[]} keyScopes - Scopes of the API key (omit for signed-in users)
+ * @returns {string[]} - Scopes allowed by all of them
+ */
+export const getScopes = (role, organizationRole, keyScopes = null) => getRoleScopes(role).filter(scope =>
+  (scope === 'admin' || (ORGANIZATION_ROLE_SCOPES[organizationRole] || []).includes(scope))
+  && (!keyScopes || keyScopes.includes(scope))
+);
+
+// Keys look like "ak_<43 base64url characters>"; listings show the first characters
+const KEY_PREFIX = 'ak_';
+const VISIBLE_PREFIX_LENGTH = 11;
+
+/**
+ * Error raised for an invalid API key request
+ */
+export class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+/**
+ * Hash an API key for storage and lookup. Keys are random 256-bit values, so a
+ * plain SHA-256 is enough; the key itself is never stored.
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a random API key with a CSPRNG
+ * @returns {string} - API key
+ */
+const createKey = () => `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Remove the key hash from an API key row
+ * @param {Object} apiKey - API key row
+ * @returns {Object} - API key safe to return from the API
+ */
+const sanitizeApiKey = (apiKey) => {
+  const { key_hash, ...rest } = apiKey;
+  return rest;
+};
 
 /**
- * Middleware to authenticate API requests using API key
+ * Validate requested scopes; a key can only grant scopes it has itself
+ * @param {string[]} scopes - Requested scopes
+ * @param {string[]} grantorScopes - Scopes of the key or user making the request
+ */
+const validateScopes = (scopes, grantorScopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError('scopes must be a non-empty array');
+  }
+
+  for (const scope of scopes) {
+    if (!API_KEY_SCOPES.includes(scope)) {
+      throw new ApiKeyError(`Unknown scope "${scope}"; expected one of ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    if (grantorScopes && !grantorScopes.includes(scope)) {
+      throw new ApiKeyError(`Cannot grant the ${scope} scope, which the requester does not have`);
+    }
+  }
+};
+
+/**
+ * Middleware to authenticate API requests using an API key (X-API-Key) or a
+ * bearer access token from POST /api/auth/login. An API key works in the
+ * organization it was issued for; signed-in users select one with the
+ * X-Organization-Id header and otherwise work in the first one they joined.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -14,21 +132,54 @@ export const authenticateApiKey = async (req, res, next) => {
       return next();
     }
     
+    const authorization = req.header('Authorization') || '';
+    
+    if (/^Bearer /i.test(authorization)) {
+      const user = await accountService.authenticateAccessToken(authorization.slice(7).trim());
+      
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid or expired access token' });
+      }
+      
+      const organizationId = req.header('X-Organization-Id');
+      const membership = organizationId
+        ? await organizationService.getMembership(user.id, organizationId)
+        : await organizationService.getDefaultMembership(user.id);
+      
+      if (organizationId && !membership) {
+        return res.status(403).json({ error: 'Not a member of this organization' });
+      }
+      
+      req.user = {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        apiKeyId: null,
+        organizationId: membership ? membership.organization_id : null,
+        organizationRole: membership ? membership.role : null,
+        scopes: getScopes(user.role, membership && membership.role),
+      };
+      
+      return next();
+    }
+    
     // Get API key from header
     const apiKey = req.header('X-API-Key');
     
     if (!apiKey) {
-      return res.status(401).json({ error: 'API key is required' });
+      return res.status(401).json({ error: 'API key or bearer token is required' });
     }
     
-    // Check if API key exists and is active
+    // Check if API key exists and is active, and its user is still a member of its organization
     const result = await query(
-      `SELECT api_keys.*, users.id as user_id, users.email, users.role 
+      `SELECT api_keys.*, users.id as user_id, users.email, users.role, organization_members.role AS organization_role 
        FROM api_keys 
        JOIN users ON api_keys.user_id = users.id 
-       WHERE api_keys.key = $1 AND api_keys.is_active = true 
+       JOIN organization_members ON organization_members.organization_id = api_keys.organization_id 
+         AND organization_members.user_id = api_keys.user_id 
+       WHERE api_keys.key_hash = $1 AND api_keys.is_active = true AND users.is_active = true 
        AND (api_keys.expires_at IS NULL OR api_keys.expires_at > CURRENT_TIMESTAMP)`,
-      [apiKey]
+      [hashApiKey(apiKey)]
     );
     
     if (result.rows.length === 0) {
@@ -48,6 +199,10 @@ export const authenticateApiKey = async (req, res, next) => {
       id: apiKeyData.user_id,
       email: apiKeyData.email,
       role: apiKeyData.role,
+      apiKeyId: apiKeyData.id,
+      organizationId: apiKeyData.organization_id,
+      organizationRole: apiKeyData.organization_role,
+      scopes: getScopes(apiKeyData.role, apiKeyData.organization_role, apiKeyData.scopes || []),
     };
     
     next();
@@ -58,49 +213,140 @@ export const authenticateApiKey = async (req, res, next) => {
 };
 
 /**
- * Generate a new API key
- * @param {string} userId - User ID
- * @param {string} name - API key name
- * @param {Date} expiresAt - Expiration date (optional)
- * @returns {Object} - Generated API key data
+ * Middleware factory requiring a scope of the authenticated key or user
+ * @param {string} scope - Required scope, one of API_KEY_SCOPES
+ * @returns {Function} - Express middleware
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.user || !req.user.scopes.includes(scope)) {
+    let error = `API key does not have the ${scope} scope`;
+
+    // Name what is missing the scope: the user role, the organization role or the key
+    if (req.user && !getRoleScopes(req.user.role).includes(scope)) {
+      error = `The ${req.user.role} role does not allow the ${scope} scope`;
+    } else if (req.user && !req.user.organizationId) {
+      error = 'Not a member of any organization; create or join one first';
+    } else if (req.user && !getScopes(req.user.role, req.user.organizationRole).includes(scope)) {
+      error = `The ${req.user.organizationRole} organization role does not allow the ${scope} scope`;
+    }
+
+    return res.status(403).json({ error });
+  }
+
+  next();
+};
+
+/**
+ * Generate a new API key. The key is returned once and only its hash is stored.
+ * @param {string} userId - User ID of the member the key acts as
+ * @param {string} organizationId - Organization the key is issued for
+ * @param {Object} data - Key settings
+ * @param {string} data.name - API key name
+ * @param {string[]} data.scopes - Scopes of the key
+ * @param {string} data.expiresAt - Expiration date (optional)
+ * @param {string[]} grantorScopes - Scopes of the key or user making the request (omit to allow every scope)
+ * @returns {Object} - Generated API key data, including the key
  */
-export const generateApiKey = async (userId, name, expiresAt = null) => {
+export const generateApiKey = async (userId, organizationId, data, grantorScopes = null) => {
   try {
+    if (!data.name || typeof data.name !== 'string') {
+      throw new ApiKeyError('name is required');
+    }
+    
+    validateScopes(data.scopes, grantorScopes);
+    
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    
+    if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      throw new ApiKeyError('expiresAt must be a date in the future');
+    }
+    
     // Generate a random API key
-    const key = Buffer.from(Math.random().toString(36).substring(2) + Date.now().toString(36))
-      .toString('base64')
-      .replace(/[^a-zA-Z0-9]/g, '')
-      .substring(0, 32);
+    const key = createKey();
     
     // Insert API key into database
     const result = await query(
-      'INSERT INTO api_keys (user_id, key, name, expires_at) VALUES ($1, $2, $3, $4) RETURNING *',
-      [userId, key, name, expiresAt]
+      `INSERT INTO api_keys (user_id, organization_id, key_hash, key_prefix, name, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [userId, organizationId, hashApiKey(key), key.slice(0, VISIBLE_PREFIX_LENGTH), data.name, [...new Set(data.scopes)], expiresAt]
     );
     
-    return result.rows[0];
+    return { ...sanitizeApiKey(result.rows[0]), key };
   } catch (error) {
     console.error('Failed to generate API key:', error);
     throw error;
   }
 };
 
+/**
+ * List the API keys of an organization, including revoked ones
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - Only keys of this member (omit for every key)
+ * @returns {Array} - API keys without their hashes
+ */
+export const listApiKeys = async (organizationId, userId = null) => {
+  try {
+    const result = await query(
+      `SELECT * FROM api_keys
+       WHERE organization_id = $1 AND ($2::uuid IS NULL OR user_id = $2)
+       ORDER BY created_at DESC`,
+      [organizationId, userId]
+    );
+    
+    return result.rows.map(sanitizeApiKey);
+  } catch (error) {
+    console.error('Failed to list API keys:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the secret of an active API key; the previous key stops working immediately
+ * @param {string} keyId - API key ID
+ * @param {string} organizationId - Organization ID (for authorization)
+ * @param {string} userId - Member who must own the key (omit to allow any key of the organization)
+ * @returns {Object} - API key data, including the new key
+ */
+export const rotateApiKey = async (keyId, organizationId, userId = null) => {
+  try {
+    const key = createKey();
+    
+    const result = await query(
+      `UPDATE api_keys SET key_hash = $1, key_prefix = $2, rotated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND organization_id = $4 AND ($5::uuid IS NULL OR user_id = $5) AND is_active = true
+       RETURNING *`,
+      [hashApiKey(key), key.slice(0, VISIBLE_PREFIX_LENGTH), keyId, organizationId, userId]
+    );
+    
+    if (result.rows.length === 0) {
+      throw new Error(`API key with ID ${keyId} not found`);
+    }
+    
+    return { ...sanitizeApiKey(result.rows[0]), key };
+  } catch (error) {
+    console.error('Failed to rotate API key:', error);
+    throw error;
+  }
+};
+
 /**
  * Revoke an API key
  * @param {string} keyId - API key ID
- * @param {string} userId - User ID (for authorization)
+ * @param {string} organizationId - Organization ID (for authorization)
+ * @param {string} userId - Member who must own the key (omit to allow any key of the organization)
  * @returns {boolean} - Success status
  */
-export const revokeApiKey = async (keyId, userId) => {
+export const revokeApiKey = async (keyId, organizationId, userId = null) => {
   try {
-    // Check if the API key belongs to the user
+    // Check if the API key belongs to the organization (and member)
     const checkResult = await query(
-      'SELECT id FROM api_keys WHERE id = $1 AND user_id = $2',
-      [keyId, userId]
+      'SELECT id FROM api_keys WHERE id = $1 AND organization_id = $2 AND ($3::uuid IS NULL OR user_id = $3)',
+      [keyId, organizationId, userId]
     );
     
     if (checkResult.rows.length === 0) {
-      throw new Error('API key not found or unauthorized');
+      throw new Error(`API key with ID ${keyId} not found`);
     }
     
     // Update API key status
@@ -114,4 +360,4 @@ export const revokeApiKey = async (keyId, userId) => {
     console.error('Failed to revoke API key:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,216 @@
+// Structured diffs between the data of two runs
+
+/**
+ * Serialize a value with sorted object keys, so equal data always compares equal
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Read a dot-separated path from a value
+ * @param {*} value - Value to read from
+ * @param {string} path - Path such as "details.sku" (empty for the value itself)
+ * @returns {*} - Value at the path, or undefined
+ */
+const getPath = (value, path) => {
+  if (!path) {
+    return value;
+  }
+
+  return path.split('.').reduce((current, part) => (
+    current === null || current === undefined ? undefined : current[part]
+  ), value);
+};
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Find the record collections of a data set: the array at the configured path,
+ * the data itself when it is an array, or else every top-level array
+ * @param {*} data - Normalized data
+ * @param {string} path - Configured path of the records
+ * @returns {Object} - { collections: { path: records }, values: remaining top-level fields }
+ */
+const getCollections = (data, path) => {
+  if (path) {
+    const records = getPath(data, path);
+    return { collections: { [path]: Array.isArray(records) ? records : [] }, values: {} };
+  }
+
+  if (Array.isArray(data)) {
+    return { collections: { '': data }, values: {} };
+  }
+
+  const collections = {};
+  const values = {};
+
+  if (isRecord(data)) {
+    for (const [field, value] of Object.entries(data)) {
+      // Extraction bookkeeping is not data
+      if (field === '_errors') {
+        continue;
+      }
+
+      if (Array.isArray(value)) {
+        collections[field] = value;
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+
+  return { collections, values };
+};
+
+/**
+ * Compare the fields of two records
+ * @param {Object} before - Previous record
+ * @param {Object} after - Current record
+ * @param {string[]} ignore - Fields that are not compared
+ * @returns {Array} - [{ field, before, after }]
+ */
+const diffFields = (before, after, ignore) => {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (ignore.includes(field)) {
+      continue;
+    }
+
+    if (stableStringify(before[field]) !== stableStringify(after[field])) {
+      changes.push({
+        field,
+        before: before[field] === undefined ? null : before[field],
+        after: after[field] === undefined ? null : after[field],
+      });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Index the records of a collection by identity. Records without the key field
+ * (or without a key configured) are identified by their content, so an edit
+ * shows up as one removal and one addition.
+ * @param {Array} records - Records
+ * @param {string} key - Identity field path
+ * @param {string[]} ignore - Fields left out of content identities
+ * @returns {Map} - Identity to { key, record }; key is null for content identities
+ */
+const indexRecords = (records, key, ignore) => {
+  const index = new Map();
+
+  for (const record of records) {
+    const value = key && isRecord(record) ? getPath(record, key) : undefined;
+    let identity;
+    let recordKey = null;
+
+    if (value === undefined || value === null) {
+      const content = isRecord(record)
+        ? Object.fromEntries(Object.entries(record).filter(([field]) => !ignore.includes(field)))
+        : record;
+      identity = `content:${stableStringify(content)}`;
+    } else {
+      recordKey = typeof value === 'object' ? stableStringify(value) : String(value);
+      identity = `key:${recordKey}`;
+    }
+
+    // Keep duplicates apart instead of silently dropping them
+    let unique = identity;
+    for (let n = 2; index.has(unique); n++) {
+      unique = `${identity}#${n}`;
+    }
+
+    index.set(unique, { key: recordKey, record });
+  }
+
+  return index;
+};
+
+/**
+ * Diff the data of a run against the data of a previous run
+ * @param {*} previous - Normalized data of the previous run
+ * @param {*} current - Normalized data of this run
+ * @param {Object} options - Diff options
+ * @param {string} options.key - Identity field of records (dot path, e.g. "id" or "details.sku")
+ * @param {string} options.path - Path of the record array in the data (default: the data
+ * itself when it is an array, otherwise every top-level array)
+ * @param {string[]} options.ignore - Fields to ignore, such as timestamps that change every run
+ * @returns {Object} - { hasChanges, summary: { added, removed, changed, unchanged }, added, removed, changed }
+ * where added and removed hold { path, key, record } and changed holds { path, key, changes: [{ field, before, after }] }
+ */
+export const diffData = (previous, current, options = {}) => {
+  const ignore = options.ignore || [];
+  const before = getCollections(previous, options.path);
+  const after = getCollections(current, options.path);
+  const diff = {
+    hasChanges: false,
+    summary: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+    added: [],
+    removed: [],
+    changed: [],
+  };
+
+  const paths = new Set([...Object.keys(before.collections), ...Object.keys(after.collections)]);
+
+  for (const path of paths) {
+    const oldRecords = indexRecords(before.collections[path] || [], options.key, ignore);
+    const newRecords = indexRecords(after.collections[path] || [], options.key, ignore);
+
+    for (const [identity, { key, record }] of newRecords) {
+      if (!oldRecords.has(identity)) {
+        diff.added.push({ path, key, record });
+        continue;
+      }
+
+      const oldRecord = oldRecords.get(identity).record;
+      const changes = isRecord(oldRecord) && isRecord(record)
+        ? diffFields(oldRecord, record, ignore)
+        : diffFields({ value: oldRecord }, { value: record }, []);
+
+      if (changes.length > 0) {
+        diff.changed.push({ path, key, changes });
+      } else {
+        diff.summary.unchanged++;
+      }
+    }
+
+    for (const [identity, { key, record }] of oldRecords) {
+      if (!newRecords.has(identity)) {
+        diff.removed.push({ path, key, record });
+      }
+    }
+  }
+
+  // Top-level fields outside of record collections, such as a page title or a total
+  const valueChanges = diffFields(before.values, after.values, ignore);
+
+  if (valueChanges.length > 0) {
+    diff.changed.push({ path: '', key: null, changes: valueChanges });
+  }
+
+  diff.summary.added = diff.added.length;
+  diff.summary.removed = diff.removed.length;
+  diff.summary.changed = diff.changed.length;
+  diff.hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+
+  return diff;
+};
@@ -0,0 +1,93 @@
+// Error classes and classification of task execution failures
+
+/**
+ * Error with a machine-readable class used for retry decisions and reporting
+ */
+export class AutomationError extends Error {
+  /**
+   * @param {string} code - Error class, one of ERROR_CLASSES
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = 'AutomationError';
+    this.code = code;
+    this.cause = options.cause;
+  }
+}
+
+export const ERROR_CLASSES = [
+  'navigation_timeout',
+  'selector_missing',
+  'timeout',
+  'network_error',
+  'browser_crash',
+  'login_failed',
+  'ai_rate_limit',
+  'ai_error',
+  'quota_exceeded',
+  'cancelled',
+  'timed_out',
+  'lease_lost',
+  'worker_lost',
+  'unknown',
+];
+
+/**
+ * Classify an execution error
+ * @param {Error} error - Error thrown while executing a task
+ * @returns {string} - Error class, one of ERROR_CLASSES
+ */
+export const classifyError = (error) => {
+  if (!error) {
+    return 'unknown';
+  }
+
+  if (error instanceof AutomationError) {
+    return error.code;
+  }
+
+  const message = error.message || '';
+
+  // OpenAI API errors carry the HTTP status
+  if (error.status === 429) {
+    return 'ai_rate_limit';
+  }
+
+  if (typeof error.status === 'number' && error.constructor && /^(API|OpenAI)/.test(error.constructor.name)) {
+    return 'ai_error';
+  }
+
+  if (error.constructor && ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor.name)) {
+    return 'ai_error';
+  }
+
+  // Playwright errors are recognized by name and message
+  if (/Target (page, context or browser )?(has been )?closed|Browser has been closed|browser has disconnected|crash/i.test(message)) {
+    return 'browser_crash';
+  }
+
+  if (/net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN/.test(message)) {
+    return 'network_error';
+  }
+
+  if (error.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(message)) {
+    if (/page\.goto|navigat|waitForLoadState|waitForURL/i.test(message)) {
+      return 'navigation_timeout';
+    }
+
+    if (/waitForSelector|locator|selector|click|fill/i.test(message)) {
+      return 'selector_missing';
+    }
+
+    return 'timeout';
+  }
+
+  if (/failed to find element|No node found|waiting for selector/i.test(message)) {
+    return 'selector_missing';
+  }
+
+  return 'unknown';
+};
@@ -0,0 +1,143 @@
+// Rate limiting and quota middleware
+import config from '../config/config.js';
+import usageService from '../services/usage.js';
+import { hashToken } from './tokens.js';
+
+/**
+ * Count a request against the limit of each subject and answer 429 when one is exceeded
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {Array} subjects - { subject, limit, label } per counted subject
+ * @param {string} metric - Counter, e.g. rate:execute
+ * @param {number} window - Window length in milliseconds
+ */
+const enforceLimits = async (req, res, next, subjects, metric, window) => {
+  if (subjects.length === 0) {
+    return next();
+  }
+
+  let counters;
+
+  try {
+    counters = await usageService.hit(subjects.map(entry => entry.subject), metric, window);
+  } catch (error) {
+    // Without the counters, serving the request beats failing every request
+    console.error('Rate limit check failed:', error);
+    return next();
+  }
+
+  const states = subjects.map((entry) => {
+    const counter = counters.find(row => row.subject === entry.subject);
+
+    return {
+      ...entry,
+      remaining: Math.max(entry.limit - counter.count, 0),
+      reset: Math.max(Math.ceil(counter.reset_in), 0),
+      exceeded: counter.count > entry.limit,
+    };
+  });
+
+  const state = states.find(entry => entry.exceeded)
+    || states.reduce((closest, entry) => (entry.remaining < closest.remaining ? entry : closest));
+
+  res.set({
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(state.reset),
+  });
+
+  if (state.exceeded) {
+    res.set('Retry-After', String(state.reset));
+
+    return res.status(429).json({
+      error: `Rate limit of ${state.limit} requests per ${Math.round(window / 1000)}s exceeded for this ${state.label}`,
+      limit: state.limit,
+      remaining: 0,
+      reset: state.reset,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory limiting the requests per window of the authenticated API key
+ * and user. Every response carries RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds) for the limit closest to being reached; requests over
+ * a limit get 429 with Retry-After.
+ * @param {string} group - Group of endpoints, a key of config.rateLimits (api, execute or ai)
+ * @returns {Function} - Express middleware
+ */
+export const rateLimit = (group) => async (req, res, next) => {
+  const limits = config.rateLimits[group];
+  const window = config.rateLimits.window;
+  const subjects = [];
+
+  if (req.user && req.user.apiKeyId && limits.perKey > 0) {
+    subjects.push({ subject: `key:${req.user.apiKeyId}`, limit: limits.perKey, label: 'API key' });
+  }
+
+  if (req.user && limits.perUser > 0) {
+    subjects.push({ subject: `user:${req.user.id}`, limit: limits.perUser, label: 'user' });
+  }
+
+  await enforceLimits(req, res, next, subjects, `rate:${group}`, window);
+};
+
+/**
+ * Middleware factory limiting the sign-in attempts of unauthenticated endpoints per
+ * client IP address and per email address in the request body, so passwords and reset
+ * tokens cannot be guessed and reset emails cannot be flooded. Answers like rateLimit.
+ * @param {string} group - Group of endpoints, a key of config.attemptLimits (login or passwordReset)
+ * @returns {Function} - Express middleware
+ */
+export const attemptLimit = (group) => async (req, res, next) => {
+  const limits = config.attemptLimits[group];
+  const subjects = [];
+
+  if (req.ip && limits.perIp > 0) {
+    subjects.push({ subject: `ip:${req.ip}`, limit: limits.perIp, label: 'IP address' });
+  }
+
+  const email = req.body && req.body.email;
+
+  if (typeof email === 'string' && email.trim() && limits.perEmail > 0) {
+    // Hashed so counters don't store email addresses and fit the subject column
+    subjects.push({ subject: `email:${hashToken(email.trim().toLowerCase())}`, limit: limits.perEmail, label: 'email address' });
+  }
+
+  await enforceLimits(req, res, next, subjects, `attempts:${group}`, config.attemptLimits.window);
+};
+
+/**
+ * Middleware factory rejecting requests while the organization has used up one of
+ * the given quotas (429 with Retry-After until the quota resets)
+ * @param {...string} names - Quotas, keys of QUOTAS in services/usage.js
+ * @returns {Function} - Express middleware
+ */
+export const requireQuota = (...names) => async (req, res, next) => {
+  let exceeded;
+
+  try {
+    exceeded = await usageService.getExceededQuota(req.user && req.user.organizationId, names);
+  } catch (error) {
+    console.error('Quota check failed:', error);
+    return next();
+  }
+
+  if (!exceeded) {
+    return next();
+  }
+
+  res.set('Retry-After', String(Math.max(Math.ceil((exceeded.resetAt - Date.now()) / 1000), 0)));
+
+  res.status(429).json({
+    error: exceeded.message,
+    quota: exceeded.quota,
+    period: exceeded.period,
+    limit: exceeded.limit,
+    used: exceeded.used,
+    resetAt: exceeded.resetAt,
+  });
+};
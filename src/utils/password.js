@@ -0,0 +1,67 @@
+// Password hashing with scrypt
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Cost parameters, stored with every hash so they can be raised later
+const SCRYPT_N = 2 ** 15;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Derive a scrypt key
+ * @param {string} password - Password
+ * @param {Buffer} salt - Salt
+ * @param {Object} params - { N, r, p }
+ * @returns {Buffer} - Derived key
+ */
+const derive = (password, salt, params) => scrypt(password.normalize('NFKC'), salt, KEY_LENGTH, {
+  ...params,
+  maxmem: 256 * params.N * params.r,
+});
+
+/**
+ * Hash a password
+ * @param {string} password - Password
+ * @returns {string} - "scrypt$<N>$<r>$<p>$<salt>$<hash>", base64 salt and hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await derive(password, salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against a hash from hashPassword, in constant time
+ * @param {string} password - Password
+ * @param {string} stored - Stored hash
+ * @returns {boolean} - Whether the password matches
+ */
+export const verifyPassword = async (password, stored) => {
+  const [algorithm, N, r, p, salt, hash] = (stored || '').split('$');
+
+  if (algorithm !== 'scrypt' || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await derive(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Hash compared against when the account does not exist, so both cases take as long
+let dummyHash = null;
+
+/**
+ * Spend the time of a password check without a stored hash
+ * @param {string} password - Password
+ */
+export const verifyDummyPassword = async (password) => {
+  dummyHash = dummyHash || (await hashPassword(crypto.randomBytes(16).toString('hex')));
+  await verifyPassword(password, dummyHash);
+};
@@ -0,0 +1,59 @@
+// Redaction of secrets in logs, errors and API responses
+
+export const REDACTED = '[REDACTED]';
+
+// Keys whose values are secrets: password, totpSecret, accessToken, apiKey, ...
+const SENSITIVE_KEY = /(password|passwd|secret|token|api[-_]?key|authorization|cookie)$/i;
+
+// Shorter secrets would mangle unrelated text
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Replace secret values inside a string
+ * @param {string} text - Text
+ * @param {string[]} secrets - Secret values
+ * @returns {string} - Text with every secret replaced
+ */
+const redactString = (text, secrets) => secrets.reduce(
+  (result, secret) => (secret && secret.length >= MIN_SECRET_LENGTH ? result.split(secret).join(REDACTED) : result),
+  text
+);
+
+/**
+ * Redact a value for logging: values of sensitive keys are masked and known
+ * secret values are replaced wherever they appear
+ * @param {*} value - String, object or array
+ * @param {string[]} secrets - Secret values, such as a password resolved from the vault
+ * @returns {*} - Redacted copy
+ */
+export const redact = (value, secrets = []) => {
+  if (typeof value === 'string') {
+    return redactString(value, secrets);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, secrets),
+    ]));
+  }
+
+  return value;
+};
+
+/**
+ * Mask login secrets stored inline in a task configuration by earlier versions
+ * @param {Object} task - Task row
+ * @returns {Object} - Task safe to return from the API
+ */
+export const redactTask = (task) => {
+  if (!task || !task.config || !task.config.credentials) {
+    return task;
+  }
+
+  return { ...task, config: { ...task.config, credentials: redact(task.config.credentials) } };
+};
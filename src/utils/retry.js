@@ -0,0 +1,39 @@
+// Retry policies for failed task executions
+import config from '../config/config.js';
+
+/**
+ * Resolve the retry policy of a task, falling back to the configured defaults
+ * @param {Object} taskConfig - Task configuration
+ * @param {Object} taskConfig.retry - Task retry policy overrides
+ * @returns {Object} - { maxAttempts, initialDelay, multiplier, maxDelay, jitter, retryOn }
+ */
+export const getRetryPolicy = (taskConfig = {}) => ({
+  ...config.retry,
+  ...(taskConfig.retry || {}),
+});
+
+/**
+ * Decide whether a failed attempt should be retried
+ * @param {Object} policy - Retry policy
+ * @param {string} errorClass - Class of the failure (see utils/errors.js)
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @returns {boolean} - True when another attempt is allowed
+ */
+export const shouldRetry = (policy, errorClass, attempt) => (
+  attempt < policy.maxAttempts && policy.retryOn.includes(errorClass)
+);
+
+/**
+ * Get the delay before the next attempt: exponential backoff with jitter
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (policy, attempt) => {
+  const base = Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempt - 1), policy.maxDelay);
+
+  // Spread retries of many tasks hitting the same site by +/- jitter
+  const spread = base * policy.jitter;
+
+  return Math.min(Math.max(0, Math.round(base - spread + Math.random() * spread * 2)), policy.maxDelay);
+};
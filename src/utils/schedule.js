@@ -0,0 +1,314 @@
+// Recurring schedule utilities: cron expressions and fixed intervals in IANA time zones
+import { getZonedParts, isValidTimeZone, zonedTimeToUtc } from './time.js';
+
+/**
+ * Error raised for an invalid schedule definition
+ */
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(`Invalid schedule: ${message}`);
+    this.name = 'ScheduleError';
+  }
+}
+
+export const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+// Late runs within this window are not treated as missed
+const MISFIRE_GRACE = 60000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. "*\/15", "1-5", "mon,wed,fri"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} - Matching values
+ */
+const parseCronField = (text, field) => {
+  const values = new Set();
+  const offset = field.name === 'month' ? 1 : 0;
+  const toNumber = (token) => {
+    const lower = token.toLowerCase();
+
+    if (field.names && field.names.includes(lower)) {
+      return field.names.indexOf(lower) + offset;
+    }
+
+    if (!/^\d+$/.test(token)) {
+      throw new ScheduleError(`"${token}" is not valid in the ${field.name} field`);
+    }
+
+    return parseInt(token, 10);
+  };
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start;
+    let end;
+
+    if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new ScheduleError(`"${part}" has an invalid step in the ${field.name} field`);
+    }
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = toNumber(to);
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      throw new ScheduleError(`"${part}" is out of range for the ${field.name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression or macro such as "@daily"
+ * @returns {Object} - Parsed expression with a set of values per field
+ */
+export const parseCron = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new ScheduleError('cron expression must be a non-empty string');
+  }
+
+  const source = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new ScheduleError(`cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+
+  // Both 0 and 7 mean Sunday
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron matches either day field when both are restricted
+    anyDay: parts[2] === '*' || parts[4] === '*',
+  };
+};
+
+/**
+ * Get the first cron occurrence strictly after an instant
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Instant to search from
+ * @param {string} timeZone - IANA time zone the expression is evaluated in
+ * @returns {Date|null} - Next occurrence, or null if none within eight years
+ */
+export const getNextCronTime = (expression, after, timeZone = 'UTC') => {
+  const cron = parseCron(expression);
+  let date = new Date(Math.floor(after.getTime() / 60000) * 60000 + 60000);
+  const limit = after.getTime() + 8 * 366 * 24 * 3600000;
+
+  while (date.getTime() <= limit) {
+    const parts = getZonedParts(date, timeZone);
+    let next = null;
+
+    if (!cron.months.has(parts.month)) {
+      // Jump to the first day of the next month
+      next = zonedTimeToUtc({ year: parts.year, month: parts.month + 1, day: 1 }, timeZone);
+    } else if (!dayMatches(cron, parts)) {
+      // Jump to the start of the next day
+      next = zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day + 1 }, timeZone);
+    } else if (!cron.hours.has(parts.hour)) {
+      // Jump to the start of the next hour
+      next = new Date(date.getTime() + (60 - parts.minute) * 60000);
+    } else if (!cron.minutes.has(parts.minute)) {
+      next = new Date(date.getTime() + 60000);
+    } else {
+      return date;
+    }
+
+    // Always move forward, even where a DST change makes a wall-clock time ambiguous
+    date = next.getTime() > date.getTime() ? next : new Date(date.getTime() + 60000);
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the day of a date matches the cron day fields
+ * @param {Object} cron - Parsed cron expression
+ * @param {Object} parts - Wall-clock parts from getZonedParts
+ * @returns {boolean} - True when the day matches
+ */
+const dayMatches = (cron, parts) => {
+  const dayOfMonth = cron.days.has(parts.day);
+  const dayOfWeek = cron.weekdays.has(parts.weekday);
+
+  return cron.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Validate a schedule definition
+ * @param {Object} schedule - Schedule definition
+ * @param {string} schedule.cron - Cron expression (or use interval)
+ * @param {number} schedule.interval - Interval in seconds (or use cron)
+ * @param {string} schedule.timezone - IANA time zone (default UTC)
+ * @param {string} schedule.startAt - No runs before this instant
+ * @param {string} schedule.endAt - No runs after this instant
+ * @param {string} schedule.catchUp - Missed run policy: skip, once (default) or all
+ * @returns {Object} - The schedule
+ * @throws {ScheduleError} - When the definition is invalid
+ */
+export const validateSchedule = (schedule) => {
+  if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+    throw new ScheduleError('schedule must be an object');
+  }
+
+  if (Boolean(schedule.cron) === Boolean(schedule.interval)) {
+    throw new ScheduleError('exactly one of cron or interval is required');
+  }
+
+  if (schedule.cron) {
+    parseCron(schedule.cron);
+  }
+
+  if (schedule.interval !== undefined && schedule.interval !== null
+    && (!Number.isFinite(schedule.interval) || schedule.interval < 60)) {
+    throw new ScheduleError('interval must be a number of seconds, at least 60');
+  }
+
+  if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+    throw new ScheduleError(`unknown time zone "${schedule.timezone}"`);
+  }
+
+  for (const key of ['startAt', 'endAt']) {
+    if (schedule[key] && Number.isNaN(new Date(schedule[key]).getTime())) {
+      throw new ScheduleError(`${key} must be a valid date`);
+    }
+  }
+
+  if (schedule.startAt && schedule.endAt && new Date(schedule.endAt) <= new Date(schedule.startAt)) {
+    throw new ScheduleError('endAt must be after startAt');
+  }
+
+  if (schedule.catchUp && !CATCH_UP_POLICIES.includes(schedule.catchUp)) {
+    throw new ScheduleError(`catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}`);
+  }
+
+  return schedule;
+};
+
+/**
+ * Get the first scheduled slot strictly after an instant, inside the start/end window
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} after - Instant to search from
+ * @returns {Date|null} - Next slot, or null when the schedule has ended
+ */
+export const getNextOccurrence = (schedule, after) => {
+  const startAt = schedule.startAt ? new Date(schedule.startAt) : null;
+  const endAt = schedule.endAt ? new Date(schedule.endAt) : null;
+  let next;
+
+  if (schedule.cron) {
+    // Search from just before startAt so a slot exactly at startAt is included
+    const from = startAt && startAt > after ? new Date(startAt.getTime() - 1) : after;
+    next = getNextCronTime(schedule.cron, from, schedule.timezone || 'UTC');
+  } else {
+    const interval = schedule.interval * 1000;
+
+    if (startAt) {
+      // Interval slots are anchored to startAt
+      const elapsed = after.getTime() - startAt.getTime();
+      const count = elapsed < 0 ? 0 : Math.floor(elapsed / interval) + 1;
+      next = new Date(startAt.getTime() + count * interval);
+    } else {
+      next = new Date(after.getTime() + interval);
+    }
+  }
+
+  if (!next || (endAt && next > endAt)) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Get the first run of a newly created or rescheduled task
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} now - Current time
+ * @returns {Date|null} - First run, or null when the window has already ended
+ */
+export const getFirstRunAt = (schedule, now = new Date()) => {
+  // Interval schedules without a start run right away, then every interval
+  if (schedule.interval && !schedule.startAt) {
+    return schedule.endAt && new Date(schedule.endAt) < now ? null : now;
+  }
+
+  return getNextOccurrence(schedule, new Date(now.getTime() - 1));
+};
+
+/**
+ * Get the run that follows a completed run, applying the catch-up policy to
+ * slots that were missed while the service was down or busy
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} slot - Slot the completed run was serving
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Next run, or null when the schedule has ended
+ */
+export const getNextRunAt = (schedule, slot, now = new Date()) => {
+  const next = getNextOccurrence(schedule, slot);
+
+  if (!next || next > now) {
+    return next;
+  }
+
+  // "all" replays every missed slot in order; "once" and "skip" move on to
+  // the first future slot (the late run that just finished was the catch-up)
+  if (schedule.catchUp === 'all') {
+    return next;
+  }
+
+  return getNextOccurrence(schedule, now);
+};
+
+/**
+ * Check whether a due run should be skipped under the "skip" catch-up policy
+ * @param {Object} schedule - Schedule definition
+ * @param {Date} slot - Slot the run would serve
+ * @param {Date} now - Current time
+ * @returns {boolean} - True when the run is late and missed runs are skipped
+ */
+export const isMissedRun = (schedule, slot, now = new Date()) => (
+  schedule.catchUp === 'skip' && now.getTime() - slot.getTime() > MISFIRE_GRACE
+);
@@ -0,0 +1,104 @@
+// Time zone utilities built on the Intl API
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that reports wall-clock parts in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check whether a time zone name is supported
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} - True when the time zone can be used
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type === 'weekday') {
+      parts.weekday = WEEKDAYS[part.value];
+    } else if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  }
+
+  return parts;
+};
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+  return asUtc - instant;
+};
+
+/**
+ * Convert a wall-clock date and time in a time zone to an instant
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second, millisecond }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - Instant
+ */
+export const zonedTimeToUtc = (parts, timeZone) => {
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour || 0,
+    parts.minute || 0,
+    parts.second || 0,
+    parts.millisecond || 0
+  );
+
+  // Correct the guess once more so instants next to a DST change land on the right offset
+  let offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+  const corrected = getTimeZoneOffset(new Date(asUtc - offset), timeZone);
+
+  if (corrected !== offset) {
+    offset = corrected;
+  }
+
+  return new Date(asUtc - offset);
+};
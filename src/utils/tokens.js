@@ -0,0 +1,82 @@
+// Signed access tokens (JWT, HS256) and random opaque tokens
+import crypto from 'crypto';
+
+/**
+ * Error raised for a malformed, tampered or expired token
+ */
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Create a signed token
+ * @param {Object} claims - Claims, such as { sub, typ }
+ * @param {string} secret - Signing secret
+ * @param {number} ttl - Lifetime in milliseconds
+ * @returns {string} - JWT
+ */
+export const signToken = (claims, secret, ttl) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat: now, exp: now + Math.floor(ttl / 1000) })}`;
+
+  return `${data}.${sign(data, secret)}`;
+};
+
+/**
+ * Verify a token from signToken
+ * @param {string} token - JWT
+ * @param {string} secret - Signing secret
+ * @returns {Object} - Claims
+ */
+export const verifyToken = (token, secret) => {
+  const [header, payload, signature] = (token || '').split('.');
+
+  if (!header || !payload || !signature) {
+    throw new TokenError('Malformed token');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new TokenError('Invalid token signature');
+  }
+
+  let claims;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+      throw new TokenError('Unsupported token algorithm');
+    }
+
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw error instanceof TokenError ? error : new TokenError('Malformed token');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= Date.now() / 1000) {
+    throw new TokenError('Token has expired');
+  }
+
+  return claims;
+};
+
+/**
+ * Create a random opaque token, such as a refresh or password reset token
+ * @returns {string} - Token
+ */
+export const createOpaqueToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Token
+ * @returns {string} - Hex SHA-256 digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
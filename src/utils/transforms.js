@@ -0,0 +1,371 @@
+// Deterministic value transforms applied to extracted fields
+import { getZonedParts, isValidTimeZone, zonedTimeToUtc } from './time.js';
+
+/**
+ * Error raised when a transform rejects a value
+ */
+export class TransformError extends Error {
+  constructor(message, transform) {
+    super(message);
+    this.name = 'TransformError';
+    this.transform = transform;
+  }
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date format tokens and the regular expression each one matches
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MMMM: '([A-Za-z]+)',
+  MMM: '([A-Za-z]{3})\\.?',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  hh: '(\\d{2})',
+  h: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+  A: '([AaPp][Mm])',
+  a: '([AaPp][Mm])',
+  Z: '(Z|[+-]\\d{2}:?\\d{2})',
+};
+
+// Tokens, or literal text in square brackets such as "[at]"
+const DATE_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|ss|A|a|Z/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a value counts as empty for default/required checks
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for null, undefined, empty strings and empty arrays
+ */
+const isEmpty = (value) => (
+  value === null
+  || value === undefined
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Parse a localized number such as "$1,234.50", "1.234,50 €" or "(12.00)"
+ * @param {string} value - Text to parse
+ * @param {Object} options - Parsing options
+ * @param {string} options.decimal - Decimal separator (default ".")
+ * @returns {number} - Parsed number
+ */
+const parseNumber = (value, options = {}) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const decimal = options.decimal || '.';
+  const text = String(value).trim();
+
+  // Accounting style "(1,234.50)" means a negative amount
+  const negative = /^\(.*\)$/.test(text) || /^-|^[^\d]*-|-$/.test(text);
+  const digits = text
+    .split(decimal)
+    .map(part => part.replace(/[^0-9]/g, ''));
+  const normalized = digits.length > 1
+    ? `${digits.slice(0, -1).join('')}.${digits[digits.length - 1]}`
+    : digits[0];
+  const number = parseFloat(normalized);
+
+  if (normalized === '' || Number.isNaN(number)) {
+    throw new TransformError(`"${value}" is not a number`);
+  }
+
+  return negative ? -number : number;
+};
+
+/**
+ * Parse a date, optionally with an explicit format and time zone
+ * @param {string} value - Text to parse
+ * @param {Object} options - Parsing options
+ * @param {string} options.format - Format such as "MMM D, YYYY" or "DD/MM/YYYY HH:mm"
+ * @param {string} options.timezone - IANA time zone of the wall-clock value (default UTC)
+ * @param {string} options.output - "iso" (default) for a UTC timestamp, "date" for YYYY-MM-DD
+ * @returns {string} - ISO 8601 string
+ */
+const parseDate = (value, options = {}) => {
+  const timeZone = options.timezone || 'UTC';
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new TransformError(`Unknown time zone "${timeZone}"`);
+  }
+
+  const text = String(value).trim();
+  let date;
+
+  if (options.format) {
+    const tokens = [];
+    let source = '';
+    let position = 0;
+
+    for (const match of options.format.matchAll(DATE_TOKEN_PATTERN)) {
+      source += escapeRegExp(options.format.slice(position, match.index));
+
+      if (match[1] !== undefined) {
+        source += escapeRegExp(match[1]);
+      } else {
+        tokens.push(match[0]);
+        source += DATE_TOKENS[match[0]];
+      }
+
+      position = match.index + match[0].length;
+    }
+
+    source += escapeRegExp(options.format.slice(position));
+
+    const match = text.match(new RegExp(`^${source}$`));
+
+    if (!match) {
+      throw new TransformError(`"${value}" does not match date format "${options.format}"`);
+    }
+
+    const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    let meridiem = null;
+    let offset = null;
+    let twelveHour = false;
+
+    tokens.forEach((token, index) => {
+      const raw = match[index + 1];
+
+      switch (token) {
+        case 'YYYY': parts.year = parseInt(raw, 10); break;
+        case 'YY': parts.year = 2000 + parseInt(raw, 10); break;
+        case 'MMMM':
+        case 'MMM': {
+          const month = MONTHS.indexOf(raw.slice(0, 3).toLowerCase());
+
+          if (month === -1) {
+            throw new TransformError(`"${raw}" is not a month name`);
+          }
+
+          parts.month = month + 1;
+          break;
+        }
+        case 'MM':
+        case 'M': parts.month = parseInt(raw, 10); break;
+        case 'DD':
+        case 'D': parts.day = parseInt(raw, 10); break;
+        case 'HH':
+        case 'H': parts.hour = parseInt(raw, 10); break;
+        case 'hh':
+        case 'h':
+          parts.hour = parseInt(raw, 10);
+          twelveHour = true;
+          break;
+        case 'mm': parts.minute = parseInt(raw, 10); break;
+        case 'ss': parts.second = parseInt(raw, 10); break;
+        case 'A':
+        case 'a': meridiem = raw.toLowerCase(); break;
+        case 'Z': offset = raw; break;
+        default: break;
+      }
+    });
+
+    // Date.UTC would roll values over, e.g. 31 February into March
+    const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+    const outOfRange = [
+      ['month', parts.month < 1 || parts.month > 12],
+      ['day', parts.day < 1 || parts.day > daysInMonth],
+      ['hour', twelveHour ? parts.hour < 1 || parts.hour > 12 : parts.hour > 23],
+      ['minute', parts.minute > 59],
+      ['second', parts.second > 59],
+    ].find(([, invalid]) => invalid);
+
+    if (outOfRange) {
+      throw new TransformError(`"${value}" has an invalid ${outOfRange[0]} for date format "${options.format}"`);
+    }
+
+    if (meridiem === 'pm' && parts.hour < 12) {
+      parts.hour += 12;
+    } else if (meridiem === 'am' && parts.hour === 12) {
+      parts.hour = 0;
+    }
+
+    if (offset) {
+      const sign = offset === 'Z' ? 0 : (offset[0] === '-' ? -1 : 1);
+      const digits = offset.replace(/[^0-9]/g, '');
+      const minutes = sign * (parseInt(digits.slice(0, 2) || '0', 10) * 60 + parseInt(digits.slice(2) || '0', 10));
+      date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - minutes * 60000);
+    } else {
+      date = zonedTimeToUtc(parts, timeZone);
+    }
+  } else {
+    date = new Date(text);
+
+    // Values without an explicit offset are wall-clock times in the configured zone.
+    // Date-only ISO strings are parsed as UTC by Date, anything else as server-local time.
+    if (!Number.isNaN(date.getTime()) && !/(Z|[+-]\d{2}:?\d{2}|GMT|UTC)$/i.test(text)) {
+      const utc = /^\d{4}-\d{2}-\d{2}$/.test(text);
+
+      date = zonedTimeToUtc({
+        year: utc ? date.getUTCFullYear() : date.getFullYear(),
+        month: (utc ? date.getUTCMonth() : date.getMonth()) + 1,
+        day: utc ? date.getUTCDate() : date.getDate(),
+        hour: utc ? 0 : date.getHours(),
+        minute: utc ? 0 : date.getMinutes(),
+        second: utc ? 0 : date.getSeconds(),
+      }, timeZone);
+    }
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw new TransformError(`"${value}" is not a valid date`);
+  }
+
+  // Calendar dates are reported as the wall-clock day in the configured zone
+  if (options.output === 'date') {
+    const parts = getZonedParts(date, timeZone);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  }
+
+  return date.toISOString();
+};
+
+// Transforms that operate on the whole value instead of each array element
+const WHOLE_VALUE_TRANSFORMS = ['split', 'join', 'default', 'required'];
+
+/**
+ * Apply a single transform to a scalar value
+ * @param {*} value - Value to transform
+ * @param {Object} transform - Normalized transform spec
+ * @returns {*} - Transformed value
+ */
+const applyScalar = (value, transform) => {
+  // Empty values pass through so default/required can handle them
+  if (isEmpty(value)) {
+    return value;
+  }
+
+  const text = String(value);
+
+  switch (transform.type) {
+    case 'trim':
+      return text.replace(/\s+/g, ' ').trim();
+
+    case 'lowercase':
+      return text.toLowerCase();
+
+    case 'uppercase':
+      return text.toUpperCase();
+
+    case 'regex': {
+      const match = text.match(new RegExp(transform.pattern, transform.flags || ''));
+
+      if (!match) {
+        return null;
+      }
+
+      const group = transform.group !== undefined ? transform.group : (match.length > 1 ? 1 : 0);
+      return match[group] === undefined ? null : match[group];
+    }
+
+    case 'replace':
+      return text.replace(
+        new RegExp(transform.pattern, transform.flags === undefined ? 'g' : transform.flags),
+        transform.replacement || ''
+      );
+
+    case 'number':
+    case 'currency':
+      return parseNumber(text, transform);
+
+    case 'integer':
+      return Math.trunc(parseNumber(text, transform));
+
+    case 'percent': {
+      const number = parseNumber(text, transform);
+      return transform.ratio === false ? number : number / 100;
+    }
+
+    case 'boolean': {
+      const trueValues = transform.trueValues || ['true', 'yes', 'y', '1', 'on', '✓'];
+      return trueValues.includes(text.trim().toLowerCase());
+    }
+
+    case 'date':
+      return parseDate(text, transform);
+
+    default:
+      throw new TransformError(`Unknown transform "${transform.type}"`, transform.type);
+  }
+};
+
+/**
+ * Apply an ordered list of transforms to an extracted value. Array values are
+ * transformed element by element, except for split, join, default and required.
+ * @param {*} value - Extracted value
+ * @param {Array<string|Object>} transforms - Transform names or specs such as { type: 'regex', pattern: '...' }
+ * @returns {*} - Transformed value
+ * @throws {TransformError} - When a value cannot be transformed or fails a required check
+ */
+export const applyTransforms = (value, transforms = []) => {
+  let current = value;
+
+  for (const spec of transforms) {
+    const transform = typeof spec === 'string' ? { type: spec } : spec;
+
+    try {
+      if (WHOLE_VALUE_TRANSFORMS.includes(transform.type)) {
+        switch (transform.type) {
+          case 'split': {
+            const separator = transform.separator === undefined ? ',' : transform.separator;
+            const split = (item) => String(item).split(separator).map(part => part.trim()).filter(part => part !== '');
+
+            if (Array.isArray(current)) {
+              current = current.flatMap(item => (item === null || item === undefined ? [] : split(item)));
+            } else if (current !== null && current !== undefined) {
+              current = split(current);
+            }
+            break;
+          }
+
+          case 'join':
+            if (Array.isArray(current)) {
+              current = current.filter(item => item !== null && item !== undefined)
+                .join(transform.separator === undefined ? ', ' : transform.separator);
+            }
+            break;
+
+          case 'default':
+            if (isEmpty(current)) {
+              current = transform.value;
+            }
+            break;
+
+          case 'required':
+            if (isEmpty(current)) {
+              throw new TransformError(transform.message || 'Value is required');
+            }
+            break;
+
+          default:
+            break;
+        }
+      } else if (Array.isArray(current)) {
+        current = current.map(item => applyScalar(item, transform));
+      } else {
+        current = applyScalar(current, transform);
+      }
+    } catch (error) {
+      if (error instanceof TransformError) {
+        error.transform = transform.type;
+        throw error;
+      }
+
+      throw new TransformError(error.message, transform.type);
+    }
+  }
+
+  return current;
+};
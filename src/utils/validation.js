@@ -0,0 +1,547 @@
+// Schema of task definitions and their configuration, checked before a task is stored
+import { ScheduleError, validateSchedule } from './schedule.js';
+import { ERROR_CLASSES } from './errors.js';
+import { isValidTimeZone } from './time.js';
+
+/**
+ * Error raised for an invalid task definition, with every invalid field
+ */
+export class TaskValidationError extends Error {
+  /**
+   * @param {Object[]} errors - Field errors as { path, message }, e.g. { path: 'config.selectors[0].name', message: 'is required' }
+   */
+  constructor(errors) {
+    super(`Invalid task: ${errors.map(formatError).join('; ')}`);
+    this.name = 'TaskValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Format a field error as one sentence
+ * @param {Object} error - Field error
+ * @returns {string} - e.g. "config.selectors[0].name is required"
+ */
+export const formatError = (error) => (error.path ? `${error.path} ${error.message}` : error.message);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const EXTRACT_TYPES = ['text', 'html', 'attribute'];
+const SELECTOR_TYPES = [...EXTRACT_TYPES, 'table'];
+const STEP_TYPES = ['navigate', 'click', 'input', 'extract', 'wait', 'condition'];
+const RECORDING_MODES = ['off', 'on-failure', 'always'];
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+
+/*
+ * Rules. A rule describes one value: its type and constraints, the fields of an object
+ * (unknown fields are rejected), the items of an array, and an optional check(value,
+ * path, errors) for constraints that span several fields. Rules given as functions are
+ * resolved lazily, so selectors and steps can nest.
+ */
+
+const string = (rule = {}) => ({ minLength: 1, ...rule, type: 'string' });
+const number = (rule = {}) => ({ ...rule, type: 'number' });
+const integer = (rule = {}) => ({ ...rule, type: 'number', integer: true });
+const boolean = (rule = {}) => ({ ...rule, type: 'boolean' });
+const array = (items, rule = {}) => ({ ...rule, type: 'array', items });
+const object = (fields, rule = {}) => ({ ...rule, type: 'object', fields });
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const url = (rule = {}) => string({
+  ...rule,
+  check: (value, path, errors) => {
+    let parsed;
+
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push({ path, message: 'must be an absolute http(s) URL' });
+    }
+  },
+});
+
+const pattern = (rule = {}) => string({
+  ...rule,
+  check: (value, path, errors) => {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push({ path, message: `is not a valid regular expression (${error.message})` });
+    }
+  },
+});
+
+const date = (rule = {}) => string({
+  ...rule,
+  check: (value, path, errors) => {
+    if (Number.isNaN(new Date(value).getTime())) {
+      errors.push({ path, message: 'must be a valid date' });
+    }
+  },
+});
+
+// Selector, load state or delay in milliseconds (see BrowserSession.waitFor)
+const waitFor = () => ({
+  check: (value, path, errors) => {
+    const valid = typeof value === 'number'
+      ? Number.isInteger(value) && value >= 0
+      : typeof value === 'string' && value !== '';
+
+    if (!valid) {
+      errors.push({ path, message: 'must be a selector, a load state or a delay in milliseconds' });
+    }
+  },
+});
+
+// Options of each field transform (see utils/transforms.js)
+const TRANSFORM_FIELDS = {
+  trim: {},
+  lowercase: {},
+  uppercase: {},
+  regex: { pattern: pattern({ required: true }), flags: string({ minLength: 0 }), group: integer({ min: 0 }) },
+  replace: { pattern: pattern({ required: true }), replacement: string({ minLength: 0 }), flags: string({ minLength: 0 }) },
+  number: { decimal: string() },
+  currency: { decimal: string() },
+  integer: { decimal: string() },
+  percent: { decimal: string(), ratio: boolean() },
+  boolean: { trueValues: array(string()) },
+  date: {
+    format: string(),
+    timezone: string({
+      check: (value, path, errors) => {
+        if (!isValidTimeZone(value)) {
+          errors.push({ path, message: 'is not a known time zone' });
+        }
+      },
+    }),
+    output: string({ enum: ['iso', 'date'] }),
+  },
+  split: { separator: string({ minLength: 0 }) },
+  join: { separator: string({ minLength: 0 }) },
+  default: { value: {} },
+  required: { message: string() },
+};
+
+const transform = () => ({
+  check: (value, path, errors) => {
+    const types = Object.keys(TRANSFORM_FIELDS);
+
+    if (typeof value === 'string') {
+      if (!types.includes(value)) {
+        errors.push({ path, message: `must be one of ${types.join(', ')}` });
+      }
+      return;
+    }
+
+    if (!isPlainObject(value)) {
+      errors.push({ path, message: 'must be a transform name or an object with a type' });
+      return;
+    }
+
+    if (!types.includes(value.type)) {
+      errors.push({ path: joinPath(path, 'type'), message: `must be one of ${types.join(', ')}` });
+      return;
+    }
+
+    const { type, ...options } = value;
+    checkValue(options, object(TRANSFORM_FIELDS[type]), path, errors);
+
+    if (typeof value.flags === 'string') {
+      try {
+        new RegExp('', value.flags);
+      } catch (error) {
+        errors.push({ path: joinPath(path, 'flags'), message: 'are not valid regular expression flags' });
+      }
+    }
+  },
+});
+
+const transforms = () => array(transform);
+
+// Table columns map to a type name or a list of transforms
+const columns = () => ({
+  type: 'object',
+  check: (value, path, errors) => {
+    for (const [column, type] of Object.entries(value)) {
+      if (Array.isArray(type)) {
+        checkValue(type, transforms(), joinPath(path, column), errors);
+      } else if (!COLUMN_TYPES.includes(type)) {
+        errors.push({ path: joinPath(path, column), message: `must be one of ${COLUMN_TYPES.join(', ')} or a list of transforms` });
+      }
+    }
+  },
+});
+
+/**
+ * Rule for a list of extraction selectors
+ * @param {boolean} nested - Whether the entries are fields of a container, where the selector may be omitted
+ * @returns {Object} - Rule
+ */
+const selectorList = (nested = false) => array(() => selectorEntry(nested), { unique: 'name' });
+
+const selectorEntry = (nested) => object({
+  name: string({ required: true }),
+  selector: string(),
+  type: string({ enum: SELECTOR_TYPES }),
+  attribute: string(),
+  multiple: boolean(),
+  fields: () => selectorList(true),
+  transforms,
+  headers: array(string()),
+  headerRows: integer({ min: 0 }),
+  headerSeparator: string({ minLength: 0 }),
+  columns,
+}, {
+  check: (entry, path, errors) => {
+    // Only a plain field of a container may read the container element itself
+    const needsSelector = !nested || Array.isArray(entry.fields) || entry.type === 'table';
+
+    if (needsSelector && (entry.selector === undefined || entry.selector === null)) {
+      errors.push({ path: joinPath(path, 'selector'), message: 'is required' });
+    }
+
+    if (entry.type === 'attribute' && (entry.attribute === undefined || entry.attribute === null)) {
+      errors.push({ path: joinPath(path, 'attribute'), message: 'is required for attribute selectors' });
+    }
+
+    if (Array.isArray(entry.fields) && entry.fields.length === 0) {
+      errors.push({ path: joinPath(path, 'fields'), message: 'must not be empty' });
+    }
+  },
+});
+
+const pagination = () => object({
+  nextSelector: string(),
+  urlTemplate: string(),
+  startPage: integer({ min: 0 }),
+  maxPages: integer({ min: 1 }),
+  waitFor,
+  followLinks: object({
+    selector: string({ required: true }),
+    selectors: () => selectorList(),
+    maxDepth: integer({ min: 1 }),
+    maxPages: integer({ min: 1 }),
+    sameOrigin: boolean(),
+    as: string(),
+  }),
+}, {
+  check: (value, path, errors) => {
+    if (typeof value.urlTemplate !== 'string') {
+      return;
+    }
+
+    if (!value.urlTemplate.includes('{page}')) {
+      errors.push({ path: joinPath(path, 'urlTemplate'), message: 'must contain a {page} placeholder' });
+    } else {
+      checkValue(value.urlTemplate.replaceAll('{page}', '1'), url(), joinPath(path, 'urlTemplate'), errors);
+    }
+  },
+});
+
+const stepList = () => array(step);
+
+const step = () => object({
+  type: string({ required: true, enum: STEP_TYPES }),
+  description: string({ minLength: 0 }),
+  optional: boolean(),
+  url: url(),
+  selector: string(),
+  value: {
+    check: (value, path, errors) => {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        errors.push({ path, message: 'must be a string, number or boolean' });
+      }
+    },
+  },
+  waitFor,
+  name: string(),
+  extractAs: string(),
+  extractType: string({ enum: EXTRACT_TYPES }),
+  attribute: string(),
+  multiple: boolean(),
+  selectors: () => selectorList(),
+  pagination,
+  state: string({ enum: ['visible', 'hidden'] }),
+  urlIncludes: string(),
+  textIncludes: string(),
+  then: stepList,
+  else: stepList,
+}, {
+  check: (value, path, errors) => {
+    const requireField = (field) => {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push({ path: joinPath(path, field), message: `is required for ${value.type} steps` });
+      }
+    };
+
+    switch (value.type) {
+      case 'navigate':
+        if (value.value === undefined || value.value === null) {
+          requireField('url');
+        }
+        break;
+
+      case 'click':
+      case 'input':
+        requireField('selector');
+        break;
+
+      case 'extract':
+        if (value.selectors === undefined || value.selectors === null) {
+          requireField('selector');
+        }
+
+        if (value.extractType === 'attribute') {
+          requireField('attribute');
+        }
+        break;
+
+      default:
+        break;
+    }
+  },
+});
+
+// Secrets live in the credential vault, never in a task
+const vaultOnly = (field) => ({
+  check: (value, path, errors) => {
+    errors.push({ path, message: `must not be set; store the ${field} with POST /api/credentials and set credentialId` });
+  },
+});
+
+const credentials = () => object({
+  credentialId: string({
+    check: (value, path, errors) => {
+      if (!UUID_PATTERN.test(value)) {
+        errors.push({ path, message: 'must be a credential ID (UUID)' });
+      }
+    },
+  }),
+  url: url({ required: true }),
+  domain: string(),
+  username: string({ minLength: 0 }),
+  password: vaultOnly('password'),
+  totpSecret: vaultOnly('TOTP secret'),
+  ssoSelector: string(),
+  usernameSelector: string(),
+  nextSelector: string(),
+  passwordSelector: string(),
+  submitSelector: string(),
+  totpSelector: string(),
+  totpSubmitSelector: string(),
+  steps: stepList,
+  successSelector: string(),
+  successUrlPattern: pattern(),
+  errorSelector: string(),
+  failureUrlPattern: pattern(),
+  saveSession: boolean(),
+  sessionKey: string({ maxLength: 255 }),
+  sessionTtl: integer({ min: 1 }),
+  sessionCheckUrl: url(),
+});
+
+const retry = () => object({
+  maxAttempts: integer({ min: 1 }),
+  initialDelay: integer({ min: 0 }),
+  multiplier: number({ min: 1 }),
+  maxDelay: integer({ min: 0 }),
+  jitter: number({ min: 0, max: 1 }),
+  retryOn: array(string({ enum: ERROR_CLASSES })),
+});
+
+const changeDetection = () => object({
+  key: string(),
+  path: string(),
+  ignore: array(string()),
+  suppressUnchanged: boolean(),
+});
+
+/**
+ * Schema of task configuration (the task's config field)
+ */
+export const TASK_CONFIG_SCHEMA = object({
+  selectors: selectorList,
+  pagination,
+  steps: stepList,
+  credentials,
+  processWithAI: boolean(),
+  aiTask: string(),
+  outputFormat: string(),
+  outputSchema: { type: 'object' },
+  takeScreenshot: boolean(),
+  fullPageScreenshot: boolean(),
+  saveHtml: boolean(),
+  recordTrace: string({ enum: RECORDING_MODES }),
+  recordHar: string({ enum: RECORDING_MODES }),
+  maxRuntime: integer({ min: 0 }),
+  retry,
+  changeDetection,
+});
+
+/**
+ * Schema of a task as sent to POST /api/tasks and PUT /api/tasks/:id
+ */
+export const TASK_SCHEMA = object({
+  name: string({ required: true, maxLength: 255 }),
+  description: string({ minLength: 0 }),
+  url: url({ required: true }),
+  config: TASK_CONFIG_SCHEMA,
+  scheduled_for: date(),
+  priority: integer(),
+  schedule: {
+    type: 'object',
+    check: (value, path, errors) => {
+      try {
+        validateSchedule(value);
+      } catch (error) {
+        if (!(error instanceof ScheduleError)) {
+          throw error;
+        }
+
+        errors.push({ path, message: error.message.replace(/^Invalid schedule: /, '') });
+      }
+    },
+  },
+});
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+};
+
+/**
+ * Check a value against a rule and collect its field errors
+ * @param {*} value - Value to check
+ * @param {Object|Function} rule - Rule, or a function returning it
+ * @param {string} path - Path of the value, e.g. "config.selectors[0]"
+ * @param {Object[]} errors - Collected field errors
+ */
+const checkValue = (value, rule, path, errors) => {
+  const resolved = typeof rule === 'function' ? rule() : rule;
+
+  // Missing and null values are the same: optional fields may be cleared with null
+  if (value === undefined || value === null) {
+    if (resolved.required) {
+      errors.push({ path, message: 'is required' });
+    }
+    return;
+  }
+
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+
+  if (resolved.type && actualType !== resolved.type) {
+    errors.push({ path, message: `must be ${TYPE_NAMES[resolved.type]}` });
+    return;
+  }
+
+  if (resolved.type === 'string') {
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${resolved.enum.join(', ')}` });
+      return;
+    }
+
+    if (value.trim().length < resolved.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+      return;
+    }
+
+    if (resolved.maxLength && value.length > resolved.maxLength) {
+      errors.push({ path, message: `must be at most ${resolved.maxLength} characters` });
+      return;
+    }
+  }
+
+  if (resolved.type === 'number') {
+    if (!Number.isFinite(value) || (resolved.integer && !Number.isInteger(value))) {
+      errors.push({ path, message: resolved.integer ? 'must be an integer' : 'must be a finite number' });
+      return;
+    }
+
+    if (resolved.min !== undefined && value < resolved.min) {
+      errors.push({ path, message: `must be at least ${resolved.min}` });
+      return;
+    }
+
+    if (resolved.max !== undefined && value > resolved.max) {
+      errors.push({ path, message: `must be at most ${resolved.max}` });
+      return;
+    }
+  }
+
+  if (resolved.type === 'array' && resolved.items) {
+    const seen = new Set();
+
+    value.forEach((item, index) => {
+      checkValue(item, resolved.items, joinPath(path, index), errors);
+
+      if (resolved.unique && isPlainObject(item) && typeof item[resolved.unique] === 'string') {
+        if (seen.has(item[resolved.unique])) {
+          errors.push({ path: joinPath(joinPath(path, index), resolved.unique), message: `duplicates "${item[resolved.unique]}"` });
+        }
+
+        seen.add(item[resolved.unique]);
+      }
+    });
+  }
+
+  if (resolved.type === 'object' && resolved.fields) {
+    for (const key of Object.keys(value)) {
+      if (!(key in resolved.fields)) {
+        errors.push({ path: joinPath(path, key), message: 'is not a known field' });
+      }
+    }
+
+    for (const [key, fieldRule] of Object.entries(resolved.fields)) {
+      checkValue(value[key], fieldRule, joinPath(path, key), errors);
+    }
+  }
+
+  if (resolved.check) {
+    resolved.check(value, path, errors);
+  }
+};
+
+/**
+ * Check a task definition against TASK_SCHEMA
+ * @param {Object} task - Task definition (name, description, url, config, scheduled_for, priority, schedule)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only check the fields present, as for updates
+ * @returns {Object[]} - Field errors as { path, message }; empty when the task is valid
+ */
+export const getTaskErrors = (task, options = {}) => {
+  if (!isPlainObject(task)) {
+    return [{ path: '', message: 'The task must be a JSON object' }];
+  }
+
+  const errors = [];
+  const { status, ...fields } = task;
+
+  if (options.partial) {
+    // Updates only check the fields they change (fields sent as null are still checked)
+    // and ignore the ones they cannot change
+    const present = Object.fromEntries(Object.entries(TASK_SCHEMA.fields).filter(([key]) => key in fields));
+    const changes = Object.fromEntries(Object.keys(present).map(key => [key, fields[key]]));
+
+    checkValue(changes, { ...TASK_SCHEMA, fields: present }, '', errors);
+  } else {
+    checkValue(fields, TASK_SCHEMA, '', errors);
+  }
+
+  // The status belongs to the queue: a task set to running would never be claimed or
+  // recovered, and a running task set to pending would run twice
+  if (status !== undefined) {
+    errors.push({ path: 'status', message: 'cannot be set; use the execute and cancel endpoints' });
+  }
+
+  return errors;
+};
@@ -0,0 +1,39 @@
+// Standalone worker entry point: executes queued tasks without the HTTP API
+import { query, pool } from './db/database.js';
+import browserService from './services/browser.js';
+import worker from './services/worker.js';
+
+// Test database connection
+query('SELECT NOW()')
+  .then(result => {
+    console.log('Database connection successful:', result.rows[0]);
+  })
+  .catch(error => {
+    console.error('Database connection failed:', error);
+  });
+
+worker.start();
+
+// Graceful shutdown
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+async function shutdown() {
+  console.log('Shutting down worker...');
+
+  // Stop claiming tasks and let running ones finish
+  await worker.stop();
+
+  // Close browser instances
+  await browserService.close();
+
+  // Close database pool
+  try {
+    await pool.end();
+    console.log('Database connections closed');
+  } catch (error) {
+    console.error('Error closing database connections:', error);
+  }
+
+  process.exit(0);
+}
@@ -0,0 +1,92 @@
+import { diffData, stableStringify } from '../../src/utils/diff.js';
+
+describe('stableStringify', () => {
+  test('sorts object keys at every level', () => {
+    expect(stableStringify({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: null } }))
+      .toBe('{"a":{"c":null,"d":[1,{"e":3,"f":2}]},"b":1}');
+  });
+
+  test('drops undefined fields and turns undefined items into null', () => {
+    expect(stableStringify({ a: undefined, b: [undefined, 1] })).toBe('{"b":[null,1]}');
+  });
+});
+
+describe('diffData', () => {
+  const previous = {
+    title: 'Products',
+    products: [
+      { id: 1, name: 'Shoe', price: 50, scrapedAt: '2026-01-01' },
+      { id: 2, name: 'Hat', price: 20, scrapedAt: '2026-01-01' },
+      { id: 3, name: 'Sock', price: 5, scrapedAt: '2026-01-01' },
+    ],
+  };
+  const current = {
+    title: 'All products',
+    products: [
+      { id: 1, name: 'Shoe', price: 45, scrapedAt: '2026-01-02' },
+      { id: 3, name: 'Sock', price: 5, scrapedAt: '2026-01-02' },
+      { id: 4, name: 'Scarf', price: 30, scrapedAt: '2026-01-02' },
+    ],
+  };
+
+  test('matches records by key and reports added, removed and changed records', () => {
+    const diff = diffData(previous, current, { key: 'id', ignore: ['scrapedAt'] });
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 1 });
+    expect(diff.added).toEqual([{ path: 'products', key: '4', record: current.products[2] }]);
+    expect(diff.removed).toEqual([{ path: 'products', key: '2', record: previous.products[1] }]);
+    expect(diff.changed).toEqual([
+      { path: 'products', key: '1', changes: [{ field: 'price', before: 50, after: 45 }] },
+      { path: '', key: null, changes: [{ field: 'title', before: 'Products', after: 'All products' }] },
+    ]);
+  });
+
+  test('reports changes of fields that are not ignored', () => {
+    const diff = diffData(previous, current, { key: 'id', path: 'products' });
+
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 0 });
+    expect(diff.changed[1].changes).toEqual([{ field: 'scrapedAt', before: '2026-01-01', after: '2026-01-02' }]);
+  });
+
+  test('identifies records without a key by their content', () => {
+    const diff = diffData(
+      [{ name: 'Shoe', price: 50 }, { name: 'Hat', price: 20 }],
+      [{ price: 20, name: 'Hat' }, { name: 'Shoe', price: 45 }]
+    );
+
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 0, unchanged: 1 });
+    expect(diff.added).toEqual([{ path: '', key: null, record: { name: 'Shoe', price: 45 } }]);
+    expect(diff.removed).toEqual([{ path: '', key: null, record: { name: 'Shoe', price: 50 } }]);
+  });
+
+  test('reads keys and records from nested paths', () => {
+    const diff = diffData(
+      { page: { items: [{ details: { sku: 'A' }, stock: 1 }] } },
+      { page: { items: [{ details: { sku: 'A' }, stock: 0 }] } },
+      { key: 'details.sku', path: 'page.items' }
+    );
+
+    expect(diff.changed).toEqual([{ path: 'page.items', key: 'A', changes: [{ field: 'stock', before: 1, after: 0 }] }]);
+  });
+
+  test('keeps records with duplicate keys apart', () => {
+    const diff = diffData([{ id: 1, v: 'a' }], [{ id: 1, v: 'a' }, { id: 1, v: 'b' }], { key: 'id' });
+
+    expect(diff.summary).toEqual({ added: 1, removed: 0, changed: 0, unchanged: 1 });
+  });
+
+  test('ignores extraction errors and reports no changes for equal data', () => {
+    const diff = diffData({ ...previous, _errors: ['timeout'] }, { ...previous, _errors: [] }, { key: 'id' });
+
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 3 });
+  });
+
+  test('treats every record as added when there was no previous data', () => {
+    const diff = diffData(null, current, { key: 'id' });
+
+    expect(diff.summary).toEqual({ added: 3, removed: 0, changed: 1, unchanged: 0 });
+    expect(diff.changed).toEqual([{ path: '', key: null, changes: [{ field: 'title', before: null, after: 'All products' }] }]);
+  });
+});
@@ -0,0 +1,63 @@
+import { AutomationError, ERROR_CLASSES, classifyError } from '../../src/utils/errors.js';
+
+const errorNamed = (name, message, fields = {}) => {
+  const error = new Error(message);
+  error.name = name;
+  return Object.assign(error, fields);
+};
+
+// Stand-ins for the OpenAI SDK error classes, which are recognized by constructor name
+class APIError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class APIConnectionError extends Error {}
+
+describe('classifyError', () => {
+  test('keeps the class of an AutomationError', () => {
+    const error = new AutomationError('login_failed', 'Login failed: wrong password');
+
+    expect(classifyError(error)).toBe('login_failed');
+  });
+
+  test('classifies a missing error as unknown', () => {
+    expect(classifyError(undefined)).toBe('unknown');
+  });
+
+  test.each([
+    ['page.goto: Timeout 30000ms exceeded.', 'navigation_timeout'],
+    ['page.waitForURL: Timeout 30000ms exceeded.', 'navigation_timeout'],
+    ['page.waitForSelector: Timeout 30000ms exceeded waiting for locator(\'.price\')', 'selector_missing'],
+    ['page.evaluate: Timeout 30000ms exceeded.', 'timeout'],
+  ])('classifies the Playwright timeout "%s"', (message, errorClass) => {
+    expect(classifyError(errorNamed('TimeoutError', message))).toBe(errorClass);
+  });
+
+  test.each([
+    ['page.goto: net::ERR_NAME_NOT_RESOLVED at https://shop.example.com', 'network_error'],
+    ['connect ECONNREFUSED 127.0.0.1:443', 'network_error'],
+    ['page.click: Target page, context or browser has been closed', 'browser_crash'],
+    ['Browser has been closed', 'browser_crash'],
+    ['Error: failed to find element matching selector ".price"', 'selector_missing'],
+    ['Cannot read properties of undefined', 'unknown'],
+  ])('classifies "%s"', (message, errorClass) => {
+    expect(classifyError(new Error(message))).toBe(errorClass);
+  });
+
+  test('classifies OpenAI API errors', () => {
+    expect(classifyError(new APIError(429, 'Rate limit reached'))).toBe('ai_rate_limit');
+    expect(classifyError(new APIError(500, 'Internal server error'))).toBe('ai_error');
+    expect(classifyError(new APIConnectionError('Connection error.'))).toBe('ai_error');
+  });
+
+  test('only returns known error classes', () => {
+    const errors = [new Error('x'), new APIError(503, 'x'), errorNamed('TimeoutError', 'Timeout 1ms exceeded')];
+
+    for (const error of errors) {
+      expect(ERROR_CLASSES).toContain(classifyError(error));
+    }
+  });
+});
@@ -0,0 +1,214 @@
+import config from '../../src/config/config.js';
+import usageService from '../../src/services/usage.js';
+import { attemptLimit, rateLimit, requireQuota } from '../../src/utils/limits.js';
+
+// The usage service is replaced per test, so no database is needed
+const originals = {
+  hit: usageService.hit,
+  getUsage: usageService.getUsage,
+  quotas: usageService.quotas,
+};
+
+const configured = {
+  rateLimits: { ...config.rateLimits },
+  attemptLimits: { ...config.attemptLimits },
+};
+
+const counts = new Map();
+
+const countHits = () => {
+  usageService.hit = async (subjects, metric) => subjects.map((subject) => {
+    const key = `${metric}|${subject}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    return { subject, count: counts.get(key), reset_in: 41.2 };
+  });
+};
+
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  set(name, value) {
+    Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const run = async (middleware, req) => {
+  const res = createResponse();
+  let nextCalled = false;
+
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+
+  return { res, nextCalled };
+};
+
+beforeEach(() => {
+  counts.clear();
+  countHits();
+
+  Object.assign(config.rateLimits, {
+    window: 60000,
+    api: { perKey: 0, perUser: 0 },
+    execute: { perKey: 3, perUser: 5 },
+  });
+  Object.assign(config.attemptLimits, {
+    window: 900000,
+    login: { perIp: 50, perEmail: 3 },
+    passwordReset: { perIp: 20, perEmail: 5 },
+  });
+});
+
+afterEach(() => {
+  Object.assign(usageService, originals);
+  Object.assign(config.rateLimits, configured.rateLimits);
+  Object.assign(config.attemptLimits, configured.attemptLimits);
+});
+
+describe('rateLimit', () => {
+  const user = { id: 'user-1', apiKeyId: 'key-1', organizationId: 'org-1' };
+
+  test('counts requests per API key and user and reports the closest limit', async () => {
+    const { res, nextCalled } = await run(rateLimit('execute'), { user });
+
+    expect(nextCalled).toBe(true);
+    expect(counts.get('rate:execute|key:key-1')).toBe(1);
+    expect(counts.get('rate:execute|user:user-1')).toBe(1);
+    expect(res.headers).toEqual({ 'RateLimit-Limit': '3', 'RateLimit-Remaining': '2', 'RateLimit-Reset': '42' });
+  });
+
+  test('rejects requests over the limit with 429 and Retry-After', async () => {
+    for (let i = 0; i < 3; i++) {
+      await run(rateLimit('execute'), { user });
+    }
+
+    const { res, nextCalled } = await run(rateLimit('execute'), { user });
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('42');
+    expect(res.body).toEqual({
+      error: 'Rate limit of 3 requests per 60s exceeded for this API key',
+      limit: 3,
+      remaining: 0,
+      reset: 42,
+    });
+  });
+
+  test('skips groups without limits', async () => {
+    const { res, nextCalled } = await run(rateLimit('api'), { user });
+
+    expect(nextCalled).toBe(true);
+    expect(counts.size).toBe(0);
+    expect(res.headers).toEqual({});
+  });
+
+  test('serves the request when the counters cannot be read', async () => {
+    usageService.hit = async () => {
+      throw new Error('connection refused');
+    };
+    const consoleError = console.error;
+    console.error = () => {};
+
+    try {
+      const { nextCalled } = await run(rateLimit('execute'), { user });
+      expect(nextCalled).toBe(true);
+    } finally {
+      console.error = consoleError;
+    }
+  });
+});
+
+describe('attemptLimit', () => {
+  test('counts attempts per IP address and hashed email address', async () => {
+    await run(attemptLimit('login'), { ip: '203.0.113.7', body: { email: ' A@Example.com' } });
+    await run(attemptLimit('login'), { ip: '203.0.113.7', body: { email: 'a@example.com' } });
+
+    const subjects = [...counts.keys()];
+
+    expect(counts.get('attempts:login|ip:203.0.113.7')).toBe(2);
+    expect(subjects).toHaveLength(2);
+    expect(subjects[1]).toMatch(/^attempts:login\|email:[0-9a-f]{64}$/);
+  });
+
+  test('rejects attempts over the email limit from any IP address', async () => {
+    for (let i = 0; i < 3; i++) {
+      await run(attemptLimit('login'), { ip: `203.0.113.${i}`, body: { email: 'a@example.com' } });
+    }
+
+    const { res, nextCalled } = await run(attemptLimit('login'), { ip: '198.51.100.1', body: { email: 'a@example.com' } });
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toMatch(/exceeded for this email address$/);
+  });
+
+  test('limits requests without an email by IP address only', async () => {
+    const { nextCalled } = await run(attemptLimit('passwordReset'), { ip: '203.0.113.7', body: {} });
+
+    expect(nextCalled).toBe(true);
+    expect([...counts.keys()]).toEqual(['attempts:passwordReset|ip:203.0.113.7']);
+  });
+});
+
+describe('requireQuota', () => {
+  const resetAt = new Date('2026-10-19T00:00:00.000Z');
+
+  const usage = (used) => ({
+    executions: {
+      day: { used, limit: 10, remaining: Math.max(10 - used, 0), resetAt },
+      month: { used, limit: null, remaining: null, resetAt: new Date('2026-11-01T00:00:00.000Z') },
+    },
+  });
+
+  beforeEach(() => {
+    usageService.quotas = { ...originals.quotas, executions: { day: 10, month: 0 } };
+  });
+
+  test('lets requests through while the quota has room left', async () => {
+    usageService.getUsage = async () => usage(9);
+
+    const { nextCalled } = await run(requireQuota('executions'), { user: { organizationId: 'org-1' } });
+
+    expect(nextCalled).toBe(true);
+  });
+
+  test('rejects requests once the quota is used up', async () => {
+    usageService.getUsage = async () => usage(10);
+
+    const { res, nextCalled } = await run(requireQuota('executions'), { user: { organizationId: 'org-1' } });
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThanOrEqual(0);
+    expect(res.body).toEqual({
+      error: 'The daily quota of 10 executions is used up; it resets at 2026-10-19T00:00:00.000Z',
+      quota: 'executions',
+      period: 'day',
+      limit: 10,
+      used: 10,
+      resetAt,
+    });
+  });
+
+  test('does not read usage when no quota is configured', async () => {
+    usageService.quotas = { ...originals.quotas, executions: { day: 0, month: 0 } };
+    usageService.getUsage = async () => {
+      throw new Error('usage should not be read');
+    };
+
+    const { nextCalled } = await run(requireQuota('executions'), { user: { organizationId: 'org-1' } });
+
+    expect(nextCalled).toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { hashPassword, verifyDummyPassword, verifyPassword } from '../../src/utils/password.js';
+
+describe('hashPassword', () => {
+  test('stores the parameters, salt and hash', async () => {
+    const [algorithm, N, r, p, salt, hash] = (await hashPassword('correct horse')).split('$');
+
+    expect([algorithm, N, r, p]).toEqual(['scrypt', '32768', '8', '1']);
+    expect(Buffer.from(salt, 'base64')).toHaveLength(16);
+    expect(Buffer.from(hash, 'base64')).toHaveLength(64);
+  });
+
+  test('salts every hash', async () => {
+    expect(await hashPassword('correct horse')).not.toBe(await hashPassword('correct horse'));
+  });
+});
+
+describe('verifyPassword', () => {
+  test('accepts the password and rejects others', async () => {
+    const stored = await hashPassword('correct horse');
+
+    expect(await verifyPassword('correct horse', stored)).toBe(true);
+    expect(await verifyPassword('correct horse!', stored)).toBe(false);
+  });
+
+  test('normalizes Unicode before hashing', async () => {
+    // A precomposed "é" and an "e" followed by a combining accent are the same password
+    const stored = await hashPassword('caf\u00e9 au lait');
+
+    expect(await verifyPassword('cafe\u0301 au lait', stored)).toBe(true);
+  });
+
+  test('checks hashes stored with other cost parameters', async () => {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync('correct horse', salt, 64, { N: 1024, r: 8, p: 1 });
+    const stored = ['scrypt', 1024, 8, 1, salt.toString('base64'), hash.toString('base64')].join('$');
+
+    expect(await verifyPassword('correct horse', stored)).toBe(true);
+  });
+
+  test.each([null, '', 'bcrypt$2b$10$abc', 'scrypt$32768$8$1$c2FsdA=='])('rejects the stored value %p', async (stored) => {
+    expect(await verifyPassword('correct horse', stored)).toBe(false);
+  });
+});
+
+describe('verifyDummyPassword', () => {
+  test('resolves without a stored hash', async () => {
+    await expect(verifyDummyPassword('correct horse')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,60 @@
+import config from '../../src/config/config.js';
+import { getRetryDelay, getRetryPolicy, shouldRetry } from '../../src/utils/retry.js';
+
+const policy = (overrides = {}) => ({
+  maxAttempts: 4,
+  initialDelay: 1000,
+  multiplier: 2,
+  maxDelay: 5000,
+  jitter: 0,
+  retryOn: ['network_error', 'timed_out'],
+  ...overrides,
+});
+
+describe('getRetryPolicy', () => {
+  test('uses the configured defaults', () => {
+    expect(getRetryPolicy()).toEqual(config.retry);
+    expect(getRetryPolicy({ selectors: [] })).toEqual(config.retry);
+  });
+
+  test('lets a task override single settings', () => {
+    expect(getRetryPolicy({ retry: { maxAttempts: 5 } })).toEqual({ ...config.retry, maxAttempts: 5 });
+  });
+});
+
+describe('shouldRetry', () => {
+  test('retries listed error classes until the attempts are used up', () => {
+    expect(shouldRetry(policy(), 'network_error', 1)).toBe(true);
+    expect(shouldRetry(policy(), 'network_error', 3)).toBe(true);
+    expect(shouldRetry(policy(), 'network_error', 4)).toBe(false);
+  });
+
+  test('does not retry other error classes', () => {
+    expect(shouldRetry(policy(), 'login_failed', 1)).toBe(false);
+  });
+
+  test('does not retry with a single attempt', () => {
+    expect(shouldRetry(policy({ maxAttempts: 1 }), 'network_error', 1)).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('backs off exponentially up to the maximum delay', () => {
+    expect([1, 2, 3, 4].map(attempt => getRetryDelay(policy(), attempt))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test('spreads delays by the jitter', () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = getRetryDelay(policy({ jitter: 0.2 }), 2);
+
+      expect(delay).toBeGreaterThanOrEqual(1600);
+      expect(delay).toBeLessThanOrEqual(2400);
+    }
+  });
+
+  test('never exceeds the maximum delay', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(getRetryDelay(policy({ jitter: 0.5 }), 10)).toBeLessThanOrEqual(5000);
+    }
+  });
+});
@@ -0,0 +1,177 @@
+import {
+  ScheduleError,
+  getFirstRunAt,
+  getNextCronTime,
+  getNextRunAt,
+  isMissedRun,
+  parseCron,
+  validateSchedule,
+} from '../../src/utils/schedule.js';
+
+const at = (iso) => new Date(iso);
+const nextCron = (expression, after, timeZone) => {
+  const next = getNextCronTime(expression, at(after), timeZone);
+  return next && next.toISOString();
+};
+
+describe('parseCron', () => {
+  test('expands ranges, steps, lists and names', () => {
+    const cron = parseCron('*/15 9-11 1,15 jan-mar mon-fri');
+
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([9, 10, 11]);
+    expect([...cron.days]).toEqual([1, 15]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('treats 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+  });
+
+  test('expands macros', () => {
+    expect(parseCron('@daily')).toEqual(parseCron('0 0 * * *'));
+  });
+
+  test.each([
+    ['', 'must be a non-empty string'],
+    ['* * * *', 'must have 5 fields'],
+    ['60 * * * *', 'out of range for the minute field'],
+    ['* * * * foo', 'not valid in the day of week field'],
+    ['*/0 * * * *', 'invalid step in the minute field'],
+    ['5-1 * * * *', 'out of range for the minute field'],
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(ScheduleError);
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('getNextCronTime', () => {
+  test('returns the next matching minute strictly after the instant', () => {
+    expect(nextCron('*/15 * * * *', '2026-01-01T10:00:00Z')).toBe('2026-01-01T10:15:00.000Z');
+    expect(nextCron('*/15 * * * *', '2026-01-01T10:07:30Z')).toBe('2026-01-01T10:15:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 13th of the month or any Friday: Friday 2 January comes first
+    expect(nextCron('0 0 13 * 5', '2026-01-01T00:00:00Z')).toBe('2026-01-02T00:00:00.000Z');
+    expect(nextCron('0 0 13 * 5', '2026-01-09T00:00:00Z')).toBe('2026-01-13T00:00:00.000Z');
+  });
+
+  test('matches only the restricted day field when the other is a wildcard', () => {
+    expect(nextCron('0 0 13 * *', '2026-01-01T00:00:00Z')).toBe('2026-01-13T00:00:00.000Z');
+    expect(nextCron('0 0 * * 5', '2026-01-03T00:00:00Z')).toBe('2026-01-09T00:00:00.000Z');
+  });
+
+  test('evaluates the expression in the time zone', () => {
+    expect(nextCron('0 9 * * *', '2026-01-01T00:00:00Z', 'America/New_York')).toBe('2026-01-01T14:00:00.000Z');
+    expect(nextCron('0 9 * * *', '2026-07-01T00:00:00Z', 'Europe/Berlin')).toBe('2026-07-01T07:00:00.000Z');
+  });
+
+  test('keeps the wall-clock time across a DST change', () => {
+    // New York moves from UTC-5 to UTC-4 on 8 March 2026
+    expect(nextCron('0 9 * * *', '2026-03-07T15:00:00Z', 'America/New_York')).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  test('skips a time that does not exist in a DST gap', () => {
+    // 02:30 does not exist on 8 March 2026 in New York: clocks jump from 02:00 to 03:00
+    expect(nextCron('30 2 * * *', '2026-03-08T06:00:00Z', 'America/New_York')).toBe('2026-03-09T06:30:00.000Z');
+  });
+
+  test('continues after a DST gap with the first time that exists', () => {
+    // 01:45 EST is followed by 03:00 EDT
+    expect(nextCron('*/30 * * * *', '2026-03-08T06:45:00Z', 'America/New_York')).toBe('2026-03-08T07:00:00.000Z');
+  });
+
+  test('returns null for an expression that never matches', () => {
+    expect(nextCron('0 0 31 2 *', '2026-01-01T00:00:00Z')).toBeNull();
+  });
+});
+
+describe('validateSchedule', () => {
+  test('accepts a cron or interval schedule', () => {
+    const schedule = { cron: '0 * * * *', timezone: 'Europe/Paris', catchUp: 'all' };
+
+    expect(validateSchedule(schedule)).toBe(schedule);
+    expect(() => validateSchedule({ interval: 3600 })).not.toThrow();
+  });
+
+  test.each([
+    [null, 'schedule must be an object'],
+    [{}, 'exactly one of cron or interval is required'],
+    [{ cron: '0 * * * *', interval: 60 }, 'exactly one of cron or interval is required'],
+    [{ interval: 30 }, 'interval must be a number of seconds, at least 60'],
+    [{ interval: 60, timezone: 'Mars/Olympus' }, 'unknown time zone "Mars/Olympus"'],
+    [{ interval: 60, startAt: 'soon' }, 'startAt must be a valid date'],
+    [{ interval: 60, startAt: '2026-02-01T00:00:00Z', endAt: '2026-01-01T00:00:00Z' }, 'endAt must be after startAt'],
+    [{ interval: 60, catchUp: 'later' }, 'catchUp must be one of skip, once, all'],
+  ])('rejects %j', (schedule, message) => {
+    expect(() => validateSchedule(schedule)).toThrow(`Invalid schedule: ${message}`);
+  });
+});
+
+describe('getFirstRunAt', () => {
+  const now = at('2026-01-01T10:07:00Z');
+
+  test('runs an interval schedule without a start right away', () => {
+    expect(getFirstRunAt({ interval: 3600 }, now)).toEqual(now);
+  });
+
+  test('anchors interval slots to startAt', () => {
+    const schedule = { interval: 3600, startAt: '2026-01-01T08:30:00Z' };
+
+    expect(getFirstRunAt(schedule, now)).toEqual(at('2026-01-01T10:30:00Z'));
+  });
+
+  test('includes a cron slot exactly at startAt', () => {
+    const schedule = { cron: '0 * * * *', startAt: '2026-01-02T00:00:00Z' };
+
+    expect(getFirstRunAt(schedule, now)).toEqual(at('2026-01-02T00:00:00Z'));
+  });
+
+  test('includes a cron slot exactly at the current time', () => {
+    expect(getFirstRunAt({ cron: '7 * * * *' }, now)).toEqual(now);
+  });
+
+  test('returns null once the schedule has ended', () => {
+    expect(getFirstRunAt({ interval: 3600, endAt: '2026-01-01T00:00:00Z' }, now)).toBeNull();
+    expect(getFirstRunAt({ cron: '0 * * * *', endAt: '2026-01-01T10:30:00Z' }, now)).toBeNull();
+  });
+});
+
+describe('catch-up policies', () => {
+  // An hourly schedule whose 06:00 run completes at 10:20, after the 07:00-10:00 slots were missed
+  const slot = at('2026-01-01T06:00:00Z');
+  const now = at('2026-01-01T10:20:00Z');
+
+  test('"all" replays every missed slot in order', () => {
+    expect(getNextRunAt({ cron: '0 * * * *', catchUp: 'all' }, slot, now)).toEqual(at('2026-01-01T07:00:00Z'));
+  });
+
+  test.each(['once', 'skip', undefined])('"%s" moves on to the first future slot', (catchUp) => {
+    expect(getNextRunAt({ cron: '0 * * * *', catchUp }, slot, now)).toEqual(at('2026-01-01T11:00:00Z'));
+  });
+
+  test('runs the following slot when nothing was missed', () => {
+    const schedule = { cron: '0 * * * *', catchUp: 'all' };
+
+    expect(getNextRunAt(schedule, slot, at('2026-01-01T06:01:00Z'))).toEqual(at('2026-01-01T07:00:00Z'));
+  });
+
+  test('returns null when the next slot is after endAt', () => {
+    const schedule = { cron: '0 * * * *', catchUp: 'all', endAt: '2026-01-01T06:30:00Z' };
+
+    expect(getNextRunAt(schedule, slot, now)).toBeNull();
+  });
+
+  test('"skip" drops a run that is late by more than the grace period', () => {
+    const schedule = { cron: '0 * * * *', catchUp: 'skip' };
+
+    expect(isMissedRun(schedule, slot, at('2026-01-01T06:00:30Z'))).toBe(false);
+    expect(isMissedRun(schedule, slot, at('2026-01-01T06:05:00Z'))).toBe(true);
+  });
+
+  test.each(['once', 'all', undefined])('"%s" runs a late slot', (catchUp) => {
+    expect(isMissedRun({ cron: '0 * * * *', catchUp }, slot, now)).toBe(false);
+  });
+});
@@ -0,0 +1,50 @@
+import { TokenError, createOpaqueToken, hashToken, signToken, verifyToken } from '../../src/utils/tokens.js';
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('signToken and verifyToken', () => {
+  test('round-trip the claims with issue and expiry times', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const claims = verifyToken(signToken({ sub: 'user-1', typ: 'access' }, SECRET, 60000), SECRET);
+
+    expect(claims).toMatchObject({ sub: 'user-1', typ: 'access' });
+    expect(claims.iat).toBeGreaterThanOrEqual(before);
+    expect(claims.exp - claims.iat).toBe(60);
+  });
+
+  test('reject another secret', () => {
+    const token = signToken({ sub: 'user-1' }, SECRET, 60000);
+
+    expect(() => verifyToken(token, 'other-secret')).toThrow(new TokenError('Invalid token signature'));
+  });
+
+  test('reject tampered claims', () => {
+    const [header, , signature] = signToken({ sub: 'user-1' }, SECRET, 60000).split('.');
+    const payload = encode({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 });
+
+    expect(() => verifyToken(`${header}.${payload}.${signature}`, SECRET)).toThrow('Invalid token signature');
+  });
+
+  test('reject expired tokens', () => {
+    expect(() => verifyToken(signToken({ sub: 'user-1' }, SECRET, 0), SECRET)).toThrow('Token has expired');
+  });
+
+  test.each([undefined, '', 'abc', 'a.b'])('reject the malformed token %p', (token) => {
+    expect(() => verifyToken(token, SECRET)).toThrow('Malformed token');
+  });
+});
+
+describe('opaque tokens', () => {
+  test('are random and URL safe', () => {
+    const token = createOpaqueToken();
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(createOpaqueToken()).not.toBe(token);
+  });
+
+  test('are stored as SHA-256 digests', () => {
+    expect(hashToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
@@ -0,0 +1,66 @@
+import { TotpError, decodeBase32, generateTotp, getTotpRemaining, parseTotpSeed } from '../../src/utils/totp.js';
+
+// Shared secrets of the RFC 6238 test vectors
+const SHA1_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const SHA256_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA====';
+const SHA512_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA=';
+
+const uri = (secret, algorithm) => `otpauth://totp/Example:alice?secret=${secret}&algorithm=${algorithm}&digits=8`;
+
+describe('decodeBase32', () => {
+  test('ignores case, spaces, dashes and padding', () => {
+    expect(decodeBase32('mzxw 6ytb-oi======').toString()).toBe('foobar');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => decodeBase32('MZXW1')).toThrow(new TotpError('Invalid base32 character "1"'));
+  });
+});
+
+describe('generateTotp', () => {
+  test.each([
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+  ])('matches the RFC 6238 vectors at %d', (seconds, sha1, sha256, sha512) => {
+    const timestamp = seconds * 1000;
+
+    expect(generateTotp(uri(SHA1_SECRET, 'SHA1'), timestamp)).toBe(sha1);
+    expect(generateTotp(uri(SHA256_SECRET, 'SHA256'), timestamp)).toBe(sha256);
+    expect(generateTotp(uri(SHA512_SECRET, 'SHA512'), timestamp)).toBe(sha512);
+  });
+
+  test('defaults to six digits every 30 seconds', () => {
+    expect(generateTotp(SHA1_SECRET, 59000)).toBe('287082');
+    expect(generateTotp(SHA1_SECRET, 30000)).toBe(generateTotp(SHA1_SECRET, 59999));
+    expect(generateTotp(SHA1_SECRET, 60000)).not.toBe(generateTotp(SHA1_SECRET, 59999));
+  });
+});
+
+describe('parseTotpSeed', () => {
+  test('reads the settings of an otpauth URI', () => {
+    const seed = parseTotpSeed(`otpauth://totp/Example?secret=${SHA1_SECRET}&digits=8&period=60&algorithm=sha256`);
+
+    expect(seed).toMatchObject({ digits: 8, period: 60, algorithm: 'SHA256' });
+    expect(seed.key.toString()).toBe('12345678901234567890');
+  });
+
+  test.each([
+    ['', 'TOTP seed must be a non-empty string'],
+    ['otpauth://hotp/Example?secret=GEZDGNBV', 'Only otpauth://totp URIs are supported'],
+    ['otpauth://totp/Example', 'TOTP secret is empty'],
+    [`otpauth://totp/Example?secret=${SHA1_SECRET}&algorithm=MD5`, 'Unsupported TOTP algorithm MD5'],
+    [`otpauth://totp/Example?secret=${SHA1_SECRET}&digits=4`, 'TOTP digits must be 6 to 10 and period positive'],
+    [`otpauth://totp/Example?secret=${SHA1_SECRET}&period=0`, 'TOTP digits must be 6 to 10 and period positive'],
+  ])('rejects %p', (seed, message) => {
+    expect(() => parseTotpSeed(seed)).toThrow(new TotpError(message));
+  });
+});
+
+describe('getTotpRemaining', () => {
+  test('returns the time until the next code', () => {
+    expect(getTotpRemaining(SHA1_SECRET, 59000)).toBe(1000);
+    expect(getTotpRemaining(`otpauth://totp/Example?secret=${SHA1_SECRET}&period=60`, 0)).toBe(60000);
+  });
+});
@@ -0,0 +1,129 @@
+import { TransformError, applyTransforms } from '../../src/utils/transforms.js';
+
+const date = (value, options) => applyTransforms(value, [{ type: 'date', ...options }]);
+
+describe('applyTransforms', () => {
+  test('cleans strings', () => {
+    expect(applyTransforms('  Blue \n Shoe ', ['trim', 'uppercase'])).toBe('BLUE SHOE');
+    expect(applyTransforms('Blue Shoe', ['lowercase'])).toBe('blue shoe');
+  });
+
+  test('extracts and replaces with regular expressions', () => {
+    expect(applyTransforms('SKU: AB-12', [{ type: 'regex', pattern: 'SKU: (\\S+)' }])).toBe('AB-12');
+    expect(applyTransforms('no sku', [{ type: 'regex', pattern: 'SKU: (\\S+)' }])).toBeNull();
+    expect(applyTransforms('a-b-c', [{ type: 'replace', pattern: '-', replacement: ' ' }])).toBe('a b c');
+  });
+
+  test.each([
+    ['$1,234.50', 'number', {}, 1234.5],
+    ['1.234,50 €', 'currency', { decimal: ',' }, 1234.5],
+    ['(12.00)', 'currency', {}, -12],
+    ['-3.7', 'integer', {}, -3],
+    ['12.5%', 'percent', {}, 0.125],
+    ['12.5%', 'percent', { ratio: false }, 12.5],
+  ])('parses "%s" as %s', (value, type, options, expected) => {
+    expect(applyTransforms(value, [{ type, ...options }])).toBe(expected);
+  });
+
+  test('rejects text that is not a number', () => {
+    expect(() => applyTransforms('N/A', ['number'])).toThrow(new TransformError('"N/A" is not a number'));
+  });
+
+  test('parses booleans', () => {
+    expect(applyTransforms(['Yes', 'no', '✓'], ['boolean'])).toEqual([true, false, true]);
+    expect(applyTransforms('ja', [{ type: 'boolean', trueValues: ['ja'] }])).toBe(true);
+  });
+
+  test('transforms arrays element by element', () => {
+    expect(applyTransforms([' 1 ', null, '2'], ['trim', 'number'])).toEqual([1, null, 2]);
+  });
+
+  test('splits and joins whole values', () => {
+    expect(applyTransforms('red, green,, blue', ['split'])).toEqual(['red', 'green', 'blue']);
+    expect(applyTransforms(['a', null, 'b'], [{ type: 'join', separator: '|' }])).toBe('a|b');
+  });
+
+  test('passes empty values on to default', () => {
+    expect(applyTransforms('', ['number', { type: 'default', value: 0 }])).toBe(0);
+    expect(applyTransforms('   ', ['trim', 'number', { type: 'default', value: 0 }])).toBe(0);
+    expect(applyTransforms(null, ['date', { type: 'default', value: 'unknown' }])).toBe('unknown');
+    expect(applyTransforms(['4', ''], ['integer', { type: 'default', value: 0 }])).toEqual([4, '']);
+  });
+
+  test('fails required on empty values', () => {
+    expect(() => applyTransforms('', ['number', 'required'])).toThrow('Value is required');
+    expect(() => applyTransforms([], [{ type: 'required', message: 'No prices' }])).toThrow('No prices');
+  });
+
+  test('reports the failing transform', () => {
+    expect.assertions(2);
+
+    try {
+      applyTransforms('abc', ['trim', 'integer']);
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransformError);
+      expect(error.transform).toBe('integer');
+    }
+  });
+
+  test('rejects unknown transforms', () => {
+    expect(() => applyTransforms('x', ['reverse'])).toThrow('Unknown transform "reverse"');
+  });
+});
+
+describe('date transform', () => {
+  test('parses formatted dates in a time zone', () => {
+    expect(date('Mar 3, 2026 2:05 PM', { format: 'MMM D, YYYY h:mm A', timezone: 'America/New_York' }))
+      .toBe('2026-03-03T19:05:00.000Z');
+    expect(date('03/07/2026 00:30', { format: 'DD/MM/YYYY HH:mm', timezone: 'Europe/Berlin' }))
+      .toBe('2026-07-02T22:30:00.000Z');
+  });
+
+  test('handles 12 AM and 12 PM', () => {
+    expect(date('1 Jan 2026 12:15 am', { format: 'D MMM YYYY h:mm a' })).toBe('2026-01-01T00:15:00.000Z');
+    expect(date('1 Jan 2026 12:15 pm', { format: 'D MMM YYYY h:mm a' })).toBe('2026-01-01T12:15:00.000Z');
+  });
+
+  test('applies an explicit offset instead of the time zone', () => {
+    expect(date('2026-01-01 10:00 +02:00', { format: 'YYYY-MM-DD HH:mm Z', timezone: 'America/New_York' }))
+      .toBe('2026-01-01T08:00:00.000Z');
+  });
+
+  test('matches literal text in brackets', () => {
+    expect(date('3 March 2026 at 14:05', { format: 'D MMMM YYYY [at] HH:mm' })).toBe('2026-03-03T14:05:00.000Z');
+  });
+
+  test('reports the wall-clock day with output "date"', () => {
+    expect(date('2026-01-01T03:00:00Z', { timezone: 'America/Los_Angeles', output: 'date' })).toBe('2025-12-31');
+  });
+
+  test('reads unformatted values without an offset in the time zone', () => {
+    expect(date('2026-01-01', { timezone: 'Asia/Tokyo' })).toBe('2025-12-31T15:00:00.000Z');
+  });
+
+  test('accepts 29 February in leap years', () => {
+    expect(date('29/02/2024', { format: 'DD/MM/YYYY', output: 'date' })).toBe('2024-02-29');
+  });
+
+  test.each([
+    ['31/02/2026', 'DD/MM/YYYY', 'day'],
+    ['29/02/2026', 'DD/MM/YYYY', 'day'],
+    ['01/13/2026', 'DD/MM/YYYY', 'month'],
+    ['01/12/2026 25:00', 'DD/MM/YYYY HH:mm', 'hour'],
+    ['01/12/2026 1:60 PM', 'DD/MM/YYYY h:mm A', 'minute'],
+    ['01/12/2026 13:00 PM', 'DD/MM/YYYY h:mm A', 'hour'],
+  ])('rejects "%s" with an invalid part', (value, format, part) => {
+    expect(() => date(value, { format })).toThrow(`"${value}" has an invalid ${part} for date format "${format}"`);
+  });
+
+  test('rejects values that do not match the format', () => {
+    expect(() => date('2026-01-01', { format: 'DD/MM/YYYY' }))
+      .toThrow('"2026-01-01" does not match date format "DD/MM/YYYY"');
+    expect(() => date('3 Foo 2026', { format: 'D MMM YYYY' })).toThrow('"Foo" is not a month name');
+  });
+
+  test('rejects invalid dates and time zones', () => {
+    expect(() => date('soon')).toThrow('"soon" is not a valid date');
+    expect(() => date('2026-01-01', { timezone: 'Mars/Olympus' })).toThrow('Unknown time zone "Mars/Olympus"');
+  });
+});
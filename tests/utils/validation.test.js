@@ -0,0 +1,138 @@
+import { TaskValidationError, formatError, getTaskErrors } from '../../src/utils/validation.js';
+
+const validTask = () => ({
+  name: 'Product prices',
+  url: 'https://shop.example.com/products',
+  config: {
+    selectors: [
+      { name: 'title', selector: 'h1' },
+      {
+        name: 'products',
+        selector: '.product',
+        multiple: true,
+        fields: [
+          { name: 'name' },
+          { name: 'price', selector: '.price', transforms: ['trim', { type: 'currency', decimal: ',' }] },
+        ],
+      },
+    ],
+    steps: [
+      { type: 'click', selector: '#accept-cookies', optional: true },
+      { type: 'input', selector: '#search', value: 'shoes' },
+    ],
+    credentials: { credentialId: '0b7a3c1e-5d2f-4e8a-9c6b-1f2e3d4c5b6a', url: 'https://shop.example.com/login' },
+    retry: { maxAttempts: 3, retryOn: ['network_error'] },
+  },
+  schedule: { cron: '0 6 * * *', timezone: 'Europe/Berlin' },
+  priority: 5,
+});
+
+describe('getTaskErrors', () => {
+  test('accepts a valid task', () => {
+    expect(getTaskErrors(validTask())).toEqual([]);
+  });
+
+  test('rejects a task that is not an object', () => {
+    expect(getTaskErrors([])).toEqual([{ path: '', message: 'The task must be a JSON object' }]);
+    expect(getTaskErrors(null)).toEqual([{ path: '', message: 'The task must be a JSON object' }]);
+  });
+
+  test('reports every invalid field with its path', () => {
+    const task = validTask();
+    delete task.name;
+    task.url = 'ftp://shop.example.com';
+    task.priority = 1.5;
+    task.config.selectors[1].fields[1].selector = '';
+    task.config.steps[1] = { type: 'input' };
+
+    expect(getTaskErrors(task)).toEqual([
+      { path: 'name', message: 'is required' },
+      { path: 'url', message: 'must be an absolute http(s) URL' },
+      { path: 'config.selectors[1].fields[1].selector', message: 'must not be empty' },
+      { path: 'config.steps[1].selector', message: 'is required for input steps' },
+      { path: 'priority', message: 'must be an integer' },
+    ]);
+  });
+
+  test('rejects unknown fields', () => {
+    const task = validTask();
+    task.config.selector = 'h1';
+
+    expect(getTaskErrors(task)).toEqual([{ path: 'config.selector', message: 'is not a known field' }]);
+  });
+
+  test('rejects duplicate selector names', () => {
+    const task = validTask();
+    task.config.selectors.push({ name: 'title', selector: 'h2' });
+
+    expect(getTaskErrors(task)).toEqual([{ path: 'config.selectors[2].name', message: 'duplicates "title"' }]);
+  });
+
+  test('reports schedule errors on the schedule field', () => {
+    const task = validTask();
+    task.schedule = { cron: '0 6 * *' };
+
+    expect(getTaskErrors(task)).toEqual([{ path: 'schedule', message: 'cron expression "0 6 * *" must have 5 fields' }]);
+  });
+
+  test.each([
+    ['password', 'password'],
+    ['totpSecret', 'TOTP secret'],
+  ])('rejects a %s in the credentials', (field, label) => {
+    const task = validTask();
+    task.config.credentials[field] = 'hunter2';
+
+    expect(getTaskErrors(task)).toEqual([{
+      path: `config.credentials.${field}`,
+      message: `must not be set; store the ${label} with POST /api/credentials and set credentialId`,
+    }]);
+  });
+
+  test('rejects a status', () => {
+    expect(getTaskErrors({ ...validTask(), status: 'pending' })).toEqual([
+      { path: 'status', message: 'cannot be set; use the execute and cancel endpoints' },
+    ]);
+  });
+
+  describe('partial', () => {
+    test('only checks the fields present', () => {
+      expect(getTaskErrors({ priority: 1 }, { partial: true })).toEqual([]);
+      expect(getTaskErrors({ url: 'not a url' }, { partial: true })).toEqual([
+        { path: 'url', message: 'must be an absolute http(s) URL' },
+      ]);
+    });
+
+    test('checks required fields sent as null', () => {
+      expect(getTaskErrors({ name: null }, { partial: true })).toEqual([{ path: 'name', message: 'is required' }]);
+    });
+
+    test('ignores fields an update cannot change', () => {
+      expect(getTaskErrors({ id: 'x', created_at: 'yesterday', priority: 2 }, { partial: true })).toEqual([]);
+    });
+
+    test('rejects a status change', () => {
+      expect(getTaskErrors({ status: 'pending', priority: 1 }, { partial: true })).toEqual([
+        { path: 'status', message: 'cannot be set; use the execute and cancel endpoints' },
+      ]);
+    });
+
+    test('checks the whole config when it is present', () => {
+      expect(getTaskErrors({ config: { credentials: { url: 'https://a.example.com', password: 'x' } } }, { partial: true }))
+        .toEqual([{
+          path: 'config.credentials.password',
+          message: 'must not be set; store the password with POST /api/credentials and set credentialId',
+        }]);
+    });
+  });
+});
+
+describe('TaskValidationError', () => {
+  test('lists every field error in its message', () => {
+    const errors = [{ path: 'name', message: 'is required' }, { path: '', message: 'The task must be a JSON object' }];
+    const error = new TaskValidationError(errors);
+
+    expect(error.message).toBe('Invalid task: name is required; The task must be a JSON object');
+    expect(error.errors).toBe(errors);
+    expect(formatError(errors[0])).toBe('name is required');
+  });
+});